@@ -0,0 +1,169 @@
+// connectionFactories.js
+// Connection factories, close routines and default configurations of the built-in database types.
+// Drivers other than pg are required lazily so deployments only need the driver of the type they use.
+const {Pool} = require('pg');
+const {jsonContains} = require('./strategies/filterConditions');
+
+// Patterns compiled by the regexp function of a SQLite connection, which is called once per row
+const REGEXP_CACHE_SIZE = 100;
+
+function getRegExp(cache, pattern, flags) {
+    const key = `${flags}/${pattern}`;
+    let regExp = cache.get(key);
+    if (!regExp) {
+        regExp = new RegExp(pattern, flags);
+        if (cache.size >= REGEXP_CACHE_SIZE) {
+            cache.delete(cache.keys().next().value);
+        }
+        cache.set(key, regExp);
+    }
+    return regExp;
+}
+
+const postgresql = {
+    defaultConfig: {
+        user: 'postgres',
+        password: 'password',
+        host: 'localhost',
+        database: 'postgres',
+        port: 5432,
+        max: 20,  // Max number of clients in the pool
+        idleTimeoutMillis: 30000,  // Close idle clients after 30 seconds
+        ssl: false
+    },
+
+    async createConnection(config) {
+        // Create a pool with proper configuration
+        const pool = new Pool({
+            ...config,
+            max: config.max || 20,
+            idleTimeoutMillis: config.idleTimeoutMillis || 30000
+        });
+        // Test the connection
+        await pool.query('SELECT 1');
+        return pool;
+    },
+
+    async closeConnection(pool) {
+        await pool.end();
+    }
+};
+
+const mysql = {
+    defaultConfig: {
+        host: 'localhost',
+        user: 'root',
+        password: 'password',
+        database: 'test',
+        port: 3306,
+        waitForConnections: true,
+        connectionLimit: 20,
+        queueLimit: 0
+    },
+
+    async createConnection(config) {
+        const mysql2 = require('mysql2/promise');
+        // type and strategyModules are options of the adapter, which mysql2 warns about
+        const {type: _type, strategyModules: _strategyModules, ...mysqlConfig} = config;
+        const pool = mysql2.createPool({
+            ...mysqlConfig,
+            connectionLimit: config.connectionLimit || 20
+        });
+        await pool.query('SELECT 1');
+        return pool;
+    },
+
+    async closeConnection(pool) {
+        await pool.end();
+    }
+};
+
+const sqlserver = {
+    defaultConfig: {
+        server: 'localhost',
+        user: 'sa',
+        password: 'Password123!',
+        database: 'master',
+        port: 1433,
+        pool: {
+            max: 20,
+            min: 0,
+            idleTimeoutMillis: 30000
+        },
+        options: {
+            encrypt: false,
+            trustServerCertificate: true,
+            enableArithAbort: true
+        }
+    },
+
+    async createConnection(config) {
+        const sql = require('mssql');
+        const {type: _type, strategyModules: _strategyModules, ...sqlServerConfig} = config;
+        const pool = new sql.ConnectionPool({
+            ...sqlServerConfig,
+            server: config.server || config.host
+        });
+        await pool.connect();
+        await pool.request().query('SELECT 1');
+        return pool;
+    },
+
+    async closeConnection(pool) {
+        await pool.close();
+    }
+};
+
+const sqlite = {
+    // Embedded databases have no credentials
+    requiresCredentials: false,
+
+    defaultConfig: {
+        filename: 'lightdb.sqlite',
+        timeout: 5000  // Milliseconds to wait for a lock held by another worker
+    },
+
+    async createConnection(config) {
+        const Database = require('better-sqlite3');
+        const db = new Database(config.filename, {timeout: config.timeout || 5000});
+        // Several workers share the file, so readers must not block the writer
+        db.pragma('journal_mode = WAL');
+        // Called with two arguments by the REGEXP operator, flags may be passed when it is called as a function
+        const regExps = new Map();
+        db.function('regexp', {deterministic: true, varargs: true}, (pattern, value, flags = '') => {
+            return value !== null && getRegExp(regExps, pattern, flags).test(value) ? 1 : 0;
+        });
+        // Backs the contains operator, a missing value contains nothing
+        db.function('json_contains', {deterministic: true}, (target, candidate) => {
+            return target !== null && jsonContains(JSON.parse(target), JSON.parse(candidate)) ? 1 : 0;
+        });
+        db.prepare('SELECT 1').get();
+        return db;
+    },
+
+    async closeConnection(db) {
+        db.close();
+    }
+};
+
+const inmemory = {
+    requiresCredentials: false,
+
+    defaultConfig: {},
+
+    async createConnection(config) {
+        // The "connection" is the store itself: table name -> {rows, indices}
+        return {tables: new Map()};
+    },
+
+    async closeConnection(store) {
+    }
+};
+
+module.exports = {
+    postgresql,
+    mysql,
+    sqlserver,
+    sqlite,
+    inmemory
+};
@@ -1,5 +1,5 @@
 // connectionRegistry.js
-const {Pool} = require('pg');
+const {StrategyFactory} = require('./strategyFactory');
 
 class ConnectionRegistry {
     static get POSTGRESQL() {
@@ -14,81 +14,44 @@ class ConnectionRegistry {
         return 'sqlserver';
     }
 
-    // Default configurations
+    static get SQLITE() {
+        return 'sqlite';
+    }
+
+    static get INMEMORY() {
+        return 'inmemory';
+    }
+
+    // Default configurations of every registered database type
     static get DEFAULT_CONFIGS() {
-        return {
-            postgresql: {
-                user: 'postgres',
-                password: 'password',
-                host: 'localhost',
-                database: 'postgres',
-                port: 5432,
-                max: 20,  // Max number of clients in the pool
-                idleTimeoutMillis: 30000,  // Close idle clients after 30 seconds
-                ssl: false
-            },
-            mysql: {
-                host: 'localhost',
-                user: 'root',
-                password: 'password',
-                database: 'test',
-                port: 3306,
-                waitForConnections: true,
-                connectionLimit: 20,
-                queueLimit: 0
-            },
-            sqlserver: {
-                server: 'localhost',
-                user: 'sa',
-                password: 'Password123!',
-                database: 'master',
-                port: 1433,
-                pool: {
-                    max: 20,
-                    min: 0,
-                    idleTimeoutMillis: 30000
-                },
-                options: {
-                    encrypt: false,
-                    trustServerCertificate: true,
-                    enableArithAbort: true
-                }
-            }
-        };
+        const configs = {};
+        for (const type of StrategyFactory.getRegisteredTypes()) {
+            configs[type] = StrategyFactory.getRegistration(type).defaultConfig;
+        }
+        return configs;
     }
 
     static async createConnection(type, customConfig = null) {
         const dbType = type.toLowerCase();
-        const config = customConfig || this.DEFAULT_CONFIGS[dbType];
+        const registration = StrategyFactory.getRegistration(dbType);
+        const config = customConfig || registration.defaultConfig;
 
         if (!config) {
             throw new Error(`No configuration found for database type: ${type}`);
         }
 
         // Validate required configuration fields
-        if (!config.user || typeof config.user !== 'string') {
-            throw new Error('Database user must be a string');
-        }
-        if (!config.password || typeof config.password !== 'string') {
-            throw new Error('Database password must be a string');
+        if (registration.requiresCredentials) {
+            if (!config.user || typeof config.user !== 'string') {
+                throw new Error('Database user must be a string');
+            }
+            if (!config.password || typeof config.password !== 'string') {
+                throw new Error('Database password must be a string');
+            }
         }
 
         try {
-            switch (dbType) {
-                case 'postgresql':
-                    // Create a pool with proper configuration
-                    const pool = new Pool({
-                        ...config,
-                        max: config.max || 20,
-                        idleTimeoutMillis: config.idleTimeoutMillis || 30000
-                    });
-                    // Test the connection
-                    await pool.query('SELECT 1');
-                    return pool;
-
-                default:
-                    throw new Error(`Unsupported database type: ${type}`);
-            }
+            return await registration.createConnection(config);
         } catch (error) {
             console.error('Connection error details:', {
                 type: dbType,
@@ -112,12 +75,14 @@ class ConnectionRegistry {
             return false;
         } finally {
             if (connection) {
-                switch (type.toLowerCase()) {
-                    case 'postgresql':
-                }
+                await this.closeConnection(type, connection);
             }
         }
     }
+
+    static async closeConnection(type, connection) {
+        await StrategyFactory.getRegistration(type).closeConnection(connection);
+    }
 }
 
 module.exports = ConnectionRegistry;
\ No newline at end of file
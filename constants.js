@@ -1,5 +1,17 @@
 module.exports = {
     TYPES: {
-        POSTGRESQL: "postgresql"
+        POSTGRESQL: "postgresql",
+        MYSQL: "mysql",
+        SQLSERVER: "sqlserver",
+        SQLITE: "sqlite",
+        INMEMORY: "inmemory"
+    },
+    // PostgreSQL SQLSTATE codes, used by every strategy so callers can handle errors the same way
+    ERROR_CODES: {
+        UNDEFINED_TABLE: "42P01",
+        UNDEFINED_COLUMN: "42703",
+        UNIQUE_VIOLATION: "23505",
+        // Documents that do not match the JSON Schema of their collection
+        CHECK_VIOLATION: "23514"
     }
-}
\ No newline at end of file
+}
@@ -1,4 +1,5 @@
 const SqlAdapter = require("./sqlAdapter");
+const {StrategyFactory, BaseStrategy} = require("./strategyFactory");
 
 const createSQLAdapterInstance = (config, type) => {
     return new SqlAdapter(config, type);
@@ -6,4 +7,6 @@ const createSQLAdapterInstance = (config, type) => {
 
 module.exports = {
     createSQLAdapterInstance,
+    StrategyFactory,
+    BaseStrategy
 }
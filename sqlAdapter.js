@@ -34,8 +34,12 @@ function SQLAdapter(config) {
         this.storageDB.createDatabase(callback);
     }
 
-    this.cleanupDatabase = (forDID, callback) => {
-        this.storageDB.cleanupDatabase(callback);
+    this.cleanupDatabase = (forDID, options, callback) => {
+        if (typeof options === "function") {
+            callback = options;
+            options = undefined;
+        }
+        this.storageDB.cleanupDatabase(options, callback);
     }
 
     this.removeCollection = (forDID, tableName, callback) => {
@@ -122,8 +126,41 @@ function SQLAdapter(config) {
         this.storageDB.getOneRecord(tableName, callback);
     }
 
-    this.count = (forDID, tableName, callback) => {
-        this.storageDB.count(tableName, callback);
+    this.count = (forDID, tableName, conditions = null, callback) => {
+        if (typeof conditions === "function") {
+            callback = conditions;
+            conditions = null;
+        }
+        this.storageDB.count(tableName, conditions, callback);
+    }
+
+    this.aggregate = (forDID, tableName, conditions, aggregates, groupBy, callback) => {
+        if (typeof conditions === "function") {
+            callback = conditions;
+            conditions = undefined;
+            aggregates = undefined;
+            groupBy = undefined;
+        } else if (typeof aggregates === "function") {
+            callback = aggregates;
+            aggregates = undefined;
+            groupBy = undefined;
+        } else if (typeof groupBy === "function") {
+            callback = groupBy;
+            groupBy = undefined;
+        }
+        this.storageDB.aggregate(tableName, conditions, aggregates, groupBy, callback);
+    }
+
+    this.search = (forDID, tableName, text, conditions, max, callback) => {
+        if (typeof conditions === "function") {
+            callback = conditions;
+            conditions = undefined;
+            max = undefined;
+        } else if (typeof max === "function") {
+            callback = max;
+            max = undefined;
+        }
+        this.storageDB.search(tableName, text, conditions, max, callback);
     }
 
     this.addInQueue = (forDID, queueName, encryptedObject, ensureUniqueness, callback) => {
@@ -131,7 +168,7 @@ function SQLAdapter(config) {
     }
 
     this.queueSize = (forDID, queueName, callback) => {
-        this.count(queueName, callback);
+        this.count(forDID, queueName, callback);
     }
 
     this.listQueue = (forDID, queueName, sortAfterInsertTime, onlyFirstN, callback) => {
@@ -150,16 +187,52 @@ function SQLAdapter(config) {
         this.storageDB.getCollections(callback);
     }
 
-    this.createCollection = (forDID, tableName, indicesList, callback) => {
+    this.createCollection = (forDID, tableName, indicesList, options, callback) => {
         if (typeof indicesList === "function") {
             callback = indicesList;
             indicesList = undefined;
+            options = undefined;
+        } else if (typeof options === "function") {
+            callback = options;
+            options = undefined;
+        }
+        this.storageDB.createCollection(tableName, indicesList, options, callback);
+    }
+
+    this.addIndex = (forDID, tableName, property, options, callback) => {
+        if (typeof options === "function") {
+            callback = options;
+            options = undefined;
+        }
+        this.storageDB.addIndex(tableName, property, options, callback);
+    }
+
+    this.removeIndex = (forDID, tableName, property, type, callback) => {
+        if (typeof type === "function") {
+            callback = type;
+            type = undefined;
         }
-        this.storageDB.createCollection(tableName, indicesList, callback);
+        this.storageDB.removeIndex(tableName, property, type, callback);
     }
 
-    this.getAllRecords = (forDID, tableName, callback) => {
-        this.storageDB.getAllRecords(tableName, callback);
+    this.listIndexes = (forDID, tableName, callback) => {
+        this.storageDB.listIndexes(tableName, callback);
+    }
+
+    this.getIndexedFields = (forDID, tableName, callback) => {
+        this.storageDB.getIndexedFields(tableName, callback);
+    }
+
+    this.getAllRecords = (forDID, tableName, page = null, projection = null, callback) => {
+        if (typeof page === "function") {
+            callback = page;
+            page = null;
+            projection = null;
+        } else if (typeof projection === "function") {
+            callback = projection;
+            projection = null;
+        }
+        this.storageDB.getAllRecords(tableName, page, projection, callback);
     }
 
     this.insertRecord = (forDID, tableName, pk, record, callback) => {
@@ -174,25 +247,58 @@ function SQLAdapter(config) {
         this.storageDB.deleteRecord(tableName, pk, callback);
     }
 
-    this.getRecord = (forDID, tableName, pk, callback) => {
-        this.storageDB.getRecord(tableName, pk, callback);
+    this.getRecord = (forDID, tableName, pk, projection = null, callback) => {
+        if (typeof projection === "function") {
+            callback = projection;
+            projection = null;
+        }
+        this.storageDB.getRecord(tableName, pk, projection, callback);
+    }
+
+    this.filter = (forDID, tableName, filterConditions, sort = 'asc', max = null, projection = null, callback) => {
+        if (typeof filterConditions === "function") {
+            callback = filterConditions;
+            filterConditions = [];
+            sort = 'asc';
+            max = null;
+            projection = null;
+        } else if (typeof sort === "function") {
+            callback = sort;
+            sort = 'asc';
+            max = null;
+            projection = null;
+        } else if (typeof max === "function") {
+            callback = max;
+            max = null;
+            projection = null;
+        } else if (typeof projection === "function") {
+            callback = projection;
+            projection = null;
+        }
+        this.storageDB.filter(tableName, filterConditions, sort, max, projection, callback);
     }
 
-    this.filter = (forDID, tableName, filterConditions, sort = 'asc', max = null, callback) => {
+    this.explain = (forDID, tableName, filterConditions, sort = 'asc', max = null, withPlan = false, callback) => {
         if (typeof filterConditions === "function") {
             callback = filterConditions;
             filterConditions = [];
             sort = 'asc';
             max = null;
+            withPlan = false;
         } else if (typeof sort === "function") {
             callback = sort;
             sort = 'asc';
             max = null;
+            withPlan = false;
         } else if (typeof max === "function") {
             callback = max;
             max = null;
+            withPlan = false;
+        } else if (typeof withPlan === "function") {
+            callback = withPlan;
+            withPlan = false;
         }
-        this.storageDB.filter(tableName, filterConditions, sort, max, callback);
+        this.storageDB.explain(tableName, filterConditions, sort, max, withPlan, callback);
     }
 
     this.writeKey = (forDID, key, value, callback) => {
@@ -208,6 +314,8 @@ function SQLAdapter(config) {
             "listQueue",
             "queueSize",
             "count",
+            "aggregate",
+            "search",
             "hasReadAccess",
             "getPrivateInfoForDID",
             "getCapableOfSigningKeySSI",
@@ -215,9 +323,11 @@ function SQLAdapter(config) {
             "getDID",
             "getPrivateKeyForSlot",
             "getIndexedFields",
+            "listIndexes",
             "getRecord",
             "getAllTableNames",
             "filter",
+            "explain",
             "readKey",
             "getAllRecords",
             "getReadForKeySSI",
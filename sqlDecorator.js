@@ -15,9 +15,12 @@ class SQLDecorator {
 
         this.config = config;
 
+        // Every worker holds its own in-memory store, so that backend must stay on a single worker
+        const isInMemory = config && typeof config.type === 'string' && config.type.toLowerCase() === 'inmemory';
+
         this.workerPool = syndicate.createWorkerPool({
             bootScript: workerScriptPath,
-            maximumNumberOfWorkers: 4,
+            maximumNumberOfWorkers: isInMemory ? 1 : 4,
             workerOptions: {
                 workerData: {
                     config
@@ -66,6 +69,7 @@ class SQLDecorator {
                             const error = new Error(result.error?.message || 'Unknown error');
                             if (result.error?.code) error.code = result.error.code;
                             if (result.error?.type) error.type = result.error.type;
+                            if (result.error?.errors) error.errors = result.error.errors;
                             reject(error);
                         } else {
                             resolve(result.result);
@@ -93,8 +97,13 @@ class SQLDecorator {
         this._executeWithCallback('createDatabase', [], callback);
     }
 
-    cleanupDatabase = (callback) => {
-        this._executeWithCallback('cleanupDatabase', [], callback);
+    // options is optional: {dropAllTables: true} drops every table of the database, not only those the adapter created
+    cleanupDatabase = (options = {}, callback) => {
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+        this._executeWithCallback('cleanupDatabase', [options], callback);
     }
 
     refresh = (callback) => {
@@ -109,24 +118,63 @@ class SQLDecorator {
         this._executeWithCallback('getCollections', [], callback);
     }
 
-    createCollection = (tableName, indicesList, callback) => {
-        this._executeWithCallback('createCollection', [tableName, indicesList], callback);
+    // options.searchFields: field paths whose text search matches, options.containmentIndex: GIN index for contains
+    // (PostgreSQL), options.schema: JSON Schema the records must match, null to remove it (see strategies/schema.js),
+    // options.generatedColumns: fields stored in columns that filters and sorts read (see strategies/generatedColumns.js)
+    createCollection = (tableName, indicesList, options = {}, callback) => {
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+        this._executeWithCallback('createCollection', [tableName, indicesList, options], callback);
     }
 
     removeCollection = (tableName, callback) => {
         this._executeWithCallback('removeCollection', [tableName], callback);
     }
 
-    addIndex = (tableName, property, callback) => {
-        this._executeWithCallback('addIndex', [tableName, property], callback);
+    // options is optional: {type: 'text'|'numeric'|'boolean'|'timestamp', unique}
+    addIndex = (tableName, property, options = {}, callback) => {
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+        this._executeWithCallback('addIndex', [tableName, property, options], callback);
+    }
+
+    // type is optional, every index of the field is removed without it
+    removeIndex = (tableName, property, type = null, callback) => {
+        if (typeof type === 'function') {
+            callback = type;
+            type = null;
+        }
+        this._executeWithCallback('removeIndex', [tableName, property, type], callback);
+    }
+
+    // [{name, field, type, unique}] for the indices added with createCollection or addIndex
+    listIndexes = (tableName, callback) => {
+        this._executeWithCallback('listIndexes', [tableName], callback);
+    }
+
+    getIndexedFields = (tableName, callback) => {
+        this._executeWithCallback('getIndexedFields', [tableName], callback);
     }
 
     getOneRecord = (tableName, callback) => {
         this._executeWithCallback('getOneRecord', [tableName], callback);
     }
 
-    getAllRecords = (tableName, callback) => {
-        this._executeWithCallback('getAllRecords', [tableName], callback);
+    // page is optional: {limit, offset, cursor} makes the result {results, nextCursor}
+    getAllRecords = (tableName, page = null, projection = null, callback) => {
+        if (typeof page === 'function') {
+            callback = page;
+            page = null;
+            projection = null;
+        } else if (typeof projection === 'function') {
+            callback = projection;
+            projection = null;
+        }
+        this._executeWithCallback('getAllRecords', [tableName, page, projection], callback);
     }
 
     insertRecord = (tableName, pk, record, callback) => {
@@ -141,25 +189,61 @@ class SQLDecorator {
         this._executeWithCallback('deleteRecord', [tableName, pk], callback);
     }
 
-    getRecord = (tableName, pk, callback) => {
-        this._executeWithCallback('getRecord', [tableName, pk], callback);
+    // projection is optional: a list of field paths to include, or {include: [...]} / {exclude: [...]}
+    getRecord = (tableName, pk, projection = null, callback) => {
+        if (typeof projection === 'function') {
+            callback = projection;
+            projection = null;
+        }
+        this._executeWithCallback('getRecord', [tableName, pk, projection], callback);
     }
 
-    filter = (tableName, filterConditions = [], sort = 'asc', max = null, callback) => {
+    // max is a limit, or a page {limit, offset, cursor} making the result {results, nextCursor}
+    filter = (tableName, filterConditions = [], sort = 'asc', max = null, projection = null, callback) => {
         if (typeof filterConditions === 'function') {
             callback = filterConditions;
             filterConditions = [];
             sort = 'asc';
             max = null;
+            projection = null;
         } else if (typeof sort === 'function') {
             callback = sort;
             sort = 'asc';
             max = null;
+            projection = null;
         } else if (typeof max === 'function') {
             callback = max;
             max = null;
+            projection = null;
+        } else if (typeof projection === 'function') {
+            callback = projection;
+            projection = null;
         }
-        this._executeWithCallback('filter', [tableName, filterConditions, sort, max], callback);
+        this._executeWithCallback('filter', [tableName, filterConditions, sort, max, projection], callback);
+    }
+
+    // Returns {query, params, plan} for the query filter would run; withPlan adds the database's plan for it
+    explain = (tableName, filterConditions = [], sort = 'asc', max = null, withPlan = false, callback) => {
+        if (typeof filterConditions === 'function') {
+            callback = filterConditions;
+            filterConditions = [];
+            sort = 'asc';
+            max = null;
+            withPlan = false;
+        } else if (typeof sort === 'function') {
+            callback = sort;
+            sort = 'asc';
+            max = null;
+            withPlan = false;
+        } else if (typeof max === 'function') {
+            callback = max;
+            max = null;
+            withPlan = false;
+        } else if (typeof withPlan === 'function') {
+            callback = withPlan;
+            withPlan = false;
+        }
+        this._executeWithCallback('explain', [tableName, filterConditions, sort, max, withPlan], callback);
     }
 
     addInQueue = (queueName, object, ensureUniqueness = false, callback) => {
@@ -170,6 +254,7 @@ class SQLDecorator {
         this._executeWithCallback('queueSize', [queueName], callback);
     }
 
+    // onlyFirstN is a limit, or a page as in filter
     listQueue = (queueName, sortAfterInsertTime = 'asc', onlyFirstN = null, callback) => {
         this._executeWithCallback('listQueue', [queueName, sortAfterInsertTime, onlyFirstN], callback);
     }
@@ -203,8 +288,43 @@ class SQLDecorator {
         return this._executeTask('removeCollectionAsync', [tableName]);
     }
 
-    count = (tableName, callback) => {
-        return this._executeWithCallback('count', [tableName], callback);
+    count = (tableName, conditions = null, callback) => {
+        if (typeof conditions === 'function') {
+            callback = conditions;
+            conditions = null;
+        }
+        return this._executeWithCallback('count', [tableName, conditions], callback);
+    }
+
+    // aggregates: {name: 'fn(field)' or {fn, field}} with count, sum, avg, min and max; groupBy: field paths
+    aggregate = (tableName, conditions = [], aggregates = {count: 'count'}, groupBy = [], callback) => {
+        if (typeof conditions === 'function') {
+            callback = conditions;
+            conditions = [];
+            aggregates = {count: 'count'};
+            groupBy = [];
+        } else if (typeof aggregates === 'function') {
+            callback = aggregates;
+            aggregates = {count: 'count'};
+            groupBy = [];
+        } else if (typeof groupBy === 'function') {
+            callback = groupBy;
+            groupBy = [];
+        }
+        return this._executeWithCallback('aggregate', [tableName, conditions, aggregates, groupBy], callback);
+    }
+
+    // Records holding every word of text in the searchable fields of the collection, the most relevant first
+    search = (tableName, text, conditions = [], max = null, callback) => {
+        if (typeof conditions === 'function') {
+            callback = conditions;
+            conditions = [];
+            max = null;
+        } else if (typeof max === 'function') {
+            callback = max;
+            max = null;
+        }
+        return this._executeWithCallback('search', [tableName, text, conditions, max], callback);
     }
 
     saveDatabaseAsync = async () => {
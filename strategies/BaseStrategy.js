@@ -20,12 +20,14 @@ class BaseStrategy {
         throw new Error('Not implemented');
     }
 
-    async cleanupDatabase(connection) {
+    // Drops the collections and tables the adapter created, or every table of the database with
+    // options.dropAllTables
+    async cleanupDatabase(connection, options) {
         throw new Error('Not implemented');
     }
 
     // Database schema operations
-    async createCollection(connection, tableName, indicesList) {
+    async createCollection(connection, tableName, indicesList, options) {
         throw new Error('Not implemented');
     }
 
@@ -37,7 +39,19 @@ class BaseStrategy {
         throw new Error('Not implemented');
     }
 
-    async addIndex(connection, tableName, property) {
+    async addIndex(connection, tableName, property, options) {
+        throw new Error('Not implemented');
+    }
+
+    async removeIndex(connection, tableName, property, type) {
+        throw new Error('Not implemented');
+    }
+
+    async listIndexes(connection, tableName) {
+        throw new Error('Not implemented');
+    }
+
+    async getIndexedFields(connection, tableName) {
         throw new Error('Not implemented');
     }
 
@@ -50,7 +64,15 @@ class BaseStrategy {
         throw new Error('Not implemented');
     }
 
-    async count(connection, tableName) {
+    async count(connection, tableName, conditions) {
+        throw new Error('Not implemented');
+    }
+
+    async aggregate(connection, tableName, conditions, aggregates, groupBy) {
+        throw new Error('Not implemented');
+    }
+
+    async search(connection, tableName, text, conditions, max) {
         throw new Error('Not implemented');
     }
 
@@ -88,7 +110,7 @@ class BaseStrategy {
         throw new Error('Not implemented');
     }
 
-    async getRecord(connection, tableName, pk) {
+    async getRecord(connection, tableName, pk, projection) {
         throw new Error('Not implemented');
     }
 
@@ -96,11 +118,15 @@ class BaseStrategy {
         throw new Error('Not implemented');
     }
 
-    async getAllRecords(connection, tableName) {
+    async getAllRecords(connection, tableName, page, projection) {
+        throw new Error('Not implemented');
+    }
+
+    async filter(connection, tableName, conditions, sort, max, projection) {
         throw new Error('Not implemented');
     }
 
-    async filter(connection, tableName, conditions, sort, max) {
+    async explain(connection, tableName, conditions, sort, max, withPlan) {
         throw new Error('Not implemented');
     }
 
@@ -0,0 +1,731 @@
+// strategies/InMemoryStrategy.js
+const BaseStrategy = require('./BaseStrategy');
+const crypto = require('crypto');
+const {
+    isStructuredCondition, parseFilter, compileFilter, likeToRegExp, jsonContains, getSortingField, getSortDirection,
+    getSortKeys, getLimit, NUMERIC_PATTERN
+} = require('./filterConditions');
+const {getPage, decodeCursor, getFetchLimit, toPage} = require('./pagination');
+const {parseProjection, projectData, getFieldValue} = require('./projection');
+const {parseAggregation} = require('./aggregation');
+const {parseSearchFields, parseSearchQuery, tokenize, notSearchable} = require('./search');
+const {parseIndex, getIndexName} = require('./indexes');
+const {parseSchema, compileValidator, checkDocument} = require('./schema');
+const {parseGeneratedColumns} = require('./generatedColumns');
+const {ERROR_CODES} = require('../constants');
+
+// Methods that may be run through executeQuery/executeTransaction, which take {query: methodName, params: args}
+const QUERYABLE_METHODS = [
+    'createCollection', 'removeCollection', 'addIndex', 'removeIndex', 'listIndexes', 'getIndexedFields',
+    'insertRecord', 'updateRecord', 'deleteRecord', 'getRecord', 'getOneRecord', 'getAllRecords', 'filter',
+    'explain', 'count', 'aggregate', 'search',
+    'addInQueue', 'queueSize', 'listQueue', 'getObjectFromQueue', 'deleteObjectFromQueue',
+    'writeKey', 'readKey'
+];
+
+const NUMERIC = new RegExp(NUMERIC_PATTERN);
+
+const COMPARATORS = {
+    '=': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    'in': (a, values) => values.includes(a),
+    'not in': (a, values) => !values.includes(a),
+    'between': (a, [low, high]) => a >= low && a <= high
+};
+
+class InMemoryStrategy extends BaseStrategy {
+    constructor() {
+        super();
+        this._storageDB = null;
+        this.READ_WRITE_KEY_TABLE = "KeyValueTable";
+    }
+
+    // Every table of the store belongs to the adapter, so options.dropAllTables changes nothing
+    async cleanupDatabase(connection, options = {}) {
+        connection.tables.clear();
+    }
+
+    async createDatabase(connection) {
+        return {success: true, message: "Database ready"};
+    }
+
+    // Database schema operations
+    async ensureKeyValueTable(connection) {
+        this._createTable(connection, this.READ_WRITE_KEY_TABLE);
+    }
+
+    async createCollection(connection, tableName, indicesList, options = {}) {
+        if (!/^[a-zA-Z0-9_]+$/.test(tableName)) {
+            throw new Error(`Invalid table name: ${tableName}`);
+        }
+
+        const schema = parseSchema(options);
+        const searchFields = parseSearchFields(options);
+        // Generated columns are only checked, see generatedColumns.js
+        parseGeneratedColumns(options);
+        const table = this._createTable(connection, tableName);
+        if (searchFields.length > 0 && !table.searchFields) {
+            table.searchFields = searchFields;
+        }
+        if (schema !== undefined) {
+            table.validate = compileValidator(schema);
+        }
+        if (indicesList && Array.isArray(indicesList)) {
+            for (const index of indicesList) {
+                await this.addIndex(connection, tableName, index);
+            }
+        }
+    }
+
+    async removeCollection(connection, tableName) {
+        connection.tables.delete(tableName);
+    }
+
+    async removeCollectionAsync(connection, tableName) {
+        return await this.removeCollection(connection, tableName);
+    }
+
+    // Indices only have to be remembered, lookups scan the table either way. Unique ones are enforced on writes.
+    async addIndex(connection, tableName, property, options = {}) {
+        const index = parseIndex(property, options);
+        const table = this._getTable(connection, tableName);
+        const name = getIndexName(tableName, index);
+        if (table.indices.has(name)) {
+            return;
+        }
+
+        if (index.unique) {
+            const values = [...table.rows.values()]
+                .map(row => this._indexValue(row.data, index))
+                .filter(value => value !== null);
+            if (new Set(values).size !== values.length) {
+                throw this._createError(`could not create unique index "${name}"`, ERROR_CODES.UNIQUE_VIOLATION);
+            }
+        }
+        table.indices.set(name, index);
+    }
+
+    // Like DROP INDEX IF EXISTS, removing the index of a missing collection is not an error
+    async removeIndex(connection, tableName, property, type = null) {
+        const removed = parseIndex(property, {type});
+        const indices = connection.tables.get(tableName)?.indices || new Map();
+        for (const [name, index] of indices) {
+            if (index.field === removed.field && (!type || index.type === removed.type)) {
+                indices.delete(name);
+            }
+        }
+    }
+
+    // Indices are named the way the SQL strategies name theirs
+    async listIndexes(connection, tableName) {
+        const indices = connection.tables.get(tableName)?.indices || new Map();
+        return [...indices].map(([name, {field, type, unique}]) => ({name, field, type, unique}));
+    }
+
+    async getIndexedFields(connection, tableName) {
+        return [...new Set((await this.listIndexes(connection, tableName)).map(index => index.field))];
+    }
+
+    // Collection information
+    async getCollections(connection) {
+        return [...connection.tables.keys()].filter(name => name !== this.READ_WRITE_KEY_TABLE);
+    }
+
+    async listCollections(connection) {
+        return await this.getCollections(connection);
+    }
+
+    async count(connection, tableName, conditions = null) {
+        if (conditions && conditions.length !== 0) {
+            const [{count}] = await this.aggregate(connection, tableName, conditions, {count: 'count'});
+            return count;
+        }
+        return this._getTable(connection, tableName).rows.size;
+    }
+
+    // Same results as the SQL strategies: numeric aggregates skip values that are not numbers or numeric strings
+    async aggregate(connection, tableName, conditions = [], aggregates = {count: 'count'}, groupBy = []) {
+        if (typeof conditions === "string" || isStructuredCondition(conditions)) {
+            conditions = [conditions];
+        }
+
+        const spec = parseAggregation(aggregates, groupBy);
+        const predicate = this._convertToSQLQuery(conditions);
+        const groups = new Map();
+        for (const row of this._getTable(connection, tableName).rows.values()) {
+            if (!predicate(row.data)) {
+                continue;
+            }
+            const values = spec.groupBy.map(field => this._getFieldValue(row.data, field));
+            const key = JSON.stringify(values);
+            if (!groups.has(key)) {
+                groups.set(key, {values, rows: []});
+            }
+            groups.get(key).rows.push(row);
+        }
+
+        if (groups.size === 0 && spec.groupBy.length === 0) {
+            groups.set('[]', {values: [], rows: []});
+        }
+
+        return [...groups.values()].map(({values, rows}) => {
+            const result = {};
+            spec.groupBy.forEach((field, index) => {
+                result[field] = this._clone(values[index]);
+            });
+            for (const {name, fn, field} of spec.aggregates) {
+                result[name] = this._aggregateValues(fn, field, rows);
+            }
+            return result;
+        });
+    }
+
+    // Same matches as the SQL strategies, ranked by how often the words occur in the searchable fields
+    async search(connection, tableName, text, conditions = [], max = null) {
+        if (typeof conditions === "string" || isStructuredCondition(conditions)) {
+            conditions = [conditions];
+        }
+
+        const words = parseSearchQuery(text);
+        const table = this._getTable(connection, tableName);
+        if (!table.searchFields) {
+            throw notSearchable(tableName);
+        }
+
+        const predicate = this._convertToSQLQuery(conditions);
+        let entries = [];
+        for (const row of table.rows.values()) {
+            if (!predicate(row.data)) {
+                continue;
+            }
+            const tokens = table.searchFields.flatMap(field => {
+                const value = this._getFieldValue(row.data, field);
+                return value === null ? [] : tokenize(typeof value === 'object' ? JSON.stringify(value) : value);
+            });
+            const counts = words.map(word => tokens.filter(token => token === word).length);
+            if (counts.every(count => count > 0)) {
+                entries.push({row, rank: counts.reduce((total, count) => total + count, 0)});
+            }
+        }
+
+        entries.sort((a, b) => b.rank - a.rank || (a.row.pk < b.row.pk ? -1 : a.row.pk > b.row.pk ? 1 : 0));
+        const limit = getLimit(max);
+        if (limit) {
+            entries = entries.slice(0, limit);
+        }
+        return entries.map(({row}) => this._rowToRecord(row));
+    }
+
+    // Database state management
+    async close(connection) {
+        // Nothing to release, the data lives as long as the connection object
+    }
+
+    async refreshInProgress(connection) {
+        return false;
+    }
+
+    async refresh(connection) {
+        return {message: "Refresh completed"};
+    }
+
+    async refreshAsync(connection) {
+        return {message: "Refresh completed"};
+    }
+
+    async saveDatabase(connection) {
+        return {message: "Database saved"};
+    }
+
+    // Record operations
+    async insertRecord(connection, tableName, pk, record) {
+        const table = this._getTable(connection, tableName);
+        checkDocument(tableName, table.validate, record);
+        if (table.rows.has(pk)) {
+            throw this._createError(`duplicate key value violates unique constraint "${tableName}_pkey"`, ERROR_CODES.UNIQUE_VIOLATION);
+        }
+
+        const row = {pk, data: this._clone(record), __timestamp: Date.now()};
+        this._checkUniqueIndices(table, row);
+        table.rows.set(pk, row);
+        return this._rowToRecord(row);
+    }
+
+    async updateRecord(connection, tableName, pk, record) {
+        const table = this._getTable(connection, tableName);
+        checkDocument(tableName, table.validate, record);
+        if (!table.rows.has(pk)) return null;
+
+        const row = {pk, data: this._clone(record), __timestamp: Date.now()};
+        this._checkUniqueIndices(table, row);
+        table.rows.set(pk, row);
+        return this._rowToRecord(row);
+    }
+
+    async deleteRecord(connection, tableName, pk) {
+        const table = this._getTable(connection, tableName);
+        const row = table.rows.get(pk);
+        if (!row) return null;
+
+        table.rows.delete(pk);
+        return {
+            pk: row.pk,
+            data: this._clone(row.data),
+            __timestamp: row.__timestamp
+        };
+    }
+
+    async getRecord(connection, tableName, pk, projection = null) {
+        const fields = parseProjection(projection);
+        const row = this._getTable(connection, tableName).rows.get(pk);
+        if (!row) return null;
+        return projectData(this._clone(row.data), fields);
+    }
+
+    async getOneRecord(connection, tableName) {
+        const [row] = this._getTable(connection, tableName).rows.values();
+        if (!row) return null;
+        return this._clone(row.data);
+    }
+
+    async getAllRecords(connection, tableName, page = null, projection = null) {
+        if (getPage(page)) {
+            return this.filter(connection, tableName, [], 'asc', page, projection);
+        }
+
+        const fields = parseProjection(projection);
+        return [...this._getTable(connection, tableName).rows.values()].map(row => this._rowToRecord(row, fields));
+    }
+
+    async filter(connection, tableName, conditions = [], sort = 'asc', max = null, projection = null) {
+        if (typeof conditions === "string" || isStructuredCondition(conditions)) {
+            conditions = [conditions];
+        }
+
+        if (typeof conditions === "function") {
+            max = Infinity;
+            sort = "asc";
+            conditions = [];
+        }
+
+        if (typeof sort === "function") {
+            max = Infinity;
+            sort = "asc";
+        }
+
+        if (typeof max === "function") {
+            max = Infinity;
+        }
+
+        if (!max) {
+            max = Infinity;
+        }
+
+        const page = getPage(max);
+        const fields = parseProjection(projection);
+        let rows = [...this._getTable(connection, tableName).rows.values()];
+
+        if (conditions && conditions.length > 0) {
+            const predicate = this._convertToSQLQuery(conditions);
+            rows = rows.filter(row => predicate(row.data));
+        }
+
+        const sortKeys = getSortKeys(sort, this.__getSortingField(conditions));
+        let entries = rows.map(row => ({row, values: this._getSortValues(row, sortKeys)}));
+        entries.sort((a, b) => this._compareSortValues(a.values, b.values, sortKeys));
+
+        if (!page) {
+            const limit = getLimit(max);
+            if (limit) {
+                entries = entries.slice(0, limit);
+            }
+            return entries.map(({row}) => this._rowToRecord(row, fields));
+        }
+
+        if (page.cursor) {
+            const after = decodeCursor(page.cursor, sortKeys);
+            if (after.length !== sortKeys.length + 1) {
+                throw new Error('Invalid cursor');
+            }
+            entries = entries.filter(({values}) => this._compareSortValues(values, after, sortKeys) > 0);
+        }
+        const limit = getFetchLimit(page);
+        entries = entries.slice(page.offset, limit ? page.offset + limit : undefined);
+
+        return toPage(entries, page, sortKeys, ({values}) => values, ({row}) => this._rowToRecord(row, fields));
+    }
+
+    // There is no SQL to show: the query is the filter call as executeQuery takes it, and the plan is a full scan
+    async explain(connection, tableName, conditions = [], sort = 'asc', max = null, withPlan = false) {
+        if (typeof conditions === "string" || isStructuredCondition(conditions)) {
+            conditions = [conditions];
+        }
+
+        const table = this._getTable(connection, tableName);
+        this._convertToSQLQuery(conditions);
+        getSortKeys(sort, this.__getSortingField(conditions));
+        if (!getPage(max)) {
+            getLimit(max);
+        }
+
+        const plan = withPlan ? {scan: tableName, rows: table.rows.size} : null;
+        return {query: 'filter', params: [tableName, conditions, sort, max], plan};
+    }
+
+    // Queue operations
+    async addInQueue(connection, queueName, object, ensureUniqueness = false) {
+        const hash = crypto.createHash('sha256').update(JSON.stringify(object)).digest('hex');
+        let pk = hash;
+
+        if (ensureUniqueness) {
+            const random = crypto.randomBytes(5).toString('base64');
+            pk = `${hash}_${Date.now()}_${random}`;
+        }
+
+        await this.insertRecord(connection, queueName, pk, object);
+        return pk;
+    }
+
+    async queueSize(connection, queueName) {
+        return await this.count(connection, queueName);
+    }
+
+    async listQueue(connection, queueName, sortAfterInsertTime = 'asc', onlyFirstN = null) {
+        if (getPage(onlyFirstN)) {
+            const sort = [{field: '__timestamp', direction: getSortDirection(sortAfterInsertTime)}];
+            const {results, nextCursor} = await this.filter(connection, queueName, [], sort, onlyFirstN);
+            return {results: results.map(record => record.pk), nextCursor};
+        }
+
+        const direction = getSortDirection(sortAfterInsertTime) === 'DESC' ? -1 : 1;
+        let rows = [...this._getTable(connection, queueName).rows.values()];
+        rows.sort((a, b) => direction * (a.__timestamp - b.__timestamp));
+
+        const limit = getLimit(onlyFirstN);
+        if (limit) {
+            rows = rows.slice(0, limit);
+        }
+
+        return rows.map(row => row.pk);
+    }
+
+    async getObjectFromQueue(connection, queueName, hash) {
+        return await this.getRecord(connection, queueName, hash);
+    }
+
+    async deleteObjectFromQueue(connection, queueName, hash) {
+        const deleted = await this.deleteRecord(connection, queueName, hash);
+        return deleted ? deleted.data : null;
+    }
+
+    // Key-value operations
+    async writeKey(connection, key, value) {
+        await this.ensureKeyValueTable(connection);
+        const table = this._getTable(connection, this.READ_WRITE_KEY_TABLE);
+        const data = value === undefined ? null : this._clone(value);
+
+        table.rows.set(key, {pk: key, data, __timestamp: Date.now()});
+        return this._clone(data);
+    }
+
+    async readKey(connection, key) {
+        if (!connection.tables.has(this.READ_WRITE_KEY_TABLE)) return null;
+        return await this.getRecord(connection, this.READ_WRITE_KEY_TABLE, key);
+    }
+
+    // Storage reference
+    get storageDB() {
+        return this._storageDB;
+    }
+
+    set storageDB(value) {
+        this._storageDB = value;
+    }
+
+    // Helper methods
+    // There is no SQL here: conditions are compiled into a predicate over a record's data instead
+    _convertToSQLQuery(conditions) {
+        if (!conditions || !Array.isArray(conditions) || conditions.length === 0) {
+            return () => true;
+        }
+
+        try {
+            // Predicates return null for unknown, so NOT treats missing fields the way SQL does
+            const predicate = compileFilter(parseFilter(conditions), ({field, operator, value, type}) => {
+                // A missing field contains nothing, rather than being unknown
+                if (operator === 'contains') {
+                    return data => jsonContains(field ? this._getFieldValue(data, field) : data, value);
+                }
+
+                const fieldValue = data => this._getFieldValue(data, field);
+
+                if (type === 'null') {
+                    return data => (fieldValue(data) === null) === (operator === '=');
+                }
+
+                const compare = COMPARATORS[operator];
+                let test;
+                if (operator === 'like' || operator === 'ilike' || operator === 'regex') {
+                    const regex = operator === 'regex'
+                        ? new RegExp(value)
+                        : new RegExp(likeToRegExp(value), operator === 'ilike' ? 'iu' : 'u');
+                    test = current => regex.test(typeof current === 'object' ? JSON.stringify(current) : String(current));
+                } else if (!compare) {
+                    throw new Error(`Unsupported operator: ${operator}`);
+                } else if (type === 'number') {
+                    test = current => this._isNumeric(current) ? compare(Number(current), value) : null;
+                } else if (type === 'boolean') {
+                    test = current => compare(String(current).toLowerCase(), `${value}`);
+                } else {
+                    test = current => compare(String(current), value);
+                }
+
+                return data => fieldValue(data) === null ? null : test(fieldValue(data));
+            }, (group, predicates) => {
+                if (group === 'not') {
+                    return data => {
+                        const result = predicates[0](data);
+                        return result === null ? null : !result;
+                    };
+                }
+
+                const decisive = group === 'and' ? false : true;
+                return data => {
+                    let unknown = false;
+                    for (const predicate of predicates) {
+                        const result = predicate(data);
+                        if (result === decisive) {
+                            return decisive;
+                        }
+                        unknown = unknown || result === null;
+                    }
+                    return unknown ? null : !decisive;
+                };
+            });
+
+            return data => predicate(data) === true;
+        } catch (err) {
+            throw new Error(`Error processing filter conditions: ${err.message}`);
+        }
+    }
+
+    __getSortingField(filterConditions) {
+        return getSortingField(filterConditions);
+    }
+
+    // The values a row is sorted by, followed by its pk. They also make up the cursors of the pages.
+    _getSortValues(row, sortKeys) {
+        const values = sortKeys.map(({field}) => {
+            return field === '__timestamp' || field === 'pk' ? row[field] : this._getFieldValue(row.data, field);
+        });
+        return [...values, row.pk];
+    }
+
+    // Same ordering as compileOrderBy builds for the SQL strategies, pk being the final tie-breaker
+    _compareSortValues(a, b, sortKeys) {
+        for (const [index, {direction, nulls, type}] of sortKeys.entries()) {
+            const left = a[index];
+            const right = b[index];
+
+            if (left === null || right === null) {
+                if (left === null && right === null) {
+                    continue;
+                }
+                return (left === null ? 1 : -1) * (nulls === 'last' ? 1 : -1);
+            }
+
+            const result = this._compareValues(left, right, type);
+            if (result !== 0) {
+                return direction === 'DESC' ? -result : result;
+            }
+        }
+
+        const pkA = a[sortKeys.length];
+        const pkB = b[sortKeys.length];
+        return pkA < pkB ? -1 : pkA > pkB ? 1 : 0;
+    }
+
+    // Resolves a field path such as batch.items[0].gtin, null when any part of it is missing
+    _getFieldValue(data, field) {
+        const value = getFieldValue(data, field);
+        return value === undefined ? null : value;
+    }
+
+    // The value an index of that type holds for a record, compared the way filter conditions of the type compare it.
+    // null leaves the record out of the index.
+    _indexValue(data, {field, type}) {
+        const value = this._getFieldValue(data, field);
+        if (value === null) {
+            return null;
+        }
+        if (type === 'numeric') {
+            return this._isNumeric(value) ? Number(value) : null;
+        }
+        if (type === 'boolean') {
+            const text = String(value).toLowerCase();
+            return text === 'true' || text === 'false' ? text : null;
+        }
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    _checkUniqueIndices(table, row) {
+        for (const [name, index] of table.indices) {
+            const value = index.unique ? this._indexValue(row.data, index) : null;
+            if (value === null) {
+                continue;
+            }
+            for (const other of table.rows.values()) {
+                if (other.pk !== row.pk && this._indexValue(other.data, index) === value) {
+                    const message = `duplicate key value violates unique constraint "${name}"`;
+                    throw this._createError(message, ERROR_CODES.UNIQUE_VIOLATION);
+                }
+            }
+        }
+    }
+
+    _aggregateValues(fn, field, rows) {
+        if (fn === 'count') {
+            return field ? rows.filter(row => this._getFieldValue(row.data, field) !== null).length : rows.length;
+        }
+
+        const numbers = rows
+            .map(row => this._getFieldValue(row.data, field))
+            .filter(value => this._isNumeric(value))
+            .map(Number);
+        if (numbers.length === 0) {
+            return null;
+        }
+
+        switch (fn) {
+            case 'sum':
+                return numbers.reduce((total, value) => total + value, 0);
+            case 'avg':
+                return numbers.reduce((total, value) => total + value, 0) / numbers.length;
+            case 'min':
+                return numbers.reduce((min, value) => Math.min(min, value));
+            default:
+                return numbers.reduce((max, value) => Math.max(max, value));
+        }
+    }
+
+    // Numbers and numeric strings, the values the SQL strategies can cast to numbers
+    _isNumeric(value) {
+        return typeof value === 'number' || (typeof value === 'string' && NUMERIC.test(value));
+    }
+
+    // Orders numbers before other values unless every value is compared as a number or a string
+    _compareValues(a, b, type = 'auto') {
+        if (type === 'number') {
+            const left = Number(a);
+            const right = Number(b);
+            if (isNaN(left) || isNaN(right)) {
+                return isNaN(left) - isNaN(right);
+            }
+            return left - right;
+        }
+        if (type === 'auto' && (typeof a === 'number' || typeof b === 'number')) {
+            if (typeof a === 'number' && typeof b === 'number') {
+                return a - b;
+            }
+            return typeof a === 'number' ? -1 : 1;
+        }
+        const left = typeof a === 'object' ? JSON.stringify(a) : String(a);
+        const right = typeof b === 'object' ? JSON.stringify(b) : String(b);
+        return left < right ? -1 : left > right ? 1 : 0;
+    }
+
+    _clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    _createTable(connection, tableName) {
+        if (!connection.tables.has(tableName)) {
+            connection.tables.set(tableName, {rows: new Map(), indices: new Map()});
+        }
+        return connection.tables.get(tableName);
+    }
+
+    _getTable(connection, tableName) {
+        const table = connection.tables.get(tableName);
+        if (!table) {
+            throw this._createError(`relation "${tableName}" does not exist`, ERROR_CODES.UNDEFINED_TABLE);
+        }
+        return table;
+    }
+
+    _rowToRecord(row, projection = null) {
+        return {
+            ...projectData(this._clone(row.data), projection),
+            pk: row.pk,
+            __timestamp: row.__timestamp
+        };
+    }
+
+    _createError(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        error.type = 'DatabaseError';
+        return error;
+    }
+
+    _snapshot(connection) {
+        const snapshot = new Map();
+        for (const [name, table] of connection.tables) {
+            snapshot.set(name, {...table, rows: new Map(table.rows), indices: new Map(table.indices)});
+        }
+        return snapshot;
+    }
+
+    // Transaction handling
+    async executeQuery(connection, query, params = []) {
+        if (process.env.DEBUG) {
+            console.log('=== Execute Query Debug ===');
+            console.log('Query:', query);
+            console.log('Params:', params);
+            console.log('========================');
+        }
+
+        let methodName = query;
+        let args = params;
+        if (query && typeof query === 'object') {
+            methodName = query.query;
+            args = query.params || params;
+        }
+
+        if (!QUERYABLE_METHODS.includes(methodName)) {
+            throw new Error(`Unsupported in-memory query: ${methodName}`);
+        }
+
+        return await this[methodName](connection, ...args);
+    }
+
+    async executeTransaction(connection, queries) {
+        if (process.env.DEBUG) {
+            console.log('=== Execute Transaction Debug ===');
+            console.log('Queries:', queries);
+            console.log('==============================');
+        }
+
+        // Rows are replaced rather than mutated, so copying the maps is enough to roll back
+        const snapshot = this._snapshot(connection);
+        try {
+            const results = [];
+            for (const queryData of queries) {
+                if (!queryData || (typeof queryData !== 'string' && typeof queryData !== 'object')) {
+                    throw new Error('Invalid query format');
+                }
+                results.push(await this.executeQuery(connection, queryData));
+            }
+            return results;
+        } catch (err) {
+            connection.tables = snapshot;
+            throw err;
+        }
+    }
+}
+
+module.exports = InMemoryStrategy;
@@ -1,96 +1,477 @@
 // strategies/MySQLStrategy.js
 const BaseStrategy = require('./BaseStrategy');
 const crypto = require('crypto');
+const {
+    validateTableName, toJSONPath, isStructuredCondition, parseFilter, compileFilter, combineSQL,
+    compareSQL, getSortingField, getSortDirection, getSortKeys, getOrderByTerms, compileOrderBy, getLimit,
+    NUMERIC_PATTERN
+} = require('./filterConditions');
+const {
+    getPage, decodeCursor, compileKeyset, selectSortTerms, getSortTermValues, getFetchLimit, toPage
+} = require('./pagination');
+const {parseProjection, selectData, toProjectedRow} = require('./projection');
+const {parseAggregation, compileAggregate, groupExpression, toAggregateRow} = require('./aggregation');
+const {SEARCH_COLUMN, parseSearchFields, parseSearchQuery, notSearchable} = require('./search');
+const {INDEX_TYPES, parseIndex, getIndexName, findIndexes} = require('./indexes');
+const {parseSchema, compileValidator, checkDocument} = require('./schema');
+const {CollectionCache} = require('./collectionCache');
+const {
+    parseGeneratedColumns, getColumnName, toGeneratedColumns, findGeneratedColumn
+} = require('./generatedColumns');
+const {ERROR_CODES} = require('../constants');
+
+// mysql2 error codes that have a PostgreSQL equivalent callers already handle
+const MYSQL_ERROR_CODES = {
+    ER_NO_SUCH_TABLE: ERROR_CODES.UNDEFINED_TABLE,
+    ER_BAD_TABLE_ERROR: ERROR_CODES.UNDEFINED_TABLE,
+    ER_BAD_FIELD_ERROR: ERROR_CODES.UNDEFINED_COLUMN,
+    ER_DUP_ENTRY: ERROR_CODES.UNIQUE_VIOLATION
+};
+
+// LONGTEXT cannot be indexed, so text indices hold the first characters of the text (see _compareText)
+const INDEXED_TEXT_LENGTH = 512;
+
+const GENERATED_COLUMN_SQL_TYPES = {
+    text: `VARCHAR(${INDEXED_TEXT_LENGTH}) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin`,
+    numeric: 'DECIMAL(65,30)',
+    boolean: 'TINYINT'
+};
 
 class MySQLStrategy extends BaseStrategy {
     constructor() {
         super();
         this._storageDB = null;
+        this.READ_WRITE_KEY_TABLE = "KeyValueTable";
+        this.COLLECTIONS_TABLE = "collections";
+        this._generatedColumns = new CollectionCache();
+    }
+
+    // Drops the collections createCollection made and the key-value table, leaving the other tables of the database
+    // alone. The catalog stays, so that the tables registered without being created by the adapter are not taken for
+    // its own later. {dropAllTables: true} drops every table of the database instead.
+    async cleanupDatabase(connection, options = {}) {
+        console.log('DEBUG: Starting database cleanup');
+        this._generatedColumns.clear();
+
+        if (!options?.dropAllTables) {
+            await this.createCollectionsTable(connection);
+            const owned = await this.executeQuery(connection, `
+                SELECT name FROM \`${this.COLLECTIONS_TABLE}\` WHERE owned ORDER BY name
+            `);
+            for (const {name} of owned) {
+                console.log('DEBUG: Dropping collection:', name);
+                await this.removeCollection(connection, name);
+            }
+            await this.executeQuery(connection, `DROP TABLE IF EXISTS \`${this.READ_WRITE_KEY_TABLE}\``);
+            console.log('DEBUG: Database cleanup completed');
+            return;
+        }
+
+        const query = `
+            SELECT table_name AS name
+            FROM information_schema.tables
+            WHERE table_schema = DATABASE()
+            AND table_type = 'BASE TABLE'
+        `;
+
+        const rows = await this.executeQuery(connection, query);
+        for (const row of rows) {
+            console.log('DEBUG: Dropping table:', row.name);
+            await this.executeQuery(connection, `DROP TABLE IF EXISTS \`${row.name}\``);
+        }
+
+        console.log('DEBUG: Database cleanup completed');
+    }
+
+    async createDatabase(connection) {
+        await this.createCollectionsTable(connection);
+        await this.ensureKeyValueTable(connection);
+        return {success: true, message: "Database ready"};
     }
 
     // Database schema operations
-    createCollectionsTable() {
-        return `
-            CREATE TABLE IF NOT EXISTS collections (
+    // Catalog of the collections. owned marks the collections createCollection made, which cleanupDatabase drops;
+    // catalogs from before it get the column, owning their collections, which cleanupDatabase used to drop.
+    async createCollectionsTable(connection) {
+        const query = `
+            CREATE TABLE IF NOT EXISTS \`${this.COLLECTIONS_TABLE}\` (
                 name VARCHAR(255) PRIMARY KEY,
-                indices TEXT
+                indices TEXT,
+                json_schema LONGTEXT,
+                owned BOOLEAN NOT NULL DEFAULT FALSE
             );
         `;
+        await this.executeQuery(connection, query);
+        const owned = await this.executeQuery(connection, `
+            SELECT 1
+            FROM information_schema.columns
+            WHERE table_schema = DATABASE() AND table_name = ? AND column_name = 'owned'
+        `, [this.COLLECTIONS_TABLE]);
+        if (owned.length === 0) {
+            await this.executeQuery(connection, `
+                ALTER TABLE \`${this.COLLECTIONS_TABLE}\` ADD COLUMN owned BOOLEAN NOT NULL DEFAULT TRUE
+            `);
+        }
     }
 
-    createKeyValueTable(tableName) {
-        return `
+    async ensureKeyValueTable(connection) {
+        await this.createKeyValueTable(connection, this.READ_WRITE_KEY_TABLE);
+    }
+
+    async createKeyValueTable(connection, tableName) {
+        const query = `
             CREATE TABLE IF NOT EXISTS \`${tableName}\` (
                 pk VARCHAR(255) PRIMARY KEY,
                 data JSON,
                 __timestamp BIGINT
             );
         `;
+        return await this.executeQuery(connection, query);
     }
 
-    createCollection(tableName, indicesList) {
-        const queries = [
-            {
-                query: this.createKeyValueTable(tableName),
-                params: []
-            },
-            {
-                query: this.insertCollection(),
-                params: {name: tableName, indices: JSON.stringify(indicesList || [])}
+    async createCollection(connection, tableName, indicesList, options = {}) {
+        if (!/^[a-zA-Z0-9_]+$/.test(tableName)) {
+            throw new Error(`Invalid table name: ${tableName}`);
+        }
+
+        const schema = parseSchema(options);
+        const searchFields = parseSearchFields(options);
+        const generatedColumns = parseGeneratedColumns(options);
+        const indices = (Array.isArray(indicesList) ? indicesList : []).map(index => parseIndex(index));
+        const fields = [...new Set(indices.map(index => index.field))];
+        // A table that was already there stays another's, unless createCollection made it before
+        const existing = await this.executeQuery(connection, `
+            SELECT 1 FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = ?
+        `, [tableName]);
+        // DDL statements commit implicitly in MySQL, so these run one by one instead of in a transaction
+        const result = await this.createKeyValueTable(connection, tableName);
+        await this.createCollectionsTable(connection);
+        await this.executeQuery(connection, this.insertCollection(), [
+            tableName, JSON.stringify(fields), existing.length === 0
+        ]);
+        this._generatedColumns.delete(tableName);
+        if (schema !== undefined) {
+            await this._writeSchema(connection, tableName, schema);
+        }
+
+        if (searchFields.length > 0 && !await this._isSearchable(connection, tableName)) {
+            await this._createSearchIndex(connection, tableName, searchFields);
+        }
+        if (generatedColumns.length > 0) {
+            await this._addGeneratedColumns(connection, tableName, generatedColumns);
+        }
+
+        for (const index of indices) {
+            await this.addIndex(connection, tableName, index);
+        }
+
+        return result;
+    }
+
+    // InnoDB only builds FULLTEXT indexes over stored columns, so the text of the fields is a generated column
+    async _createSearchIndex(connection, tableName, searchFields) {
+        const text = searchFields.map(field => this._getSortExpressions(field).text).join(', ');
+        await this.executeQuery(connection, `
+            ALTER TABLE \`${tableName}\`
+            ADD COLUMN ${SEARCH_COLUMN} LONGTEXT GENERATED ALWAYS AS (CONCAT_WS(' ', ${text})) STORED,
+            ADD FULLTEXT INDEX \`${tableName}${SEARCH_COLUMN}\` (${SEARCH_COLUMN})
+        `);
+    }
+
+    // Indices of the promoted fields built on the expression are rebuilt on the column by addIndex
+    async _addGeneratedColumns(connection, tableName, generatedColumns) {
+        this._generatedColumns.delete(tableName);
+        const existing = await this._readGeneratedColumns(connection, tableName);
+        const indices = await this._readIndexes(connection, tableName);
+        for (const column of generatedColumns.filter(column => !existing.has(getColumnName(column)))) {
+            await this.executeQuery(connection, `
+                ALTER TABLE \`${tableName}\`
+                ADD COLUMN \`${getColumnName(column)}\` ${GENERATED_COLUMN_SQL_TYPES[column.type]}
+                GENERATED ALWAYS AS (${this._typedExpression(column.field, column.type)}) STORED
+            `);
+            this._generatedColumns.delete(tableName);
+
+            const index = indices.get(`idx_${getIndexName(tableName, column)}`);
+            if (index) {
+                await this.addIndex(connection, tableName, {...column, unique: index.unique});
             }
-        ];
-
-        if (indicesList && Array.isArray(indicesList)) {
-            for (const index of indicesList) {
-                queries.push({
-                    query: this.createIndex(tableName, index),
-                    params: []
-                });
+        }
+    }
+
+    // Kept until the strategy changes the columns of the table (see collectionCache.js)
+    async _readGeneratedColumns(connection, tableName) {
+        return this._generatedColumns.get(tableName, async () => {
+            const rows = await this.executeQuery(connection, `
+                SELECT column_name AS name
+                FROM information_schema.columns
+                WHERE table_schema = DATABASE() AND table_name = ?
+            `, [tableName]);
+            return toGeneratedColumns(rows.map(row => row.name));
+        });
+    }
+
+    // Runs a query built on the generated columns of the table. A column that is gone, as when another worker of the
+    // pool recreated the collection without it, makes it run again with the columns read anew.
+    async _withGeneratedColumns(connection, tableName, run) {
+        try {
+            return await run(await this._readGeneratedColumns(connection, tableName));
+        } catch (error) {
+            if (error.code !== ERROR_CODES.UNDEFINED_COLUMN) {
+                throw error;
             }
+            this._generatedColumns.delete(tableName);
+            return await run(await this._readGeneratedColumns(connection, tableName));
         }
+    }
 
-        return queries;
+    async _isSearchable(connection, tableName) {
+        const rows = await this.executeQuery(connection, `
+            SELECT 1
+            FROM information_schema.columns
+            WHERE table_schema = DATABASE() AND table_name = ? AND column_name = ?
+        `, [tableName, SEARCH_COLUMN]);
+        return rows.length > 0;
     }
 
-    createIndex(tableName, index) {
-        return `
-            CREATE INDEX IF NOT EXISTS idx_${tableName}_${index}
-            ON ${tableName}((CAST(JSON_EXTRACT(data, '$.${index}') AS SIGNED)));
-        `;
+    async addIndex(connection, tableName, property, options = {}) {
+        validateTableName(tableName);
+        this._generatedColumns.delete(tableName);
+        const index = parseIndex(property, options);
+        const indexName = `idx_${getIndexName(tableName, index)}`;
+        const existing = (await this._readIndexes(connection, tableName)).get(indexName);
+        const columns = await this._readGeneratedColumns(connection, tableName);
+        const column = findGeneratedColumn(columns, index.field, index.type);
+
+        // Indices are rebuilt once no condition compares their expression: text indices used to be built on
+        // CAST(... AS SIGNED), and conditions on a promoted field compare its column. Unique text indices used to
+        // hold the prefix alone.
+        const hashed = index.unique && index.type === 'text';
+        const stale = existing && (
+            /\bas signed\b/i.test(existing.expression || '') || column && existing.expression
+            || hashed && existing.keyParts === 1
+        );
+        if (stale) {
+            await this.executeQuery(connection, `DROP INDEX \`${indexName}\` ON \`${tableName}\``);
+        }
+
+        let result;
+        if (!existing || stale) {
+            // A functional index cannot be built on a column alone. Texts sharing their indexed prefix are told apart
+            // by a hash of the whole text, which conditions never compare: they narrow the rows down with the prefix.
+            const keys = [column ? `\`${column}\`` : `(${this._typedExpression(index.field, index.type)})`];
+            if (hashed) {
+                keys.push(`(SHA2(${this._getSortExpressions(index.field).text}, 256))`);
+            }
+            result = await this.executeQuery(connection, `
+                CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX \`${indexName}\`
+                ON \`${tableName}\` (${keys.join(', ')});
+            `);
+        }
+
+        await this._updateCatalogIndices(connection, tableName, indices => [...new Set([...indices, index.field])]);
+        return result;
+    }
+
+    // Removes the index of the given type, or every index of the field when type is null
+    async removeIndex(connection, tableName, property, type = null) {
+        validateTableName(tableName);
+        const index = parseIndex(property, {type});
+        const existing = await this._readIndexes(connection, tableName);
+        for (const indexType of type ? [index.type] : INDEX_TYPES) {
+            const indexName = `idx_${getIndexName(tableName, {field: index.field, type: indexType})}`;
+            if (existing.has(indexName)) {
+                await this.executeQuery(connection, `DROP INDEX \`${indexName}\` ON \`${tableName}\``);
+            }
+        }
+
+        if (!type) {
+            await this._updateCatalogIndices(connection, tableName, indices => indices.filter(f => f !== index.field));
+        }
+    }
+
+    // The indices added with createCollection or addIndex that still exist, as {name, field, type, unique}
+    async listIndexes(connection, tableName) {
+        validateTableName(tableName);
+        const fields = await this._readCatalogIndices(connection, tableName);
+        const existing = await this._readIndexes(connection, tableName);
+        const names = new Map([...existing].map(([name, {unique}]) => [name, unique]));
+        return findIndexes(tableName, fields, names, 'idx_');
+    }
+
+    async getIndexedFields(connection, tableName) {
+        return [...new Set((await this.listIndexes(connection, tableName)).map(index => index.field))];
+    }
+
+    // The indices of the table by name, as {unique, keyParts, expression} with the expression of their first key part
+    async _readIndexes(connection, tableName) {
+        const rows = await this.executeQuery(connection, `
+            SELECT index_name AS name, MAX(non_unique) AS non_unique, COUNT(*) AS key_parts,
+                MAX(CASE WHEN seq_in_index = 1 THEN expression END) AS expression
+            FROM information_schema.statistics
+            WHERE table_schema = DATABASE() AND table_name = ?
+            GROUP BY index_name
+        `, [tableName]);
+        return new Map(rows.map(row => [row.name, {
+            unique: !Number(row.non_unique),
+            keyParts: Number(row.key_parts),
+            expression: row.expression
+        }]));
+    }
+
+    async _readCatalogIndices(connection, tableName) {
+        await this.createCollectionsTable(connection);
+        const rows = await this.executeQuery(connection, `
+            SELECT indices FROM \`${this.COLLECTIONS_TABLE}\` WHERE name = ?
+        `, [tableName]);
+        return rows.length ? JSON.parse(rows[0].indices || '[]') : [];
     }
 
-    addIndex(tableName, property) {
-        return this.createIndex(tableName, property);
+    // Collections missing from the catalog are left alone
+    async _updateCatalogIndices(connection, tableName, update) {
+        const indices = update(await this._readCatalogIndices(connection, tableName));
+        await this.executeQuery(connection, `
+            UPDATE \`${this.COLLECTIONS_TABLE}\` SET indices = ? WHERE name = ?
+        `, [JSON.stringify(indices), tableName]);
     }
 
-    removeCollection(tableName) {
-        return [
-            {
-                query: `DROP TABLE IF EXISTS \`${tableName}\``,
-                params: []
-            },
-            {
-                query: this.deleteFromCollection(),
-                params: {name: tableName}
+    // Catalogs created before collections had schemas get the column when the first schema is written
+    async _writeSchema(connection, tableName, schema) {
+        const columns = await this.executeQuery(connection, `
+            SELECT 1
+            FROM information_schema.columns
+            WHERE table_schema = DATABASE() AND table_name = ? AND column_name = 'json_schema'
+        `, [this.COLLECTIONS_TABLE]);
+        if (columns.length === 0) {
+            await this.executeQuery(connection, `
+                ALTER TABLE \`${this.COLLECTIONS_TABLE}\` ADD COLUMN json_schema LONGTEXT
+            `);
+        }
+        await this.executeQuery(connection, `
+            UPDATE \`${this.COLLECTIONS_TABLE}\` SET json_schema = ? WHERE name = ?
+        `, [schema === null ? null : JSON.stringify(schema), tableName]);
+    }
+
+    // The JSON Schema of a collection, null when it has none or the catalog has no schemas yet
+    async _readSchema(connection, tableName) {
+        try {
+            const rows = await this.executeQuery(connection, `
+                SELECT json_schema FROM \`${this.COLLECTIONS_TABLE}\` WHERE name = ?
+            `, [tableName]);
+            return rows.length && rows[0].json_schema ? JSON.parse(rows[0].json_schema) : null;
+        } catch (error) {
+            if (error.code === ERROR_CODES.UNDEFINED_TABLE || error.code === ERROR_CODES.UNDEFINED_COLUMN) {
+                return null;
             }
-        ];
+            throw error;
+        }
+    }
+
+    // Read for every write and compiled once per schema (see schema.js)
+    async _getValidator(connection, tableName) {
+        return compileValidator(await this._readSchema(connection, tableName));
+    }
+
+    async removeCollection(connection, tableName) {
+        const result = await this.executeQuery(connection, `DROP TABLE IF EXISTS \`${tableName}\``);
+        await this.createCollectionsTable(connection);
+        await this.executeQuery(connection, this.deleteFromCollection(), [tableName]);
+        this._generatedColumns.delete(tableName);
+        return result;
     }
 
     async removeCollectionAsync(connection, tableName) {
-        return await this.executeTransaction(connection, this.removeCollection(tableName));
+        return await this.removeCollection(connection, tableName);
     }
 
     // Collection information
-    getCollections() {
-        return `SELECT name FROM collections`;
+    async getCollections(connection) {
+        await this.createCollectionsTable(connection);
+        const rows = await this.executeQuery(connection, `SELECT name FROM \`${this.COLLECTIONS_TABLE}\``);
+        return rows.map(row => row.name);
     }
 
-    listCollections() {
-        return this.getCollections();
+    async listCollections(connection) {
+        return await this.getCollections(connection);
     }
 
-    count(tableName) {
-        return `SELECT COUNT(*) as count FROM \`${tableName}\``;
+    async count(connection, tableName, conditions = null) {
+        if (conditions && conditions.length !== 0) {
+            const [{count}] = await this.aggregate(connection, tableName, conditions, {count: 'count'});
+            return count;
+        }
+
+        const rows = await this.executeQuery(connection, `SELECT COUNT(*) AS count FROM \`${tableName}\``);
+        return parseInt(rows[0].count, 10) || 0;
+    }
+
+    // Aggregates over the records matching the conditions, one row per group (see aggregation.js)
+    async aggregate(connection, tableName, conditions = [], aggregates = {count: 'count'}, groupBy = []) {
+        if (typeof conditions === "string" || isStructuredCondition(conditions)) {
+            conditions = [conditions];
+        }
+
+        validateTableName(tableName);
+        const spec = parseAggregation(aggregates, groupBy);
+        const groups = spec.groupBy.map(field => groupExpression(this._extractJSON(field)));
+        const rows = await this._withGeneratedColumns(connection, tableName, columns => {
+            const params = [];
+            const getExpressions = field => this._getSortExpressions(field, columns);
+            const selected = [
+                ...groups.map((group, index) => `${group} AS __group_${index}`),
+                ...spec.aggregates.map((aggregate, index) => (
+                    `${compileAggregate(aggregate, getExpressions)} AS __aggregate_${index}`
+                ))
+            ];
+
+            let query = `SELECT ${selected.join(', ')} FROM \`${tableName}\``;
+            const whereClause = this._convertToSQLQuery(conditions, params, columns);
+            if (whereClause) {
+                query += ` WHERE ${whereClause}`;
+            }
+            if (groups.length > 0) {
+                query += ` GROUP BY ${groups.join(', ')}`;
+            }
+            return this.executeQuery(connection, query, params);
+        });
+        return rows.map(row => toAggregateRow(row, spec));
+    }
+
+    // Records holding every word of the query in their searchable fields (see search.js), the most relevant first.
+    // The FULLTEXT index skips stopwords and words shorter than innodb_ft_min_token_size.
+    async search(connection, tableName, text, conditions = [], max = null) {
+        if (typeof conditions === "string" || isStructuredCondition(conditions)) {
+            conditions = [conditions];
+        }
+
+        validateTableName(tableName);
+        const words = parseSearchQuery(text);
+        if (!await this._isSearchable(connection, tableName)) {
+            throw notSearchable(tableName);
+        }
+
+        const against = `MATCH(${SEARCH_COLUMN}) AGAINST(? IN BOOLEAN MODE)`;
+        const terms = words.map(word => `+${word}`).join(' ');
+        const limit = getLimit(max);
+        const rows = await this._withGeneratedColumns(connection, tableName, columns => {
+            const params = [terms, terms];
+            let query = `
+                SELECT pk, data, __timestamp, ${against} AS __rank
+                FROM \`${tableName}\`
+                WHERE ${against}
+            `;
+            const whereClause = this._convertToSQLQuery(conditions, params, columns);
+            if (whereClause) {
+                query += ` AND ${whereClause}`;
+            }
+            query += ' ORDER BY __rank DESC, pk ASC';
+
+            if (limit) {
+                params.push(limit);
+                query += ' LIMIT ?';
+            }
+            return this.executeQuery(connection, query, params);
+        });
+        return rows.map(row => this._rowToRecord(row));
     }
 
     // Database state management
@@ -99,95 +480,169 @@ class MySQLStrategy extends BaseStrategy {
     }
 
     async closeConnection(connection) {
-        if (connection) {
-            await connection.end();
+        try {
+            if (connection) {
+                await connection.end();
+            }
+        } catch (error) {
+            if (!error.message.includes('Pool is closed')) {
+                throw error;
+            }
         }
     }
 
-    refreshInProgress() {
+    async refreshInProgress(connection) {
         return false; // MySQL doesn't have a long-running refresh process
     }
 
-    async refresh(connection, callback) {
+    async refresh(connection) {
         // MySQL doesn't need explicit refresh
-        callback();
+        return {message: "Refresh completed"};
     }
 
     async refreshAsync(connection) {
-        // MySQL doesn't need explicit refresh
-        return Promise.resolve();
+        return {message: "Refresh completed"};
     }
 
-    async saveDatabase(connection, callback) {
+    async saveDatabase(connection) {
         // MySQL auto-saves, no explicit action needed
-        callback(undefined, {message: "Database saved"});
+        return {message: "Database saved"};
     }
 
     // Record operations
-    insertRecord(tableName) {
-        return `
+    async insertRecord(connection, tableName, pk, record) {
+        checkDocument(tableName, await this._getValidator(connection, tableName), record);
+        const query = `
             INSERT INTO \`${tableName}\` (pk, data, __timestamp)
             VALUES (?, ?, ?)
         `;
+        const timestamp = Date.now();
+        await this.executeQuery(connection, query, [pk, JSON.stringify(record), timestamp]);
+
+        return {
+            ...record,
+            pk,
+            __timestamp: timestamp
+        };
     }
 
-    updateRecord(tableName) {
-        return `
+    async updateRecord(connection, tableName, pk, record) {
+        checkDocument(tableName, await this._getValidator(connection, tableName), record);
+        const query = `
             UPDATE \`${tableName}\`
             SET data        = ?,
                 __timestamp = ?
             WHERE pk = ?
         `;
-    }
+        const timestamp = Date.now();
+        const result = await this.executeQuery(connection, query, [JSON.stringify(record), timestamp, pk]);
 
-    deleteRecord(tableName) {
-        return `DELETE FROM \`${tableName}\` WHERE pk = ?`;
+        if (!result.affectedRows) return null;
+        return {
+            ...record,
+            pk,
+            __timestamp: timestamp
+        };
     }
 
-    getRecord(tableName) {
-        return `SELECT data, __timestamp FROM \`${tableName}\` WHERE pk = ?`;
+    async deleteRecord(connection, tableName, pk) {
+        // MySQL has no RETURNING clause, so the row is read and deleted in one transaction
+        const [rows] = await this.executeTransaction(connection, [
+            {query: `SELECT pk, data, __timestamp FROM \`${tableName}\` WHERE pk = ? FOR UPDATE`, params: [pk]},
+            {query: `DELETE FROM \`${tableName}\` WHERE pk = ?`, params: [pk]}
+        ]);
+
+        if (!rows?.[0]) return null;
+        return {
+            pk: rows[0].pk,
+            data: this._parseData(rows[0].data),
+            __timestamp: rows[0].__timestamp
+        };
     }
 
-    getOneRecord(tableName) {
-        return `SELECT data, __timestamp FROM \`${tableName}\` LIMIT 1`;
+    async getRecord(connection, tableName, pk, projection = null) {
+        const fields = parseProjection(projection);
+        const query = `SELECT ${this._selectData(fields)}, __timestamp FROM \`${tableName}\` WHERE pk = ?`;
+        const rows = await this.executeQuery(connection, query, [pk]);
+
+        if (!rows?.[0]) return null;
+        return this._parseData(toProjectedRow(rows[0], fields).data);
     }
 
-    getAllRecords(tableName) {
-        return `SELECT pk, data, __timestamp FROM \`${tableName}\``;
+    async getOneRecord(connection, tableName) {
+        const rows = await this.executeQuery(connection, `SELECT data, __timestamp FROM \`${tableName}\` LIMIT 1`);
+
+        if (!rows?.[0]) return null;
+        return this._parseData(rows[0].data);
     }
 
-    filter(tableName, conditions, sort, max) {
-        return `
-            SELECT pk, data, __timestamp FROM \`${tableName}\`
-            ${conditions ? `WHERE ${conditions}` : ''}
-            ORDER BY ${sort.field} ${sort.direction}
-            ${max ? `LIMIT ${max}` : ''}
-        `;
+    async getAllRecords(connection, tableName, page = null, projection = null) {
+        if (getPage(page)) {
+            return this.filter(connection, tableName, [], 'asc', page, projection);
+        }
+
+        const fields = parseProjection(projection);
+        const query = `SELECT pk, ${this._selectData(fields)}, __timestamp FROM \`${tableName}\``;
+        const rows = await this.executeQuery(connection, query);
+        return rows.map(row => this._rowToRecord(row, fields));
     }
 
-    convertToSQLQuery(conditions) {
-        if (!conditions || conditions.length === 0) {
-            return {};
+    async filter(connection, tableName, conditions = [], sort = 'asc', max = null, projection = null) {
+        if (typeof conditions === "string" || isStructuredCondition(conditions)) {
+            conditions = [conditions];
         }
 
-        const andConditions = conditions.map(condition => {
-            const [field, operator, value] = condition.split(/\s+/);
-            return this.formatFilterCondition(field, operator, value);
-        });
+        if (typeof conditions === "function") {
+            max = Infinity;
+            sort = "asc";
+            conditions = [];
+        }
 
-        return andConditions.join(' AND ');
-    }
+        if (typeof sort === "function") {
+            max = Infinity;
+            sort = "asc";
+        }
 
-    __getSortingField(filterConditions) {
-        if (filterConditions && filterConditions.length) {
-            const splitCondition = filterConditions[0].split(" ");
-            return splitCondition[0];
+        if (typeof max === "function") {
+            max = Infinity;
+        }
+
+        if (!max) {
+            max = Infinity;
+        }
+
+        validateTableName(tableName);
+        const run = async columns => {
+            const compiled = this._compileFilterQuery(tableName, conditions, sort, max, projection, columns);
+            return {...compiled, rows: await this.executeQuery(connection, compiled.query, compiled.params)};
+        };
+        const {rows, page, sortKeys, terms, fields} = await this._withGeneratedColumns(connection, tableName, run);
+        if (!page) {
+            return rows.map(row => this._rowToRecord(row, fields));
         }
-        return '__timestamp';
+        return toPage(
+            rows, page, sortKeys, row => getSortTermValues(row, terms), row => this._rowToRecord(row, fields)
+        );
     }
 
-    formatFilterCondition(field, operator, value) {
-        return `CAST(JSON_EXTRACT(data, '$.${field}') AS DECIMAL) ${operator} ${value.replace(/['"]/g, '')}`;
+    // The SQL and parameters of a filter without running it, with the plan MySQL would run it with if asked
+    async explain(connection, tableName, conditions = [], sort = 'asc', max = null, withPlan = false) {
+        if (typeof conditions === "string" || isStructuredCondition(conditions)) {
+            conditions = [conditions];
+        }
+
+        validateTableName(tableName);
+        return this._withGeneratedColumns(connection, tableName, async columns => {
+            const {query, params} = this._compileFilterQuery(
+                tableName, conditions, sort, max || Infinity, null, columns
+            );
+            let plan = null;
+            if (withPlan) {
+                const [row] = await this.executeQuery(connection, `EXPLAIN FORMAT=JSON ${query}`, params);
+                plan = typeof row.EXPLAIN === 'string' ? JSON.parse(row.EXPLAIN) : row.EXPLAIN;
+            }
+            return {query: query.trim(), params, plan};
+        });
     }
 
     // Queue operations
@@ -200,47 +655,71 @@ class MySQLStrategy extends BaseStrategy {
             pk = `${hash}_${Date.now()}_${random}`;
         }
 
-        const params = {
-            pk,
-            data: JSON.stringify(object),
-            timestamp: Date.now()
-        };
+        const query = `
+            INSERT INTO \`${queueName}\` (pk, data, __timestamp)
+            VALUES (?, ?, ?)
+        `;
 
-        await this.executeQuery(connection, this.insertRecord(queueName), params);
+        await this.executeQuery(connection, query, [pk, JSON.stringify(object), Date.now()]);
         return pk;
     }
 
-    queueSize(queueName) {
-        return this.count(queueName);
+    async queueSize(connection, queueName) {
+        return await this.count(connection, queueName);
     }
 
-    listQueue(queueName, sortAfterInsertTime = 'asc', onlyFirstN) {
-        return this.filter(queueName, null,
-            {field: '__timestamp', direction: sortAfterInsertTime.toUpperCase()},
-            onlyFirstN
-        );
+    async listQueue(connection, queueName, sortAfterInsertTime = 'asc', onlyFirstN = null) {
+        if (getPage(onlyFirstN)) {
+            const sort = [{field: '__timestamp', direction: getSortDirection(sortAfterInsertTime)}];
+            const {results, nextCursor} = await this.filter(connection, queueName, [], sort, onlyFirstN);
+            return {results: results.map(record => record.pk), nextCursor};
+        }
+
+        validateTableName(queueName);
+        const direction = getSortDirection(sortAfterInsertTime);
+        const params = [];
+        let query = `
+            SELECT pk
+            FROM \`${queueName}\`
+            ORDER BY __timestamp ${direction}
+        `;
+
+        const limit = getLimit(onlyFirstN);
+        if (limit) {
+            query += ` LIMIT ?`;
+            params.push(limit);
+        }
+
+        const rows = await this.executeQuery(connection, query, params);
+        return rows.map(row => row.pk);
     }
 
-    getObjectFromQueue(queueName, hash) {
-        return this.getRecord(queueName);
+    async getObjectFromQueue(connection, queueName, hash) {
+        return await this.getRecord(connection, queueName, hash);
     }
 
-    deleteObjectFromQueue(queueName, hash) {
-        return this.deleteRecord(queueName);
+    async deleteObjectFromQueue(connection, queueName, hash) {
+        const deleted = await this.deleteRecord(connection, queueName, hash);
+        return deleted ? deleted.data : null;
     }
 
     // Key-value operations
-    writeKey(tableName) {
-        return `
-            INSERT INTO \`${tableName}\` (pk, data, __timestamp)
+    async writeKey(connection, key, value) {
+        await this.ensureKeyValueTable(connection);
+        const query = `
+            INSERT INTO \`${this.READ_WRITE_KEY_TABLE}\` (pk, data, __timestamp)
             VALUES (?, ?, ?)
             ON DUPLICATE KEY UPDATE
             data = VALUES(data), __timestamp = VALUES(__timestamp)
         `;
+
+        await this.executeQuery(connection, query, [key, JSON.stringify(value), Date.now()]);
+        return value === undefined ? null : value;
     }
 
-    readKey(tableName, key) {
-        return this.getRecord(tableName);
+    async readKey(connection, key) {
+        await this.ensureKeyValueTable(connection);
+        return await this.getRecord(connection, this.READ_WRITE_KEY_TABLE, key);
     }
 
     // Storage reference
@@ -252,135 +731,294 @@ class MySQLStrategy extends BaseStrategy {
         this._storageDB = value;
     }
 
-    // Transaction handling
-    async executeQuery(connection, query, params = {}) {
-        // Convert params object to array and handle parameter binding
-        const values = [];
-        let processedQuery = query;
+    // Helper methods
+    // The query of a filter and its parameters, with what is needed to read its rows
+    _compileFilterQuery(tableName, conditions, sort, max, projection, columns = null) {
+        validateTableName(tableName);
+        const page = getPage(max);
+        const fields = parseProjection(projection);
+        const params = [];
+        const bind = (value) => {
+            params.push(value);
+            return '?';
+        };
+        const where = [];
 
-        // Handle named parameters (@param) to MySQL style (?)
-        processedQuery = query.replace(/@(\w+)/g, (match, paramName) => {
-            if (params[paramName] !== undefined) {
-                values.push(params[paramName]);
-                return '?';
+        if (conditions && conditions.length > 0) {
+            const whereClause = this._convertToSQLQuery(conditions, params, columns);
+            if (whereClause) {
+                where.push(whereClause);
             }
-            return match;
-        });
+        }
 
-        return await connection.query(processedQuery, values);
-    }
+        const sortKeys = getSortKeys(sort, this.__getSortingField(conditions));
+        const terms = getOrderByTerms(sortKeys, field => this._getSortExpressions(field, columns));
+        if (page?.cursor) {
+            where.push(compileKeyset(terms, decodeCursor(page.cursor, sortKeys), bind));
+        }
 
-    async executeTransaction(connection, queries) {
-        const conn = await connection.getConnection();
-        try {
-            await conn.beginTransaction();
-            const results = [];
+        let query = `
+        SELECT pk, ${this._selectData(fields)}, __timestamp${page ? `, ${selectSortTerms(terms)}` : ''}
+        FROM \`${tableName}\`
+        `;
+        if (where.length > 0) {
+            query += ` WHERE ${where.join(' AND ')}`;
+        }
+        query += ` ORDER BY ${compileOrderBy(terms)}`;
 
-            for (const {query, params = {}} of queries) {
-                // Process each query's parameters
-                const values = [];
-                let processedQuery = query;
+        const limit = page ? getFetchLimit(page) : getLimit(max);
+        if (limit) {
+            query += ` LIMIT ${bind(limit)}`;
+        }
+        if (page?.offset) {
+            // MySQL has no OFFSET without LIMIT, the largest row count stands for no limit
+            query += `${limit ? '' : ' LIMIT 18446744073709551615'} OFFSET ${bind(page.offset)}`;
+        }
 
-                processedQuery = query.replace(/@(\w+)/g, (match, paramName) => {
-                    if (params[paramName] !== undefined) {
-                        values.push(params[paramName]);
-                        return '?';
-                    }
-                    return match;
-                });
+        return {query, params, page, sortKeys, terms, fields};
+    }
 
-                results.push(await conn.query(processedQuery, values));
-            }
+    // columns are the generated columns of the table, which replace the expressions they hold
+    _convertToSQLQuery(conditions, params = [], columns = null) {
+        if (!conditions || !Array.isArray(conditions) || conditions.length === 0) {
+            return '';
+        }
 
-            await conn.commit();
-            return results;
+        const bind = (value) => {
+            params.push(value);
+            return '?';
+        };
+
+        try {
+            return compileFilter(parseFilter(conditions), ({field, operator, value, type}) => {
+                // Unlike @>, JSON_CONTAINS also finds scalars in nested arrays. A missing field contains nothing.
+                if (operator === 'contains') {
+                    const target = field ? `JSON_EXTRACT(data, '${toJSONPath(field)}')` : 'data';
+                    return `COALESCE(JSON_CONTAINS(${target}, CAST(${bind(JSON.stringify(value))} AS JSON)), 0)`;
+                }
+
+                // A missing key and a JSON null both become SQL NULL, as with PostgreSQL's ->>
+                const jsonValue = `JSON_EXTRACT(data, '${toJSONPath(field)}')`;
+                const textValue = `JSON_UNQUOTE(NULLIF(${jsonValue}, CAST('null' AS JSON)))`;
+
+                if (type === 'null') {
+                    return `${textValue} IS ${operator === '!=' ? 'NOT ' : ''}NULL`;
+                }
+
+                // The binary collation keeps patterns case-sensitive whatever the collation of the connection
+                if (operator === 'like') {
+                    return `${textValue} COLLATE utf8mb4_bin LIKE ${bind(value)}`;
+                }
+                if (operator === 'ilike') {
+                    return `LOWER(${textValue}) COLLATE utf8mb4_bin LIKE LOWER(${bind(value)})`;
+                }
+                if (operator === 'regex') {
+                    return `${textValue} COLLATE utf8mb4_bin REGEXP ${bind(value)}`;
+                }
+
+                // CAST would turn text that is not numeric into 0
+                if (type === 'number') {
+                    return compareSQL(this._typedExpression(field, 'numeric', columns), operator, value, bind);
+                }
+
+                if (type === 'boolean') {
+                    return compareSQL(this._typedExpression(field, 'boolean', columns), operator, value ? 1 : 0, bind);
+                }
+
+                return this._compareText(field, operator, value, bind, columns);
+            }, combineSQL);
         } catch (err) {
-            await conn.rollback();
-            throw err;
-        } finally {
-            conn.release();
+            throw new Error(`Error processing filter conditions: ${err.message}`);
         }
     }
 
-    // Collection maintenance
-    insertCollection() {
-        return `
-        INSERT INTO collections (name, indices)
-        VALUES (?, ?)
-        ON DUPLICATE KEY UPDATE indices = ?;
-    `;
+    __getSortingField(filterConditions) {
+        return getSortingField(filterConditions);
     }
 
-    deleteFromCollection() {
-        return 'DELETE FROM collections WHERE name = ?';
+    // The text column of a promoted field only holds a prefix in a binary collation, so sorts keep the whole text
+    _getSortExpressions(field, columns = null) {
+        const json = `JSON_EXTRACT(data, '${toJSONPath(field)}')`;
+        return {
+            text: `JSON_UNQUOTE(NULLIF(${json}, CAST('null' AS JSON)))`,
+            isNumber: `JSON_TYPE(${json}) IN ('INTEGER', 'UNSIGNED INTEGER', 'DOUBLE', 'DECIMAL')`,
+            number: `CAST(${json} AS DECIMAL(65,30))`,
+            castNumber: this._typedExpression(field, 'numeric', columns)
+        };
     }
 
-    parseWriteKeyResult(result) {
-        if (!result || !result.recordset || !result.recordset.length) return null;
-        try {
-            return result.recordset[0].data ? JSON.parse(result.recordset[0].data) : null;
-        } catch (e) {
-            console.error('Error parsing JSON:', e);
-            return null;
+    // The expression conditions of an index type compare, which the index is built on, or among the generated
+    // columns of the table the column holding it
+    _typedExpression(field, type, columns = null) {
+        const column = findGeneratedColumn(columns, field, type);
+        if (column) {
+            return `\`${column}\``;
         }
+
+        const json = `JSON_EXTRACT(data, '${toJSONPath(field)}')`;
+        if (type === 'numeric') {
+            return `CASE WHEN JSON_UNQUOTE(${json}) REGEXP '${NUMERIC_PATTERN}' `
+                + `THEN CAST(JSON_UNQUOTE(${json}) AS DECIMAL(65,30)) END`;
+        }
+        if (type === 'boolean') {
+            return `CASE JSON_UNQUOTE(${json}) WHEN 'true' THEN 1 WHEN 'false' THEN 0 END`;
+        }
+        const text = this._getSortExpressions(field).text;
+        return `CAST(LEFT(${text}, ${INDEXED_TEXT_LENGTH}) AS CHAR(${INDEXED_TEXT_LENGTH})) COLLATE utf8mb4_bin`;
     }
 
-    parseReadKeyResult(result) {
-        if (!result || !result.recordset || !result.recordset.length) return null;
-        try {
-            return result.recordset[0].data ? JSON.parse(result.recordset[0].data) : null;
-        } catch (e) {
-            console.error('Error parsing JSON:', e);
-            return null;
+    // Compares the whole text, and where a text index can narrow the rows down its indexed prefix as well:
+    // a < b implies that the prefix of a is at most the prefix of b, and so on
+    _compareText(field, operator, value, bind, columns = null) {
+        if (operator === '!=' || operator === 'not in') {
+            return compareSQL(this._getSortExpressions(field).text, operator, value, bind);
         }
+
+        const prefixOperator = {'<': '<=', '>': '>='}[operator] || operator;
+        const prefix = compareSQL(this._typedExpression(field, 'text', columns), prefixOperator, value, text => {
+            return `LEFT(${bind(text)}, ${INDEXED_TEXT_LENGTH})`;
+        });
+        return `(${prefix} AND ${compareSQL(this._getSortExpressions(field).text, operator, value, bind)})`;
     }
 
-    parseCountResult(result) {
-        return result[0].count;
+    _parseData(data) {
+        if (typeof data === 'string') {
+            // MariaDB stores JSON columns as LONGTEXT and returns them unparsed
+            return JSON.parse(data);
+        }
+        return data;
     }
 
-    parseCollectionsResult(result) {
-        return result.map(row => row.name);
+    // JSON text of a field, NULL when it is missing
+    _extractJSON(field) {
+        return `CAST(JSON_EXTRACT(data, '${toJSONPath(field)}') AS CHAR)`;
     }
 
-    parseInsertResult(result, pk, record) {
-        return {...record, pk};
+    _selectData(projection) {
+        return selectData(projection, {
+            extract: field => this._extractJSON(field),
+            remove: fields => `JSON_REMOVE(data, ${fields.map(field => `'${toJSONPath(field)}'`).join(', ')})`
+        });
     }
 
-    parseUpdateResult(result) {
-        return result.affectedRows > 0;
+    _rowToRecord(row, projection = null) {
+        return {
+            ...this._parseData(toProjectedRow(row, projection).data),
+            pk: row.pk,
+            __timestamp: row.__timestamp
+        };
     }
 
-    parseDeleteResult(result, pk) {
-        return result.affectedRows > 0 ? {pk} : null;
+    _toSerializableError(error) {
+        const serializableError = new Error(error.message);
+        serializableError.code = MYSQL_ERROR_CODES[error.code] || error.code;
+        serializableError.type = 'DatabaseError';
+        return serializableError;
     }
 
-    parseGetResult(result) {
-        if (!result || !result.recordset || !result.recordset.length) return null;
-        const row = result.recordset[0];
-        try {
-            return row.data ? JSON.parse(row.data) : null;
-        } catch (e) {
-            console.error('Error parsing JSON:', e);
-            return null;
-        }
-    }
-
-    parseFilterResults(result) {
-        if (!result || !Array.isArray(result)) return [];
-        return result.map(row => {
-            try {
-                return {
-                    pk: row.pk,
-                    ...JSON.parse(row.data || '{}'),
-                    __timestamp: row.__timestamp
-                };
-            } catch (e) {
-                return null;
+    // Collection maintenance
+    insertCollection() {
+        return `
+            INSERT INTO \`${this.COLLECTIONS_TABLE}\` (name, indices, owned)
+            VALUES (?, ?, ?)
+            ON DUPLICATE KEY UPDATE owned = owned OR VALUES(owned);
+        `;
+    }
+
+    deleteFromCollection() {
+        return `DELETE FROM \`${this.COLLECTIONS_TABLE}\` WHERE name = ?`;
+    }
+
+    // Transaction handling
+    _bindParams(query, params) {
+        if (Array.isArray(params)) {
+            return {query, values: params};
+        }
+
+        // Handle named parameters (@param) to MySQL style (?)
+        const values = [];
+        const processedQuery = query.replace(/@(\w+)/g, (match, paramName) => {
+            if (params && params[paramName] !== undefined) {
+                values.push(params[paramName]);
+                return '?';
             }
-        }).filter(Boolean);
+            return match;
+        });
+
+        return {query: processedQuery, values};
     }
 
+    async executeQuery(connection, query, params = []) {
+        if (process.env.DEBUG) {
+            console.log('=== Execute Query Debug ===');
+            console.log('Query:', query);
+            console.log('Params:', params);
+            console.log('========================');
+        }
+
+        let queryText = query;
+        let queryParams = params;
+        if (query && typeof query === 'object') {
+            queryText = query.query;
+            queryParams = query.params || params;
+        }
+
+        if (!queryText) {
+            throw new Error('Query string is required');
+        }
+
+        try {
+            const bound = this._bindParams(queryText, queryParams);
+            const [rows] = await connection.query(bound.query, bound.values);
+            return rows;
+        } catch (error) {
+            throw this._toSerializableError(error);
+        }
+    }
+
+    async executeTransaction(connection, queries) {
+        if (process.env.DEBUG) {
+            console.log('=== Execute Transaction Debug ===');
+            console.log('Queries:', queries);
+            console.log('==============================');
+        }
+
+        const conn = await connection.getConnection();
+        try {
+            await conn.beginTransaction();
+            const results = [];
+
+            for (const queryData of queries) {
+                let queryText = '';
+                let params = [];
+
+                if (typeof queryData === 'string') {
+                    queryText = queryData;
+                } else if (queryData && typeof queryData === 'object') {
+                    queryText = queryData.query;
+                    params = queryData.params || [];
+                } else {
+                    throw new Error('Invalid query format');
+                }
+
+                if (!queryText) {
+                    throw new Error('Query string is required');
+                }
+
+                const bound = this._bindParams(queryText, params);
+                const [rows] = await conn.query(bound.query, bound.values);
+                results.push(rows);
+            }
+
+            await conn.commit();
+            return results;
+        } catch (err) {
+            await conn.rollback();
+            throw this._toSerializableError(err);
+        } finally {
+            conn.release();
+        }
+    }
 }
 
-module.exports = MySQLStrategy;
\ No newline at end of file
+module.exports = MySQLStrategy;
@@ -1,16 +1,56 @@
 // strategies/PostgreSQLStrategy.js
 const BaseStrategy = require('./BaseStrategy');
 const crypto = require('crypto');
+const {
+    validateTableName, parseFieldPath, isStructuredCondition, parseFilter, compileFilter, combineSQL, compareSQL,
+    getSortingField, getSortDirection, getSortKeys, getOrderByTerms, compileOrderBy, getLimit
+} = require('./filterConditions');
+const {
+    getPage, decodeCursor, compileKeyset, selectSortTerms, getSortTermValues, getFetchLimit, toPage
+} = require('./pagination');
+const {parseProjection, selectData, toProjectedRow} = require('./projection');
+const {parseAggregation, compileAggregate, groupExpression, toAggregateRow} = require('./aggregation');
+const {SEARCH_COLUMN, parseSearchFields, parseSearchQuery, notSearchable} = require('./search');
+const {INDEX_TYPES, parseIndex, getIndexName, findIndexes} = require('./indexes');
+const {parseSchema, compileValidator, checkDocument} = require('./schema');
+const {CollectionCache} = require('./collectionCache');
+const {
+    parseGeneratedColumns, getColumnName, toGeneratedColumns, findGeneratedColumn
+} = require('./generatedColumns');
+const {ERROR_CODES} = require('../constants');
+
+const GENERATED_COLUMN_SQL_TYPES = {text: 'TEXT', numeric: 'NUMERIC', boolean: 'BOOLEAN'};
 
 class PostgreSQLStrategy extends BaseStrategy {
     constructor() {
         super();
         this._storageDB = null;
         this.READ_WRITE_KEY_TABLE = "KeyValueTable";
+        this.COLLECTIONS_TABLE = "collections";
+        this._generatedColumns = new CollectionCache();
     }
 
-    async cleanupDatabase(connection) {
+    // Drops the collections createCollection made and the key-value table, leaving the other tables of a shared
+    // database alone. The catalog stays, so that the tables registered without being created by the adapter are not
+    // taken for its own later. {dropAllTables: true} drops every table of the public schema instead, along with what
+    // depends on them.
+    async cleanupDatabase(connection, options = {}) {
         console.log('DEBUG: Starting database cleanup');
+        this._generatedColumns.clear();
+
+        if (!options?.dropAllTables) {
+            await this.createCollectionsTable(connection);
+            const owned = await this.executeQuery(connection, `
+                SELECT name FROM "${this.COLLECTIONS_TABLE}" WHERE owned ORDER BY name
+            `);
+            for (const {name} of owned.rows) {
+                console.log('DEBUG: Dropping collection:', name);
+                await this.removeCollection(connection, name);
+            }
+            await this.executeQuery(connection, `DROP TABLE IF EXISTS "${this.READ_WRITE_KEY_TABLE}"`);
+            console.log('DEBUG: Database cleanup completed');
+            return;
+        }
 
         // Get all tables
         const query = `
@@ -35,6 +75,7 @@ class PostgreSQLStrategy extends BaseStrategy {
 
     async createDatabase(connection) {
         try {
+            await this.ensureKeyValueTable(connection);
             return {success: true, message: "Database ready"};
         } catch (error) {
             console.error('Error in createDatabase:', error);
@@ -54,11 +95,78 @@ class PostgreSQLStrategy extends BaseStrategy {
         await this.executeQuery(connection, query);
     }
 
-    async createCollection(connection, tableName, indicesList) {
+    // Catalog of the collections with the indices and options they were created with. owned marks the collections
+    // createCollection made, which cleanupDatabase drops.
+    async createCollectionsTable(connection) {
+        const existing = await this.executeQuery(connection, 'SELECT to_regclass($1) AS name', [
+            `"${this.COLLECTIONS_TABLE}"`
+        ]);
+        if (existing.rows[0].name) {
+            return;
+        }
+
+        // Tables with the columns of a collection that were created before the catalog are registered with it, not
+        // owned, so that getCollections keeps listing them. The indices addIndex used to build on their top-level
+        // fields, named after the table and the field, are registered with them.
+        await this.executeTransaction(connection, [{
+            query: `
+                CREATE TABLE IF NOT EXISTS "${this.COLLECTIONS_TABLE}" (
+                    name TEXT PRIMARY KEY,
+                    indices JSONB NOT NULL DEFAULT '[]',
+                    options JSONB NOT NULL DEFAULT '{}',
+                    created_at BIGINT,
+                    owned BOOLEAN NOT NULL DEFAULT FALSE
+                );
+            `,
+            params: []
+        }, {
+            query: `
+                INSERT INTO "${this.COLLECTIONS_TABLE}" (name)
+                SELECT tables.table_name
+                FROM information_schema.tables AS tables
+                WHERE tables.table_schema = 'public'
+                AND tables.table_type = 'BASE TABLE'
+                AND tables.table_name NOT IN ($1, $2)
+                AND tables.table_name NOT LIKE 'pg_%'
+                AND (
+                    SELECT string_agg(columns.column_name, ',' ORDER BY columns.column_name COLLATE "C")
+                    FROM information_schema.columns AS columns
+                    WHERE columns.table_schema = 'public' AND columns.table_name = tables.table_name
+                ) = '__timestamp,data,pk'
+                ON CONFLICT (name) DO NOTHING
+            `,
+            params: [this.READ_WRITE_KEY_TABLE, this.COLLECTIONS_TABLE]
+        }, {
+            query: `
+                UPDATE "${this.COLLECTIONS_TABLE}" AS catalog
+                SET indices = (
+                    SELECT COALESCE(jsonb_agg(legacy.field ORDER BY legacy.field), '[]')
+                    FROM pg_indexes AS indexes
+                    CROSS JOIN LATERAL (SELECT substr(indexes.indexname, length(catalog.name) + 2) AS field) AS legacy
+                    WHERE indexes.schemaname = 'public'
+                    AND indexes.tablename = catalog.name
+                    AND starts_with(indexes.indexname, catalog.name || '_')
+                    AND legacy.field ~ '^[a-zA-Z_][a-zA-Z0-9_]*$'
+                    AND position('__' IN legacy.field) = 0
+                    AND position('(data ->> ''' || legacy.field || '''::text)' IN indexes.indexdef) > 0
+                )
+                WHERE NOT catalog.owned
+            `,
+            params: []
+        }]);
+    }
+
+    async createCollection(connection, tableName, indicesList, options = {}) {
         if (!/^[a-zA-Z0-9_]+$/.test(tableName)) {
             throw new Error(`Invalid table name: ${tableName}`);
         }
 
+        // The schema is kept with the other options in the catalog
+        parseSchema(options);
+        const searchFields = parseSearchFields(options);
+        const generatedColumns = parseGeneratedColumns(options);
+        const indices = (Array.isArray(indicesList) ? indicesList : []).map(index => parseIndex(index));
+        const fields = [...new Set(indices.map(index => index.field))];
         const query = `
         CREATE TABLE IF NOT EXISTS "${tableName}" (
             pk TEXT PRIMARY KEY,
@@ -67,44 +175,292 @@ class PostgreSQLStrategy extends BaseStrategy {
         );
     `;
 
-        return await this.executeQuery(connection, query);
+        await this.createCollectionsTable(connection);
+        // A table that was already there stays another's, unless createCollection made it before
+        const existing = await this.executeQuery(connection, 'SELECT to_regclass($1) AS name', [`"${tableName}"`]);
+        const results = await this.executeTransaction(connection, [
+            {query, params: []},
+            {
+                query: this.insertCollection(),
+                params: [
+                    tableName, JSON.stringify(fields), JSON.stringify(options || {}), Date.now(), !existing.rows[0].name
+                ]
+            }
+        ]);
+        this._generatedColumns.delete(tableName);
+
+        if (searchFields.length > 0) {
+            await this._createSearchIndex(connection, tableName, searchFields);
+        }
+        if (options?.containmentIndex) {
+            await this.executeQuery(connection, `
+                CREATE INDEX IF NOT EXISTS "${tableName}__data" ON "${tableName}" USING GIN (data jsonb_path_ops)
+            `);
+        }
+        if (generatedColumns.length > 0) {
+            await this._addGeneratedColumns(connection, tableName, generatedColumns);
+        }
+        for (const index of indices) {
+            await this.addIndex(connection, tableName, index);
+        }
+        return results[0];
+    }
+
+    // The 'simple' configuration lowercases words without stemming them, like the other strategies
+    async _createSearchIndex(connection, tableName, searchFields) {
+        const text = searchFields.map(field => `coalesce(${this._jsonPath(field, true)}, '')`).join(` || ' ' || `);
+        await this.executeQuery(connection, `
+            ALTER TABLE "${tableName}"
+            ADD COLUMN IF NOT EXISTS ${SEARCH_COLUMN} tsvector
+            GENERATED ALWAYS AS (to_tsvector('simple', ${text})) STORED
+        `);
+        await this.executeQuery(connection, `
+            CREATE INDEX IF NOT EXISTS "${tableName}${SEARCH_COLUMN}"
+            ON "${tableName}" USING GIN (${SEARCH_COLUMN})
+        `);
+    }
+
+    // Indices of the promoted fields built on the expression are rebuilt on the column, which filters now compare
+    async _addGeneratedColumns(connection, tableName, generatedColumns) {
+        this._generatedColumns.delete(tableName);
+        const existing = await this._readGeneratedColumns(connection, tableName);
+        const indices = await this.executeQuery(connection, `
+            SELECT indexname, indexdef LIKE 'CREATE UNIQUE %' AS is_unique
+            FROM pg_indexes
+            WHERE schemaname = 'public' AND tablename = $1
+        `, [tableName]);
+        const unique = new Map(indices.rows.map(row => [row.indexname, row.is_unique]));
+
+        for (const column of generatedColumns.filter(column => !existing.has(getColumnName(column)))) {
+            const columnName = getColumnName(column);
+            const indexName = getIndexName(tableName, column);
+            const indexColumn = `"${tableName}" ("${columnName}")`;
+            await this.executeTransaction(connection, [
+                `
+                    ALTER TABLE "${tableName}"
+                    ADD COLUMN "${columnName}" ${GENERATED_COLUMN_SQL_TYPES[column.type]}
+                    GENERATED ALWAYS AS (${this._typedExpression(column.field, column.type)}) STORED
+                `,
+                ...unique.has(indexName) ? [
+                    `DROP INDEX "${indexName}"`,
+                    `CREATE ${unique.get(indexName) ? 'UNIQUE ' : ''}INDEX "${indexName}" ON ${indexColumn}`
+                ] : []
+            ]);
+            this._generatedColumns.delete(tableName);
+        }
+    }
+
+    // Kept until the strategy changes the columns of the table (see collectionCache.js)
+    async _readGeneratedColumns(connection, tableName) {
+        return this._generatedColumns.get(tableName, async () => {
+            const result = await this.executeQuery(connection, `
+                SELECT column_name FROM information_schema.columns WHERE table_schema = 'public' AND table_name = $1
+            `, [tableName]);
+            return toGeneratedColumns(result.rows.map(row => row.column_name));
+        });
+    }
+
+    // Runs a query built on the generated columns of the table. A column that is gone, as when another worker of the
+    // pool recreated the collection without it, makes it run again with the columns read anew.
+    async _withGeneratedColumns(connection, tableName, run) {
+        try {
+            return await run(await this._readGeneratedColumns(connection, tableName));
+        } catch (error) {
+            if (error.code !== ERROR_CODES.UNDEFINED_COLUMN) {
+                throw error;
+            }
+            this._generatedColumns.delete(tableName);
+            return await run(await this._readGeneratedColumns(connection, tableName));
+        }
     }
 
     async removeCollection(connection, tableName) {
-        const query = `DROP TABLE IF EXISTS "${tableName}"`;
-        return await this.executeQuery(connection, query);
+        await this.createCollectionsTable(connection);
+        const results = await this.executeTransaction(connection, [
+            {query: `DROP TABLE IF EXISTS "${tableName}"`, params: []},
+            {query: this.deleteFromCollection(), params: [tableName]}
+        ]);
+        this._generatedColumns.delete(tableName);
+        return results[0];
     }
 
     async removeCollectionAsync(connection, tableName) {
-        const query = `DROP TABLE IF EXISTS "${tableName}"`;
-        return await this.executeQuery(connection, query);
+        return await this.removeCollection(connection, tableName);
     }
 
-    async addIndex(connection, tableName, property) {
-        const query = `CREATE INDEX IF NOT EXISTS "${tableName}_${property}" ON "${tableName}" ((data ->>'${property}'));`;
-        return await this.executeQuery(connection, query);
+    async addIndex(connection, tableName, property, options = {}) {
+        validateTableName(tableName);
+        this._generatedColumns.delete(tableName);
+        const index = parseIndex(property, options);
+        const columns = await this._readGeneratedColumns(connection, tableName);
+        const query = `
+            CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS "${getIndexName(tableName, index)}"
+            ON "${tableName}" ((${this._typedExpression(index.field, index.type, columns)}));
+        `;
+        const result = await this.executeQuery(connection, query);
+
+        await this.createCollectionsTable(connection);
+        await this.executeQuery(connection, `
+            UPDATE "${this.COLLECTIONS_TABLE}"
+            SET indices = indices || to_jsonb($2::text)
+            WHERE name = $1 AND NOT indices ? $2
+        `, [tableName, index.field]);
+        return result;
+    }
+
+    // Removes the index of the given type, or every index of the field when type is null
+    async removeIndex(connection, tableName, property, type = null) {
+        validateTableName(tableName);
+        const index = parseIndex(property, {type});
+        for (const indexType of type ? [index.type] : INDEX_TYPES) {
+            const indexName = getIndexName(tableName, {field: index.field, type: indexType});
+            await this.executeQuery(connection, `DROP INDEX IF EXISTS "${indexName}"`);
+        }
+
+        if (!type) {
+            await this.createCollectionsTable(connection);
+            await this.executeQuery(connection, `
+                UPDATE "${this.COLLECTIONS_TABLE}" SET indices = indices - $2 WHERE name = $1
+            `, [tableName, index.field]);
+        }
+    }
+
+    // The indices added with createCollection or addIndex that still exist, as {name, field, type, unique}
+    async listIndexes(connection, tableName) {
+        validateTableName(tableName);
+        await this.createCollectionsTable(connection);
+        const catalog = await this.executeQuery(connection, `
+            SELECT indices FROM "${this.COLLECTIONS_TABLE}" WHERE name = $1
+        `, [tableName]);
+        const existing = await this.executeQuery(connection, `
+            SELECT indexname, indexdef LIKE 'CREATE UNIQUE %' AS is_unique
+            FROM pg_indexes
+            WHERE schemaname = 'public' AND tablename = $1
+        `, [tableName]);
+
+        const names = new Map(existing.rows.map(row => [row.indexname, row.is_unique]));
+        return findIndexes(tableName, catalog.rows[0]?.indices || [], names);
+    }
+
+    async getIndexedFields(connection, tableName) {
+        return [...new Set((await this.listIndexes(connection, tableName)).map(index => index.field))];
+    }
+
+    // The JSON Schema of a collection, null when it has none or there is no catalog yet
+    async _readSchema(connection, tableName) {
+        try {
+            const result = await this.executeQuery(connection, `
+                SELECT options->'schema' AS json_schema FROM "${this.COLLECTIONS_TABLE}" WHERE name = $1
+            `, [tableName]);
+            return result.rows[0]?.json_schema ?? null;
+        } catch (error) {
+            if (error.code === ERROR_CODES.UNDEFINED_TABLE) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    // Read for every write and compiled once per schema (see schema.js)
+    async _getValidator(connection, tableName) {
+        return compileValidator(await this._readSchema(connection, tableName));
     }
 
     // Collection information
     async getCollections(connection) {
-        const query = `
-        SELECT table_name as name 
-        FROM information_schema.tables 
-        WHERE table_schema = 'public' 
-        AND table_type = 'BASE TABLE'
-        AND table_name NOT IN ($1)
-        AND table_name NOT LIKE 'pg_%'
-    `;
-        const result = await this.executeQuery(connection, query, [this.READ_WRITE_KEY_TABLE]);
+        await this.createCollectionsTable(connection);
+        const query = `SELECT name FROM "${this.COLLECTIONS_TABLE}" ORDER BY name`;
+        const result = await this.executeQuery(connection, query);
         return result.rows.map(row => row.name);
     }
 
-    async count(connection, tableName) {
+    async count(connection, tableName, conditions = null) {
+        if (conditions && conditions.length !== 0) {
+            const [{count}] = await this.aggregate(connection, tableName, conditions, {count: 'count'});
+            return count;
+        }
+
         const query = `SELECT COUNT(*) as count FROM "${tableName}"`;
         const result = await this.executeQuery(connection, query);
         return parseInt(result.rows[0].count);
     }
 
+    // Aggregates over the records matching the conditions, one row per group (see aggregation.js)
+    async aggregate(connection, tableName, conditions = [], aggregates = {count: 'count'}, groupBy = []) {
+        if (typeof conditions === "string" || isStructuredCondition(conditions)) {
+            conditions = [conditions];
+        }
+
+        validateTableName(tableName);
+        const spec = parseAggregation(aggregates, groupBy);
+        const groups = spec.groupBy.map(field => groupExpression(this._extractJSON(field)));
+        const result = await this._withGeneratedColumns(connection, tableName, columns => {
+            const params = [];
+            const getExpressions = field => this._getSortExpressions(field, columns);
+            const selected = [
+                ...groups.map((group, index) => `${group} AS __group_${index}`),
+                ...spec.aggregates.map((aggregate, index) => (
+                    `${compileAggregate(aggregate, getExpressions)} AS __aggregate_${index}`
+                ))
+            ];
+
+            let query = `SELECT ${selected.join(', ')} FROM "${tableName}"`;
+            const whereClause = this._convertToSQLQuery(conditions, params, columns);
+            if (whereClause) {
+                query += ` WHERE ${whereClause}`;
+            }
+            if (groups.length > 0) {
+                query += ` GROUP BY ${groups.join(', ')}`;
+            }
+            return this.executeQuery(connection, query, params);
+        });
+        return result.rows.map(row => toAggregateRow(row, spec));
+    }
+
+    // Records holding every word of the query in their searchable fields (see search.js), the most relevant first
+    async search(connection, tableName, text, conditions = [], max = null) {
+        if (typeof conditions === "string" || isStructuredCondition(conditions)) {
+            conditions = [conditions];
+        }
+
+        validateTableName(tableName);
+        const words = parseSearchQuery(text);
+        const searchColumn = await this.executeQuery(connection, `
+            SELECT 1
+            FROM information_schema.columns
+            WHERE table_schema = 'public' AND table_name = $1 AND column_name = $2
+        `, [tableName, SEARCH_COLUMN]);
+        if (searchColumn.rows.length === 0) {
+            throw notSearchable(tableName);
+        }
+
+        const limit = getLimit(max);
+        const result = await this._withGeneratedColumns(connection, tableName, columns => {
+            const params = [words.join(' ')];
+            let query = `
+                SELECT pk, data, __timestamp
+                FROM "${tableName}", plainto_tsquery('simple', $1) AS __query
+                WHERE ${SEARCH_COLUMN} @@ __query
+            `;
+            const whereClause = this._convertToSQLQuery(conditions, params, columns);
+            if (whereClause) {
+                query += ` AND ${whereClause}`;
+            }
+            query += ` ORDER BY ts_rank(${SEARCH_COLUMN}, __query) DESC, pk ASC`;
+
+            if (limit) {
+                params.push(limit);
+                query += ` LIMIT $${params.length}`;
+            }
+            return this.executeQuery(connection, query, params);
+        });
+        return result.rows.map(row => ({
+            ...row.data,
+            pk: row.pk,
+            __timestamp: parseInt(row.__timestamp, 10)
+        }));
+    }
+
     // Database state management
     async close(connection) {
         try {
@@ -132,6 +488,7 @@ class PostgreSQLStrategy extends BaseStrategy {
 
     // Record operations
     async insertRecord(connection, tableName, pk, record) {
+        checkDocument(tableName, await this._getValidator(connection, tableName), record);
         const query = `
             INSERT INTO "${tableName}" (pk, data, __timestamp)
             VALUES ($1, $2::jsonb, $3)
@@ -153,6 +510,7 @@ class PostgreSQLStrategy extends BaseStrategy {
     }
 
     async updateRecord(connection, tableName, pk, record) {
+        checkDocument(tableName, await this._getValidator(connection, tableName), record);
         const query = `
             UPDATE "${tableName}"
             SET data = $2::jsonb,
@@ -170,7 +528,7 @@ class PostgreSQLStrategy extends BaseStrategy {
         return {
             ...row.data,
             pk: row.pk,
-            __timestamp: row.__timestamp
+            __timestamp: parseInt(row.__timestamp, 10)
         };
     }
 
@@ -186,16 +544,17 @@ class PostgreSQLStrategy extends BaseStrategy {
         return {
             pk: result.rows[0].pk,
             data: result.rows[0].data,
-            __timestamp: result.rows[0].__timestamp
+            __timestamp: parseInt(result.rows[0].__timestamp, 10)
         };
     }
 
-    async getRecord(connection, tableName, pk) {
-        const query = `SELECT data, __timestamp FROM "${tableName}" WHERE pk = $1`;
+    async getRecord(connection, tableName, pk, projection = null) {
+        const fields = parseProjection(projection);
+        const query = `SELECT ${this._selectData(fields)}, __timestamp FROM "${tableName}" WHERE pk = $1`;
         const result = await this.executeQuery(connection, query, [pk]);
 
         if (!result?.rows?.[0]) return null;
-        return result.rows[0].data;
+        return toProjectedRow(result.rows[0], fields).data;
     }
 
     async getOneRecord(connection, tableName) {
@@ -206,20 +565,25 @@ class PostgreSQLStrategy extends BaseStrategy {
         return result.rows[0].data;
     }
 
-    async getAllRecords(connection, tableName) {
-        const query = `SELECT pk, data, __timestamp FROM "${tableName}"`;
+    async getAllRecords(connection, tableName, page = null, projection = null) {
+        if (getPage(page)) {
+            return this.filter(connection, tableName, [], 'asc', page, projection);
+        }
+
+        const fields = parseProjection(projection);
+        const query = `SELECT pk, ${this._selectData(fields)}, __timestamp FROM "${tableName}"`;
         const result = await this.executeQuery(connection, query);
 
         return result.rows.map(row => ({
-            ...row.data,
+            ...toProjectedRow(row, fields).data,
             pk: row.pk,
-            __timestamp: row.__timestamp
+            __timestamp: parseInt(row.__timestamp, 10)
         }));
     }
 
-    async filter(connection, tableName, conditions = [], sort = 'asc', max = null) {
-        // Handle string condition by converting to array
-        if (typeof conditions === "string") {
+    async filter(connection, tableName, conditions = [], sort = 'asc', max = null, projection = null) {
+        // Handle a single string or structured condition by converting to array
+        if (typeof conditions === "string" || isStructuredCondition(conditions)) {
             conditions = [conditions];
         }
 
@@ -246,31 +610,42 @@ class PostgreSQLStrategy extends BaseStrategy {
             max = Infinity;
         }
 
-        let query = `
-        SELECT pk, data, __timestamp 
-        FROM "${tableName}"
-        `;
+        validateTableName(tableName);
+        const run = async columns => {
+            const compiled = this._compileFilterQuery(tableName, conditions, sort, max, projection, columns);
+            return {...compiled, result: await this.executeQuery(connection, compiled.query, compiled.params)};
+        };
+        const {result, page, sortKeys, terms, fields} = await this._withGeneratedColumns(connection, tableName, run);
+        const toRecord = row => ({
+            ...toProjectedRow(row, fields).data,
+            pk: row.pk,
+            __timestamp: parseInt(row.__timestamp, 10)
+        });
 
-        if (conditions && conditions.length > 0) {
-            const whereClause = this._convertToSQLQuery(conditions);
-            if (whereClause) {
-                query += ` WHERE ${whereClause}`;
-            }
+        if (!page) {
+            return result.rows.map(toRecord);
         }
+        return toPage(result.rows, page, sortKeys, row => getSortTermValues(row, terms), toRecord);
+    }
 
-        query += ` ORDER BY __timestamp ${sort.toUpperCase()}`;
-
-        if (max && max !== Infinity) {
-            query += ` LIMIT ${max}`;
+    // The SQL and parameters of a filter without running it, with the plan PostgreSQL would run it with if asked
+    async explain(connection, tableName, conditions = [], sort = 'asc', max = null, withPlan = false) {
+        if (typeof conditions === "string" || isStructuredCondition(conditions)) {
+            conditions = [conditions];
         }
 
-        const result = await this.executeQuery(connection, query);
-
-        return result.rows.map(row => ({
-            ...row.data,
-            pk: row.pk,
-            __timestamp: row.__timestamp
-        }));
+        validateTableName(tableName);
+        return this._withGeneratedColumns(connection, tableName, async columns => {
+            const {query, params} = this._compileFilterQuery(
+                tableName, conditions, sort, max || Infinity, null, columns
+            );
+            let plan = null;
+            if (withPlan) {
+                const result = await this.executeQuery(connection, `EXPLAIN (FORMAT JSON) ${query}`, params);
+                plan = result.rows[0]['QUERY PLAN'];
+            }
+            return {query: query.trim(), params, plan};
+        });
     }
 
     // Queue operations
@@ -300,14 +675,22 @@ class PostgreSQLStrategy extends BaseStrategy {
     }
 
     async listQueue(connection, queueName, sortAfterInsertTime = 'asc', onlyFirstN = null) {
+        if (getPage(onlyFirstN)) {
+            const sort = [{field: '__timestamp', direction: getSortDirection(sortAfterInsertTime)}];
+            const {results, nextCursor} = await this.filter(connection, queueName, [], sort, onlyFirstN);
+            return {results: results.map(record => record.pk), nextCursor};
+        }
+
+        validateTableName(queueName);
+        const limit = getLimit(onlyFirstN);
         const query = `
             SELECT pk, data, __timestamp
             FROM "${queueName}"
-            ORDER BY __timestamp ${sortAfterInsertTime.toUpperCase()}
-            ${onlyFirstN ? `LIMIT ${onlyFirstN}` : ''}
+            ORDER BY __timestamp ${getSortDirection(sortAfterInsertTime)}
+            ${limit ? 'LIMIT $1' : ''}
         `;
 
-        const result = await this.executeQuery(connection, query);
+        const result = await this.executeQuery(connection, query, limit ? [limit] : []);
         return result.rows.map(row => row.pk);
     }
 
@@ -356,73 +739,207 @@ class PostgreSQLStrategy extends BaseStrategy {
     }
 
     // Helper methods
-    _convertToSQLQuery(conditions) {
+    // The query of a filter and its parameters, with what is needed to read its rows
+    _compileFilterQuery(tableName, conditions, sort, max, projection, columns = null) {
+        validateTableName(tableName);
+        const page = getPage(max);
+        const fields = parseProjection(projection);
+        const params = [];
+        const bind = value => {
+            params.push(value);
+            return `$${params.length}`;
+        };
+        const where = [];
+
+        if (conditions && conditions.length > 0) {
+            const whereClause = this._convertToSQLQuery(conditions, params, columns);
+            if (whereClause) {
+                where.push(whereClause);
+            }
+        }
+
+        const sortKeys = getSortKeys(sort, this.__getSortingField(conditions));
+        const terms = getOrderByTerms(sortKeys, field => this._getSortExpressions(field, columns));
+        if (page?.cursor) {
+            where.push(compileKeyset(terms, decodeCursor(page.cursor, sortKeys), bind));
+        }
+
+        let query = `
+        SELECT pk, ${this._selectData(fields)}, __timestamp${page ? `, ${selectSortTerms(terms)}` : ''}
+        FROM "${tableName}"
+        `;
+        if (where.length > 0) {
+            query += ` WHERE ${where.join(' AND ')}`;
+        }
+        query += ` ORDER BY ${compileOrderBy(terms)}`;
+
+        const limit = page ? getFetchLimit(page) : getLimit(max);
+        if (limit) {
+            query += ` LIMIT ${bind(limit)}`;
+        }
+        if (page?.offset) {
+            query += ` OFFSET ${bind(page.offset)}`;
+        }
+
+        return {query, params, page, sortKeys, terms, fields};
+    }
+
+    // columns are the generated columns of the table, which replace the expressions they hold
+    _convertToSQLQuery(conditions, params = [], columns = null) {
         if (!conditions || !Array.isArray(conditions) || conditions.length === 0) {
             return '';
         }
 
-        try {
-            const andConditions = conditions.map(condition => {
-                if (typeof condition !== 'string') {
-                    throw new Error('Invalid condition format');
-                }
+        const bind = (value) => {
+            params.push(value);
+            return `$${params.length}`;
+        };
 
-                const parts = condition.trim().split(/\s+/);
-                if (parts.length !== 3) {
-                    throw new Error(`Invalid condition structure: ${condition}`);
+        try {
+            return compileFilter(parseFilter(conditions), ({field, operator, value, type}) => {
+                if (operator === 'contains') {
+                    return this._compileContainment(field, value, bind);
                 }
 
-                let [field, operator, value] = parts;
-
-                // Normalize operator
-                operator = operator.replace('==', '=');
+                const textValue = this._typedExpression(field, 'text', columns);
 
                 // Handle IS NULL and IS NOT NULL
-                if (value.toLowerCase() === 'null') {
-                    return `data->>'${field}' IS NULL`;
+                if (type === 'null') {
+                    return `${textValue} IS ${operator === '!=' ? 'NOT ' : ''}NULL`;
                 }
 
-                // Handle LIKE/ILIKE operator
-                if (operator.toLowerCase() === 'like') {
-                    // Handle a regex pattern for word boundary
-                    if (value.includes('\\b')) {
-                        // Convert \btest\w* to proper PostgreSQL regex
-                        value = value.replace(/\\b/g, '\\m');  // \m for word boundary in PostgreSQL
-                        value = value.replace(/\\w\*/g, '[a-zA-Z0-9_]*');  // \w* to PostgreSQL pattern
-                        // Escape single quotes and wrap in quotes
-                        value = `'${value.replace(/'/g, "''")}'`;
-                    } else {
-                        value = `'${value.replace(/'/g, "''")}'`;
-                    }
-                    return `data->>'${field}' ~ ${value}`;  // Using ~ for regex match
+                // Handle LIKE/ILIKE patterns, whose default escape character is the backslash
+                if (operator === 'like' || operator === 'ilike') {
+                    return `${textValue} ${operator.toUpperCase()} ${bind(value)}`;
                 }
 
-                // Handle numeric comparisons
-                const numericValue = parseFloat(value);
-                if (!isNaN(numericValue)) {
-                    // Cast both sides to numeric for comparison
-                    return `(data->>'${field}')::numeric ${operator} ${numericValue}::numeric`;
+                // Handle regular expressions
+                if (operator === 'regex') {
+                    return `${textValue} ~ ${bind(value)}`;
                 }
 
-                // Handle boolean values
-                if (value.toLowerCase() === 'true' || value.toLowerCase() === 'false') {
-                    return `(data->>'${field}')::boolean = ${value.toLowerCase()}`;
+                // Handle numeric comparisons, values that are not numeric become NULL instead of failing the cast
+                if (type === 'number') {
+                    const numeric = this._typedExpression(field, 'numeric', columns);
+                    return compareSQL(numeric, operator, value, number => `${bind(number)}::numeric`);
                 }
 
-                // For string values (handle quotes)
-                // If value is not wrapped in quotes, add them
-                if (!value.startsWith("'") && !value.startsWith('"')) {
-                    value = `'${value}'`;
+                // Handle boolean values
+                if (type === 'boolean') {
+                    return compareSQL(this._typedExpression(field, 'boolean', columns), operator, value, bind);
                 }
-                return `data->>'${field}' ${operator} ${value}`;
-            });
 
-            return andConditions.join(' AND ');
+                return compareSQL(textValue, operator, value, bind);
+            }, combineSQL);
         } catch (err) {
             throw new Error(`Error processing filter conditions: ${err.message}`);
         }
     }
 
+    __getSortingField(filterConditions) {
+        return getSortingField(filterConditions);
+    }
+
+    _getSortExpressions(field, columns = null) {
+        const text = this._typedExpression(field, 'text', columns);
+        return {
+            text,
+            isNumber: `jsonb_typeof(${this._jsonPath(field, false)}) = 'number'`,
+            number: `(${text})::numeric`,
+            castNumber: this._typedExpression(field, 'numeric', columns)
+        };
+    }
+
+    // Containment is written on the whole document where possible, which the GIN index of the collection serves:
+    // a field becomes the objects of its path, unless the path has array indices, whose positions @> would not keep
+    _compileContainment(field, value, bind) {
+        const contains = json => `data @> ${bind(JSON.stringify(json))}::jsonb`;
+        if (!field) {
+            return contains(value);
+        }
+
+        const path = parseFieldPath(field);
+        if (path.some(key => typeof key === 'number')) {
+            return `COALESCE((${this._jsonPath(field, false)}) @> ${bind(JSON.stringify(value))}::jsonb, false)`;
+        }
+        const wrap = json => path.reduceRight((inner, key) => ({[key]: inner}), json);
+        if (value !== null && typeof value === 'object') {
+            return contains(wrap(value));
+        }
+        // An array only contains its scalar elements at the top level of @>
+        return `(${contains(wrap([value]))} OR ${contains(wrap(value))})`;
+    }
+
+    // The expression conditions of an index type compare, which the index is built on. Unlike a cast, it cannot fail,
+    // so the index accepts any value. Among the generated columns of the table, the column holding it.
+    _typedExpression(field, type, columns = null) {
+        const column = findGeneratedColumn(columns, field, type);
+        if (column) {
+            return `"${column}"`;
+        }
+
+        const text = this._jsonPath(field, true);
+        if (type === 'numeric') {
+            return `CASE WHEN ${text} ~ '^\\s*[-+]?(\\d+\\.?\\d*|\\.\\d+)([eE][-+]?\\d+)?\\s*$' THEN (${text})::numeric END`;
+        }
+        if (type === 'boolean') {
+            return `CASE WHEN ${text} IN ('true', 'false') THEN (${text})::boolean END`;
+        }
+        return text;
+    }
+
+    // Top-level keys keep the data->>'key' form existing expression indices were built on
+    _jsonPath(field, asText) {
+        const path = parseFieldPath(field);
+        if (path.length === 1) {
+            return `data${asText ? '->>' : '->'}'${path[0]}'`;
+        }
+        return `data${asText ? '#>>' : '#>'}${this._pathLiteral(path)}`;
+    }
+
+    // The text[] literal of a path, quoting the keys that are not plain names
+    _pathLiteral(path) {
+        const elements = path.map(segment => {
+            return typeof segment === 'number' || /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(segment) ? segment : `"${segment}"`;
+        });
+        return `'{${elements.join(',')}}'`;
+    }
+
+    // JSON text of a field, NULL when it is missing
+    _extractJSON(field) {
+        return `(${this._jsonPath(field, false)})::text`;
+    }
+
+    _selectData(projection) {
+        return selectData(projection, {
+            extract: field => this._extractJSON(field),
+            remove: fields => fields.reduce((data, field) => {
+                return `${data} #- ${this._pathLiteral(parseFieldPath(field))}`;
+            }, 'data')
+        });
+    }
+
+    // Indices accumulate when a collection is created again, and each option given again replaces its previous value
+    // while the options left out keep theirs
+    insertCollection() {
+        return `
+            INSERT INTO "${this.COLLECTIONS_TABLE}" AS catalog (name, indices, options, created_at, owned)
+            VALUES ($1, $2::jsonb, $3::jsonb, $4, $5)
+            ON CONFLICT (name) DO UPDATE
+            SET indices = (
+                    SELECT COALESCE(jsonb_agg(DISTINCT value), '[]')
+                    FROM jsonb_array_elements(catalog.indices || EXCLUDED.indices)
+                ),
+                options = catalog.options || EXCLUDED.options,
+                created_at = COALESCE(catalog.created_at, EXCLUDED.created_at),
+                owned = catalog.owned OR EXCLUDED.owned;
+        `;
+    }
+
+    deleteFromCollection() {
+        return `DELETE FROM "${this.COLLECTIONS_TABLE}" WHERE name = $1`;
+    }
+
     // Transaction handling
     async executeQuery(connection, query, params = []) {
         try {
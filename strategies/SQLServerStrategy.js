@@ -1,112 +1,488 @@
 // strategies/SQLServerStrategy.js
 const BaseStrategy = require('./BaseStrategy');
-const sql = require('mssql');
 const crypto = require('crypto');
+const {
+    validateTableName, parseFieldPath, toJSONPath, toJSONPathSegments, isStructuredCondition, parseFilter,
+    compileFilter, combineSQL, compareSQL, getSortingField, getSortDirection, getSortKeys, getOrderByTerms,
+    compileOrderBy, getLimit
+} = require('./filterConditions');
+const {
+    getPage, decodeCursor, compileKeyset, selectSortTerms, getSortTermValues, getFetchLimit, toPage
+} = require('./pagination');
+const {parseProjection, selectData, toProjectedRow} = require('./projection');
+const {parseAggregation, compileAggregate, groupExpression, toAggregateRow} = require('./aggregation');
+const {SEARCH_COLUMN, WORD_CHARACTERS, parseSearchFields, parseSearchQuery, notSearchable} = require('./search');
+const {INDEX_TYPES, parseIndex, getIndexSuffix, getIndexName, findIndexes} = require('./indexes');
+const {parseSchema, compileValidator, checkDocument} = require('./schema');
+const {CollectionCache} = require('./collectionCache');
+const {
+    parseGeneratedColumns, getColumnName, toGeneratedColumns, findGeneratedColumn
+} = require('./generatedColumns');
+const {ERROR_CODES} = require('../constants');
+
+// SQL Server error numbers that have a PostgreSQL equivalent callers already handle
+const SQLSERVER_ERROR_CODES = {
+    207: ERROR_CODES.UNDEFINED_COLUMN,   // Invalid column name
+    208: ERROR_CODES.UNDEFINED_TABLE,    // Invalid object name
+    2601: ERROR_CODES.UNIQUE_VIOLATION,  // Duplicate key row in unique index
+    2627: ERROR_CODES.UNIQUE_VIOLATION   // Violation of PRIMARY KEY / UNIQUE constraint
+};
+
+// An index key holds at most 1700 bytes, so text indices hold the first characters of the text (see _compareText)
+const INDEXED_TEXT_LENGTH = 400;
 
 class SQLServerStrategy extends BaseStrategy {
     constructor() {
         super();
         this._storageDB = null;
+        this.READ_WRITE_KEY_TABLE = "KeyValueTable";
+        this.COLLECTIONS_TABLE = "collections";
+        this._generatedColumns = new CollectionCache();
+    }
+
+    // Only the collections of the catalog and the tables of the adapter are dropped, unless {dropAllTables: true} asks
+    // for every table of the default schema
+    async cleanupDatabase(connection, options = {}) {
+        console.log('DEBUG: Starting database cleanup');
+        this._generatedColumns.clear();
+
+        if (!options?.dropAllTables) {
+            await this.createCollectionsTable(connection);
+            const owned = await this.executeQuery(connection, `
+                SELECT name FROM [${this.COLLECTIONS_TABLE}] WHERE owned = 1 ORDER BY name
+            `);
+            for (const {name} of owned.recordset) {
+                console.log('DEBUG: Dropping collection:', name);
+                await this.removeCollection(connection, name);
+            }
+            await this.executeQuery(connection, `DROP TABLE IF EXISTS [${this.READ_WRITE_KEY_TABLE}]`);
+            console.log('DEBUG: Database cleanup completed');
+            return;
+        }
+
+        const query = `
+            SELECT TABLE_NAME AS name
+            FROM INFORMATION_SCHEMA.TABLES
+            WHERE TABLE_SCHEMA = SCHEMA_NAME()
+            AND TABLE_TYPE = 'BASE TABLE'
+        `;
+
+        const result = await this.executeQuery(connection, query);
+        for (const row of result.recordset) {
+            console.log('DEBUG: Dropping table:', row.name);
+            await this.executeQuery(connection, `DROP TABLE IF EXISTS [${row.name}]`);
+        }
+
+        console.log('DEBUG: Database cleanup completed');
+    }
+
+    async createDatabase(connection) {
+        await this.createCollectionsTable(connection);
+        await this.ensureKeyValueTable(connection);
+        return {success: true, message: "Database ready"};
     }
 
     // Database schema operations
-    createCollectionsTable() {
-        return `
-            IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='collections' AND xtype='U')
-            CREATE TABLE collections (
-                name VARCHAR(255) PRIMARY KEY,
-                indices NVARCHAR(MAX)
+    // Catalogs created before collections had schemas get the column. owned marks the collections createCollection
+    // made, which cleanupDatabase drops; catalogs from before it own their collections, which cleanupDatabase used
+    // to drop.
+    async createCollectionsTable(connection) {
+        const query = `
+            IF OBJECT_ID(N'${this.COLLECTIONS_TABLE}', N'U') IS NULL
+            CREATE TABLE [${this.COLLECTIONS_TABLE}] (
+                name NVARCHAR(255) PRIMARY KEY,
+                indices NVARCHAR(MAX),
+                json_schema NVARCHAR(MAX),
+                owned BIT NOT NULL DEFAULT 0
             );
+            IF COL_LENGTH(N'${this.COLLECTIONS_TABLE}', N'json_schema') IS NULL
+            ALTER TABLE [${this.COLLECTIONS_TABLE}] ADD json_schema NVARCHAR(MAX);
+            IF COL_LENGTH(N'${this.COLLECTIONS_TABLE}', N'owned') IS NULL
+            ALTER TABLE [${this.COLLECTIONS_TABLE}] ADD owned BIT NOT NULL DEFAULT 1;
         `;
+        await this.executeQuery(connection, query);
+    }
+
+    async ensureKeyValueTable(connection) {
+        await this.createKeyValueTable(connection, this.READ_WRITE_KEY_TABLE);
+    }
+
+    async createKeyValueTable(connection, tableName) {
+        return await this.executeQuery(connection, this._createTableQuery(tableName));
     }
 
-    createKeyValueTable(tableName) {
+    _createTableQuery(tableName) {
         return `
-            IF NOT EXISTS (SELECT * FROM sys.objects WHERE name = '${tableName}' AND type = 'U')
-            BEGIN
-                CREATE TABLE [${tableName}] (
-                    pk NVARCHAR(450) PRIMARY KEY,
-                    data NVARCHAR(MAX),
-                    __timestamp BIGINT
-                )
-            END
+            IF OBJECT_ID(N'${tableName}', N'U') IS NULL
+            CREATE TABLE [${tableName}] (
+                pk NVARCHAR(450) PRIMARY KEY,
+                data NVARCHAR(MAX),
+                __timestamp BIGINT
+            );
         `;
     }
 
-    createCollection(tableName, indicesList) {
-        const queries = [
-            {
-                query: this.createKeyValueTable(tableName),
-                params: {}
-            },
+    async createCollection(connection, tableName, indicesList, options = {}) {
+        if (!/^[a-zA-Z0-9_]+$/.test(tableName)) {
+            throw new Error(`Invalid table name: ${tableName}`);
+        }
+
+        const schema = parseSchema(options);
+        const searchFields = parseSearchFields(options);
+        const generatedColumns = parseGeneratedColumns(options);
+        const indices = (Array.isArray(indicesList) ? indicesList : []).map(index => parseIndex(index));
+        const fields = [...new Set(indices.map(index => index.field))];
+        await this.createCollectionsTable(connection);
+        // A table that was already there stays another's, unless createCollection made it before
+        const existing = await this.executeQuery(connection, `SELECT OBJECT_ID(@p1, N'U') AS id`, [tableName]);
+        const results = await this.executeTransaction(connection, [
+            {query: this._createTableQuery(tableName), params: []},
             {
                 query: this.insertCollection(),
-                params: {
-                    name: tableName,
-                    indices: JSON.stringify(indicesList || [])
-                }
-            }
-        ];
-
-        if (indicesList && Array.isArray(indicesList)) {
-            for (const index of indicesList) {
-                queries.push({
-                    query: this.createIndex(tableName, index),
-                    params: {}
-                });
+                params: [tableName, JSON.stringify(fields), existing.recordset[0].id === null]
+            },
+            ...schema === undefined ? [] : [{
+                query: `UPDATE [${this.COLLECTIONS_TABLE}] SET json_schema = @p1 WHERE name = @p2`,
+                params: [schema === null ? null : JSON.stringify(schema), tableName]
+            }]
+        ]);
+        this._generatedColumns.delete(tableName);
+
+        if (searchFields.length > 0) {
+            // Lowercased so that matching does not depend on the collation, NVARCHAR(MAX) so that it is not truncated
+            const text = searchFields
+                .map(field => `COALESCE(${this._getSortExpressions(field).text}, N'')`)
+                .join(` + N' ' + `);
+            await this.executeQuery(connection, `
+                IF COL_LENGTH(N'${tableName}', N'${SEARCH_COLUMN}') IS NULL
+                    ALTER TABLE [${tableName}]
+                    ADD ${SEARCH_COLUMN} AS LOWER(CAST(N'' AS NVARCHAR(MAX)) + ${text});
+            `);
+        }
+
+        if (generatedColumns.length > 0) {
+            await this._addGeneratedColumns(connection, tableName, generatedColumns);
+        }
+        for (const index of indices) {
+            await this.addIndex(connection, tableName, index);
+        }
+
+        return results[0];
+    }
+
+    // Indices of the promoted fields built on a computed column of their own are moved to the generated column,
+    // which filters now compare
+    async _addGeneratedColumns(connection, tableName, generatedColumns) {
+        this._generatedColumns.delete(tableName);
+        const existing = await this._readGeneratedColumns(connection, tableName);
+        const indices = await this.executeQuery(connection, `
+            SELECT name, is_unique FROM sys.indexes WHERE object_id = OBJECT_ID(@p1) AND name IS NOT NULL
+        `, [tableName]);
+        const unique = new Map(indices.recordset.map(row => [row.name, Boolean(row.is_unique)]));
+
+        for (const column of generatedColumns.filter(column => !existing.has(getColumnName(column)))) {
+            const indexName = getIndexName(tableName, column);
+            await this.executeQuery(connection, `
+                ALTER TABLE [${tableName}]
+                ADD [${getColumnName(column)}] AS ${this._typedExpression(column.field, column.type)} PERSISTED
+            `);
+            this._generatedColumns.delete(tableName);
+            // Text indices keep the prefix column of their own
+            if (unique.has(indexName) && column.type !== 'text') {
+                const columnName = `__idx_${getIndexSuffix(column)}`;
+                await this.executeQuery(connection, `
+                    DROP INDEX [${indexName}] ON [${tableName}];
+                    IF COL_LENGTH(N'${tableName}', N'${columnName}') IS NOT NULL
+                        ALTER TABLE [${tableName}] DROP COLUMN [${columnName}];
+                `);
+                await this.addIndex(connection, tableName, {...column, unique: unique.get(indexName)});
             }
         }
+    }
 
-        return queries;
+    // Kept until the strategy changes the columns of the table (see collectionCache.js)
+    async _readGeneratedColumns(connection, tableName) {
+        return this._generatedColumns.get(tableName, async () => {
+            const result = await this.executeQuery(connection, `
+                SELECT name FROM sys.columns WHERE object_id = OBJECT_ID(@p1)
+            `, [tableName]);
+            return toGeneratedColumns(result.recordset.map(row => row.name));
+        });
     }
 
-    createIndex(tableName, index) {
-        return `
-            IF NOT EXISTS (
-                SELECT * FROM sys.indexes 
-                WHERE name = '${tableName}_${index}'
-                AND object_id = OBJECT_ID('${tableName}')
+    // Runs a query built on the generated columns of the table. A column that is gone, as when another worker of the
+    // pool recreated the collection without it, makes it run again with the columns read anew.
+    async _withGeneratedColumns(connection, tableName, run) {
+        try {
+            return await run(await this._readGeneratedColumns(connection, tableName));
+        } catch (error) {
+            if (error.code !== ERROR_CODES.UNDEFINED_COLUMN) {
+                throw error;
+            }
+            this._generatedColumns.delete(tableName);
+            return await run(await this._readGeneratedColumns(connection, tableName));
+        }
+    }
+
+    async addIndex(connection, tableName, property, options = {}) {
+        // SQL Server cannot index an expression directly, so the JSON value is exposed as a computed column first.
+        // The optimizer matches conditions on the same expression to the column. The columns must exist before the
+        // CREATE INDEX batch is compiled, hence the two separate queries. A generated column of the field and type
+        // already holds the expression and is indexed instead, unless it holds text longer than an index key takes.
+        validateTableName(tableName);
+        this._generatedColumns.delete(tableName);
+        const index = parseIndex(property, options);
+        const indexName = getIndexName(tableName, index);
+        const generated = index.type !== 'text' && findGeneratedColumn(
+            await this._readGeneratedColumns(connection, tableName), index.field, index.type
+        );
+        const columnName = generated || `__idx_${getIndexSuffix(index)}`;
+        const uniqueColumn = `__unq_${getIndexSuffix(index)}`;
+        const keys = index.unique ? [columnName, uniqueColumn] : [columnName];
+
+        // Columns holding the whole text, or text cut at 450 characters, are replaced by the prefix column, and
+        // numbers cast to DECIMAL, which exponents do not fit, by FLOAT. Generated columns are left as they are.
+        const outdated = generated ? '1 = 0' : {
+            text: `definition NOT LIKE N'%left(%'`,
+            numeric: `definition LIKE N'%decimal%'`
+        }[index.type] || `definition LIKE N'%nvarchar%(450)%'`;
+        await this.executeQuery(connection, `
+            IF EXISTS (
+                SELECT * FROM sys.computed_columns
+                WHERE object_id = OBJECT_ID(N'${tableName}')
+                AND name = N'${columnName}'
+                AND ${outdated}
             )
             BEGIN
-                CREATE INDEX [${tableName}_${index}] 
-                ON [${tableName}] ([pk])
-                INCLUDE ([data], [__timestamp]);
+                DROP INDEX IF EXISTS [${indexName}] ON [${tableName}];
+                ALTER TABLE [${tableName}] DROP COLUMN [${columnName}];
             END
+            -- Unique indices used to hold the value alone
+            IF (
+                SELECT COUNT(*) FROM sys.index_columns AS keys
+                JOIN sys.indexes AS indexes ON indexes.object_id = keys.object_id AND indexes.index_id = keys.index_id
+                WHERE indexes.name = N'${indexName}' AND indexes.object_id = OBJECT_ID(N'${tableName}')
+                AND indexes.is_unique = 1
+            ) = 1
+                DROP INDEX [${indexName}] ON [${tableName}];
+            IF COL_LENGTH(N'${tableName}', N'${columnName}') IS NULL
+                ALTER TABLE [${tableName}] ADD [${columnName}] AS ${this._indexedExpression(index.field, index.type)};
+            ${index.unique ? `
+                IF COL_LENGTH(N'${tableName}', N'${uniqueColumn}') IS NULL
+                    ALTER TABLE [${tableName}]
+                    ADD [${uniqueColumn}] AS ${this._uniqueExpression(index.field, index.type)};
+            ` : ''}
+        `);
+
+        const query = `
+            IF NOT EXISTS (
+                SELECT * FROM sys.indexes
+                WHERE name = N'${indexName}'
+                AND object_id = OBJECT_ID(N'${tableName}')
+            )
+                CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX [${indexName}] ON [${tableName}]
+                (${keys.map(key => `[${key}]`).join(', ')});
         `;
+        const result = await this.executeQuery(connection, query);
+        await this._updateCatalogIndices(connection, tableName, indices => [...new Set([...indices, index.field])]);
+        return result;
     }
 
-    addIndex(tableName, property) {
-        return this.createIndex(tableName, property);
+    // Removes the index of the given type, or every index of the field when type is null, along with the computed
+    // columns the indices are built on
+    async removeIndex(connection, tableName, property, type = null) {
+        validateTableName(tableName);
+        const index = parseIndex(property, {type});
+        for (const indexType of type ? [index.type] : INDEX_TYPES) {
+            const removed = {field: index.field, type: indexType};
+            await this.executeQuery(connection, `
+                DROP INDEX IF EXISTS [${getIndexName(tableName, removed)}] ON [${tableName}];
+                ${['__idx_', '__unq_'].map(prefix => `${prefix}${getIndexSuffix(removed)}`).map(columnName => `
+                    IF COL_LENGTH(N'${tableName}', N'${columnName}') IS NOT NULL
+                        ALTER TABLE [${tableName}] DROP COLUMN [${columnName}];
+                `).join('')}
+            `);
+        }
+
+        if (!type) {
+            await this._updateCatalogIndices(connection, tableName, indices => indices.filter(f => f !== index.field));
+        }
     }
 
-    removeCollection(tableName) {
-        return [
-            {
-                query: `DROP TABLE IF EXISTS ${tableName}`,
-                params: {}
-            },
-            {
-                query: this.deleteFromCollection(),
-                params: {name: tableName}
+    // The indices added with createCollection or addIndex that still exist, as {name, field, type, unique}
+    async listIndexes(connection, tableName) {
+        validateTableName(tableName);
+        const fields = await this._readCatalogIndices(connection, tableName);
+        const result = await this.executeQuery(connection, `
+            SELECT name, is_unique FROM sys.indexes WHERE object_id = OBJECT_ID(@p1) AND name IS NOT NULL
+        `, [tableName]);
+
+        const names = new Map(result.recordset.map(row => [row.name, Boolean(row.is_unique)]));
+        return findIndexes(tableName, fields, names);
+    }
+
+    async getIndexedFields(connection, tableName) {
+        return [...new Set((await this.listIndexes(connection, tableName)).map(index => index.field))];
+    }
+
+    async _readCatalogIndices(connection, tableName) {
+        await this.createCollectionsTable(connection);
+        const result = await this.executeQuery(connection, `
+            SELECT indices FROM [${this.COLLECTIONS_TABLE}] WHERE name = @p1
+        `, [tableName]);
+        return result.recordset.length ? JSON.parse(result.recordset[0].indices || '[]') : [];
+    }
+
+    // Collections missing from the catalog are left alone
+    async _updateCatalogIndices(connection, tableName, update) {
+        const indices = update(await this._readCatalogIndices(connection, tableName));
+        await this.executeQuery(connection, `
+            UPDATE [${this.COLLECTIONS_TABLE}] SET indices = @p1 WHERE name = @p2
+        `, [JSON.stringify(indices), tableName]);
+    }
+
+    // The JSON Schema of a collection, null when it has none or the catalog has no schemas yet
+    async _readSchema(connection, tableName) {
+        try {
+            const result = await this.executeQuery(connection, `
+                SELECT json_schema FROM [${this.COLLECTIONS_TABLE}] WHERE name = @p1
+            `, [tableName]);
+            const row = result.recordset[0];
+            return row?.json_schema ? JSON.parse(row.json_schema) : null;
+        } catch (error) {
+            if (error.code === ERROR_CODES.UNDEFINED_TABLE || error.code === ERROR_CODES.UNDEFINED_COLUMN) {
+                return null;
             }
-        ];
+            throw error;
+        }
+    }
+
+    // Read for every write and compiled once per schema (see schema.js)
+    async _getValidator(connection, tableName) {
+        return compileValidator(await this._readSchema(connection, tableName));
+    }
+
+    async removeCollection(connection, tableName) {
+        await this.createCollectionsTable(connection);
+        const results = await this.executeTransaction(connection, [
+            {query: `DROP TABLE IF EXISTS [${tableName}]`, params: []},
+            {query: this.deleteFromCollection(), params: [tableName]}
+        ]);
+        this._generatedColumns.delete(tableName);
+        return results[0];
     }
 
     async removeCollectionAsync(connection, tableName) {
-        return await this.executeTransaction(connection, this.removeCollection(tableName));
+        return await this.removeCollection(connection, tableName);
     }
 
     // Collection information
-    getCollections() {
-        return `SELECT name FROM collections`;
+    async getCollections(connection) {
+        await this.createCollectionsTable(connection);
+        const result = await this.executeQuery(connection, `SELECT name FROM [${this.COLLECTIONS_TABLE}]`);
+        return result.recordset.map(row => row.name);
+    }
+
+    async listCollections(connection) {
+        return await this.getCollections(connection);
     }
 
-    listCollections() {
-        return this.getCollections();
+    async count(connection, tableName, conditions = null) {
+        if (conditions && conditions.length !== 0) {
+            const [{count}] = await this.aggregate(connection, tableName, conditions, {count: 'count'});
+            return count;
+        }
+
+        const result = await this.executeQuery(connection, `SELECT COUNT(*) AS count FROM [${tableName}]`);
+        return parseInt(result.recordset[0].count, 10) || 0;
     }
 
-    count(tableName) {
-        return `SELECT COUNT(*) as count FROM ${tableName}`;
+    // Aggregates over the records matching the conditions, one row per group (see aggregation.js).
+    // The JSON of the group fields is read through OUTER APPLY, since GROUP BY does not accept subqueries.
+    async aggregate(connection, tableName, conditions = [], aggregates = {count: 'count'}, groupBy = []) {
+        if (typeof conditions === "string" || isStructuredCondition(conditions)) {
+            conditions = [conditions];
+        }
+
+        validateTableName(tableName);
+        const spec = parseAggregation(aggregates, groupBy);
+        const applies = spec.groupBy.map((field, index) => {
+            return `OUTER APPLY (SELECT ${this._extractJSON(field)} AS json) AS [__apply_${index}]`;
+        });
+        const groups = spec.groupBy.map((field, index) => groupExpression(`[__apply_${index}].json`));
+        const result = await this._withGeneratedColumns(connection, tableName, columns => {
+            const params = [];
+            const getExpressions = field => this._getSortExpressions(field, columns);
+            const selected = [
+                ...groups.map((group, index) => `${group} AS __group_${index}`),
+                ...spec.aggregates.map((aggregate, index) => (
+                    `${compileAggregate(aggregate, getExpressions)} AS __aggregate_${index}`
+                ))
+            ];
+
+            let query = `SELECT ${selected.join(', ')} FROM [${tableName}] ${applies.join(' ')}`;
+            const whereClause = this._convertToSQLQuery(conditions, params, columns);
+            if (whereClause) {
+                query += ` WHERE ${whereClause}`;
+            }
+            if (groups.length > 0) {
+                query += ` GROUP BY ${groups.join(', ')}`;
+            }
+            return this.executeQuery(connection, query, params);
+        });
+        return result.recordset.map(row => toAggregateRow(row, spec));
+    }
+
+    // Records holding every word of the query in their searchable fields (see search.js), the most occurrences first.
+    // Full-text indexes need the optional Full-Text Search feature, so the words are matched with REGEXP_LIKE instead,
+    // bounded by the characters search.js does not take for letters or digits.
+    async search(connection, tableName, text, conditions = [], max = null) {
+        if (typeof conditions === "string" || isStructuredCondition(conditions)) {
+            conditions = [conditions];
+        }
+
+        validateTableName(tableName);
+        const words = parseSearchQuery(text);
+        const searchColumn = await this.executeQuery(connection, 'SELECT COL_LENGTH(@p1, @p2) AS length', [
+            tableName, SEARCH_COLUMN
+        ]);
+        if (searchColumn.recordset[0].length === null) {
+            throw notSearchable(tableName);
+        }
+
+        const limit = getLimit(max);
+        const result = await this._withGeneratedColumns(connection, tableName, columns => {
+            const params = [];
+            const bind = (value) => {
+                params.push(value);
+                return `@p${params.length}`;
+            };
+            const top = limit ? `TOP (${bind(limit)})` : '';
+
+            // Words only hold letters and digits, so they need no escaping in a pattern
+            const where = words.map(word => {
+                const pattern = `(^|[^${WORD_CHARACTERS}])${word}([^${WORD_CHARACTERS}]|$)`;
+                return `REGEXP_LIKE(${SEARCH_COLUMN}, ${bind(pattern)}, 'c')`;
+            });
+            const rank = words.map(word => {
+                const param = bind(word);
+                const removed = `REPLACE(${SEARCH_COLUMN}, ${param}, N'')`;
+                return `(DATALENGTH(${SEARCH_COLUMN}) - DATALENGTH(${removed})) / DATALENGTH(${param})`;
+            });
+            const whereClause = this._convertToSQLQuery(conditions, params, columns);
+            if (whereClause) {
+                where.push(whereClause);
+            }
+
+            const query = `
+                SELECT ${top} pk, data, __timestamp
+                FROM [${tableName}]
+                WHERE ${where.join(' AND ')}
+                ORDER BY ${rank.join(' + ')} DESC, pk ASC
+            `;
+            return this.executeQuery(connection, query, params);
+        });
+        return result.recordset.map(row => this._rowToRecord(row));
     }
 
     // Database state management
@@ -115,95 +491,180 @@ class SQLServerStrategy extends BaseStrategy {
     }
 
     async closeConnection(connection) {
-        if (connection) {
+        if (connection && connection.connected) {
             await connection.close();
         }
     }
 
-    refreshInProgress() {
+    async refreshInProgress(connection) {
         return false;
     }
 
-    async refresh(connection, callback) {
-        callback();
+    async refresh(connection) {
+        return {message: "Refresh completed"};
     }
 
     async refreshAsync(connection) {
-        return Promise.resolve();
+        return {message: "Refresh completed"};
     }
 
-    async saveDatabase(connection, callback) {
-        callback(undefined, {message: "Database saved"});
+    async saveDatabase(connection) {
+        return {message: "Database saved"};
     }
 
     // Record operations
-    insertRecord(tableName) {
-        return `
+    async insertRecord(connection, tableName, pk, record) {
+        checkDocument(tableName, await this._getValidator(connection, tableName), record);
+        const query = `
             INSERT INTO [${tableName}] (pk, data, __timestamp)
-            VALUES (@pk, @data, @timestamp);
-            SELECT * FROM [${tableName}] WHERE pk = @pk;
+            OUTPUT inserted.pk, inserted.data, inserted.__timestamp
+            VALUES (@p1, @p2, @p3)
         `;
+        const timestamp = Date.now();
+        const result = await this.executeQuery(connection, query, [pk, JSON.stringify(record), timestamp]);
+
+        if (!result?.recordset?.[0]) {
+            throw new Error('Insert operation failed to return result');
+        }
+
+        return this._rowToRecord(result.recordset[0]);
     }
 
-    updateRecord(tableName) {
-        return `
+    async updateRecord(connection, tableName, pk, record) {
+        checkDocument(tableName, await this._getValidator(connection, tableName), record);
+        const query = `
             UPDATE [${tableName}]
-            SET data = @data, __timestamp = @timestamp
-            WHERE pk = @pk;
-            SELECT *
-            FROM [${tableName}]
-            WHERE pk = @pk;
+            SET data = @p2, __timestamp = @p3
+            OUTPUT inserted.pk, inserted.data, inserted.__timestamp
+            WHERE pk = @p1
         `;
-    }
+        const timestamp = Date.now();
+        const result = await this.executeQuery(connection, query, [pk, JSON.stringify(record), timestamp]);
 
-    deleteRecord(tableName) {
-        return `DELETE FROM ${tableName} OUTPUT deleted.* WHERE pk = @pk`;
+        if (!result?.recordset?.[0]) return null;
+        return this._rowToRecord(result.recordset[0]);
     }
 
-    getRecord(tableName) {
-        return `SELECT data, __timestamp FROM ${tableName} WHERE pk = @pk`;
+    async deleteRecord(connection, tableName, pk) {
+        const query = `
+            DELETE FROM [${tableName}]
+            OUTPUT deleted.pk, deleted.data, deleted.__timestamp
+            WHERE pk = @p1
+        `;
+        const result = await this.executeQuery(connection, query, [pk]);
+
+        if (!result?.recordset?.[0]) return null;
+        const row = result.recordset[0];
+        return {
+            pk: row.pk,
+            data: this._parseData(row.data),
+            __timestamp: parseInt(row.__timestamp, 10)
+        };
     }
 
-    getOneRecord(tableName) {
-        return `SELECT TOP 1 data, __timestamp FROM ${tableName}`;
+    async getRecord(connection, tableName, pk, projection = null) {
+        const fields = parseProjection(projection);
+        const query = `SELECT ${this._selectData(fields)}, __timestamp FROM [${tableName}] WHERE pk = @p1`;
+        const result = await this.executeQuery(connection, query, [pk]);
+
+        if (!result?.recordset?.[0]) return null;
+        return this._parseData(toProjectedRow(result.recordset[0], fields).data);
     }
 
-    getAllRecords(tableName) {
-        return `SELECT pk, data, __timestamp FROM ${tableName}`;
+    async getOneRecord(connection, tableName) {
+        const result = await this.executeQuery(connection, `SELECT TOP 1 data, __timestamp FROM [${tableName}]`);
+
+        if (!result?.recordset?.[0]) return null;
+        return this._parseData(result.recordset[0].data);
     }
 
-    filter(tableName, conditions, sort, max) {
-        return `
-            SELECT ${max ? `TOP ${max}` : ''} pk, data, __timestamp 
-            FROM ${tableName}
-            ${conditions ? `WHERE ${conditions}` : ''}
-            ORDER BY ${sort.field} ${sort.direction}
-        `;
+    async getAllRecords(connection, tableName, page = null, projection = null) {
+        if (getPage(page)) {
+            return this.filter(connection, tableName, [], 'asc', page, projection);
+        }
+
+        const fields = parseProjection(projection);
+        const query = `SELECT pk, ${this._selectData(fields)}, __timestamp FROM [${tableName}]`;
+        const result = await this.executeQuery(connection, query);
+        return result.recordset.map(row => this._rowToRecord(row, fields));
     }
 
-    convertToSQLQuery(conditions) {
-        if (!conditions || conditions.length === 0) {
-            return {};
+    async filter(connection, tableName, conditions = [], sort = 'asc', max = null, projection = null) {
+        if (typeof conditions === "string" || isStructuredCondition(conditions)) {
+            conditions = [conditions];
         }
 
-        const andConditions = conditions.map(condition => {
-            const [field, operator, value] = condition.split(/\s+/);
-            return this.formatFilterCondition(field, operator, value);
-        });
+        if (typeof conditions === "function") {
+            max = Infinity;
+            sort = "asc";
+            conditions = [];
+        }
+
+        if (typeof sort === "function") {
+            max = Infinity;
+            sort = "asc";
+        }
+
+        if (typeof max === "function") {
+            max = Infinity;
+        }
 
-        return andConditions.join(' AND ');
+        if (!max) {
+            max = Infinity;
+        }
+
+        validateTableName(tableName);
+        const run = async columns => {
+            const compiled = this._compileFilterQuery(tableName, conditions, sort, max, projection, columns);
+            return {...compiled, result: await this.executeQuery(connection, compiled.query, compiled.params)};
+        };
+        const {result, page, sortKeys, terms, fields} = await this._withGeneratedColumns(connection, tableName, run);
+        if (!page) {
+            return result.recordset.map(row => this._rowToRecord(row, fields));
+        }
+        return toPage(
+            result.recordset, page, sortKeys,
+            row => getSortTermValues(row, terms), row => this._rowToRecord(row, fields)
+        );
     }
 
-    __getSortingField(filterConditions) {
-        if (filterConditions && filterConditions.length) {
-            const splitCondition = filterConditions[0].split(" ");
-            return splitCondition[0];
+    // The SQL and parameters of a filter without running it, with the estimated XML plan of SQL Server if asked
+    async explain(connection, tableName, conditions = [], sort = 'asc', max = null, withPlan = false) {
+        if (typeof conditions === "string" || isStructuredCondition(conditions)) {
+            conditions = [conditions];
         }
-        return '__timestamp';
+
+        validateTableName(tableName);
+        return this._withGeneratedColumns(connection, tableName, async columns => {
+            const {query, params} = this._compileFilterQuery(
+                tableName, conditions, sort, max || Infinity, null, columns
+            );
+            let plan = null;
+            if (withPlan) {
+                plan = await this._estimatePlan(connection, query, params);
+            }
+            return {query: query.trim(), params, plan};
+        });
     }
 
-    formatFilterCondition(field, operator, value) {
-        return `JSON_VALUE(data, '$.${field}') ${operator} ${value.replace(/['"]/g, '')}`;
+    // SHOWPLAN_XML must be the only statement of its batch and holds for the session, so the batches share the
+    // connection of a transaction, which nothing is written in since the query is compiled but not run
+    async _estimatePlan(connection, query, params) {
+        const transaction = connection.transaction();
+        await transaction.begin();
+        try {
+            await transaction.request().batch('SET SHOWPLAN_XML ON');
+            try {
+                const result = await this._bindParams(transaction.request(), params).query(query);
+                return Object.values(result.recordset[0])[0];
+            } finally {
+                await transaction.request().batch('SET SHOWPLAN_XML OFF');
+            }
+        } catch (error) {
+            throw this._toSerializableError(error);
+        } finally {
+            await transaction.rollback();
+        }
     }
 
     // Queue operations
@@ -216,49 +677,75 @@ class SQLServerStrategy extends BaseStrategy {
             pk = `${hash}_${Date.now()}_${random}`;
         }
 
-        const params = {
-            pk,
-            data: JSON.stringify(object),
-            timestamp: Date.now()
-        };
+        const query = `
+            INSERT INTO [${queueName}] (pk, data, __timestamp)
+            VALUES (@p1, @p2, @p3)
+        `;
 
-        await this.executeQuery(connection, this.insertRecord(queueName), params);
+        await this.executeQuery(connection, query, [pk, JSON.stringify(object), Date.now()]);
         return pk;
     }
 
-    queueSize(queueName) {
-        return this.count(queueName);
+    async queueSize(connection, queueName) {
+        return await this.count(connection, queueName);
     }
 
-    listQueue(queueName, sortAfterInsertTime = 'asc', onlyFirstN) {
-        return this.filter(queueName, null,
-            {field: '__timestamp', direction: sortAfterInsertTime.toUpperCase()},
-            onlyFirstN
-        );
+    async listQueue(connection, queueName, sortAfterInsertTime = 'asc', onlyFirstN = null) {
+        if (getPage(onlyFirstN)) {
+            const sort = [{field: '__timestamp', direction: getSortDirection(sortAfterInsertTime)}];
+            const {results, nextCursor} = await this.filter(connection, queueName, [], sort, onlyFirstN);
+            return {results: results.map(record => record.pk), nextCursor};
+        }
+
+        validateTableName(queueName);
+        const direction = getSortDirection(sortAfterInsertTime);
+        const params = [];
+        let top = '';
+        const limit = getLimit(onlyFirstN);
+        if (limit) {
+            params.push(limit);
+            top = 'TOP (@p1)';
+        }
+
+        const query = `
+            SELECT ${top} pk
+            FROM [${queueName}]
+            ORDER BY __timestamp ${direction}
+        `;
+
+        const result = await this.executeQuery(connection, query, params);
+        return result.recordset.map(row => row.pk);
     }
 
-    getObjectFromQueue(queueName, hash) {
-        return this.getRecord(queueName);
+    async getObjectFromQueue(connection, queueName, hash) {
+        return await this.getRecord(connection, queueName, hash);
     }
 
-    deleteObjectFromQueue(queueName, hash) {
-        return this.deleteRecord(queueName);
+    async deleteObjectFromQueue(connection, queueName, hash) {
+        const deleted = await this.deleteRecord(connection, queueName, hash);
+        return deleted ? deleted.data : null;
     }
 
     // Key-value operations
-    writeKey(tableName) {
-        return `
-            MERGE ${tableName} AS target
-            USING (SELECT @pk AS pk, @data AS data, @timestamp AS __timestamp) AS source
+    async writeKey(connection, key, value) {
+        await this.ensureKeyValueTable(connection);
+        const query = `
+            MERGE [${this.READ_WRITE_KEY_TABLE}] WITH (HOLDLOCK) AS target
+            USING (SELECT @p1 AS pk, @p2 AS data, @p3 AS __timestamp) AS source
             ON target.pk = source.pk
             WHEN MATCHED THEN UPDATE SET data = source.data, __timestamp = source.__timestamp
-            WHEN NOT MATCHED THEN INSERT (pk, data, __timestamp) VALUES (source.pk, source.data, source.__timestamp);
-            SELECT data FROM ${tableName} WHERE pk = @pk;
+            WHEN NOT MATCHED THEN INSERT (pk, data, __timestamp) VALUES (source.pk, source.data, source.__timestamp)
+            OUTPUT inserted.data;
         `;
+
+        const result = await this.executeQuery(connection, query, [key, JSON.stringify(value), Date.now()]);
+        if (!result?.recordset?.[0]?.data) return null;
+        return this._parseData(result.recordset[0].data);
     }
 
-    readKey(tableName, key) {
-        return this.getRecord(tableName);
+    async readKey(connection, key) {
+        await this.ensureKeyValueTable(connection);
+        return await this.getRecord(connection, this.READ_WRITE_KEY_TABLE, key);
     }
 
     // Storage reference
@@ -270,132 +757,328 @@ class SQLServerStrategy extends BaseStrategy {
         this._storageDB = value;
     }
 
-    // Collection maintenance
-    insertCollection() {
-        return `
-            MERGE collections AS target
-            USING (SELECT @name AS name, @indices AS indices) AS source
-            ON target.name = source.name
-            WHEN MATCHED THEN UPDATE SET indices = source.indices
-            WHEN NOT MATCHED THEN INSERT (name, indices) VALUES (source.name, source.indices);
-        `;
-    }
+    // Helper methods
+    // The query of a filter and its parameters, with what is needed to read its rows
+    _compileFilterQuery(tableName, conditions, sort, max, projection, columns = null) {
+        validateTableName(tableName);
+        const page = getPage(max);
+        const fields = parseProjection(projection);
+        const params = [];
+        const bind = (value) => {
+            params.push(value);
+            return `@p${params.length}`;
+        };
 
-    deleteFromCollection() {
-        return 'DELETE FROM [collections] WHERE name = @name';
-    }
+        // A page is fetched with OFFSET ... FETCH, which cannot be combined with TOP
+        const limit = page ? null : getLimit(max);
+        const top = limit ? `TOP (${bind(limit)})` : '';
+        const where = [];
 
-    // Transaction handling
-    async executeQuery(connection, query, params = {}) {
-        const request = connection.request();
+        if (conditions && conditions.length > 0) {
+            const whereClause = this._convertToSQLQuery(conditions, params, columns);
+            if (whereClause) {
+                where.push(whereClause);
+            }
+        }
 
-        // Add parameters to request
-        for (const [key, value] of Object.entries(params)) {
-            if (value !== undefined) {
-                const paramName = key.startsWith('@') ? key.substring(1) : key;
-                request.input(paramName, value);
+        const sortKeys = getSortKeys(sort, this.__getSortingField(conditions));
+        const terms = getOrderByTerms(sortKeys, field => this._getSortExpressions(field, columns));
+        if (page?.cursor) {
+            where.push(compileKeyset(terms, decodeCursor(page.cursor, sortKeys), bind));
+        }
+
+        let query = `
+        SELECT ${top} pk, ${this._selectData(fields)}, __timestamp${page ? `, ${selectSortTerms(terms)}` : ''}
+        FROM [${tableName}]
+        `;
+        if (where.length > 0) {
+            query += ` WHERE ${where.join(' AND ')}`;
+        }
+        query += ` ORDER BY ${compileOrderBy(terms)}`;
+
+        if (page) {
+            query += ` OFFSET ${bind(page.offset)} ROWS`;
+            const fetchLimit = getFetchLimit(page);
+            if (fetchLimit) {
+                query += ` FETCH NEXT ${bind(fetchLimit)} ROWS ONLY`;
             }
         }
 
-        return await request.query(query);
+        return {query, params, page, sortKeys, terms, fields};
     }
 
-    async executeTransaction(connection, queries) {
-        const transaction = await connection.transaction();
+    // columns are the generated columns of the table, which replace the expressions they hold
+    _convertToSQLQuery(conditions, params = [], columns = null) {
+        if (!conditions || !Array.isArray(conditions) || conditions.length === 0) {
+            return '';
+        }
+
+        const bind = (value) => {
+            params.push(value);
+            return `@p${params.length}`;
+        };
+
         try {
-            await transaction.begin();
-            const results = [];
+            return compileFilter(parseFilter(conditions), ({field, operator, value, type}) => {
+                if (operator === 'contains') {
+                    throw new Error('Operator contains is not supported by SQL Server');
+                }
 
-            for (const {query, params = {}} of queries) {
-                const request = transaction.request();
+                // JSON_VALUE returns NULL for both a missing key and a JSON null
+                const textValue = this._typedExpression(field, 'text', columns);
 
-                // Add parameters to request
-                for (const [key, value] of Object.entries(params)) {
-                    if (value !== undefined) {
-                        const paramName = key.startsWith('@') ? key.substring(1) : key;
-                        request.input(paramName, value);
-                    }
+                if (type === 'null') {
+                    return `${textValue} IS ${operator === '!=' ? 'NOT ' : ''}NULL`;
                 }
 
-                results.push(await request.query(query));
-            }
+                // A binary collation keeps patterns case-sensitive whatever the collation of the database
+                if (operator === 'like' || operator === 'ilike') {
+                    const pattern = bind(this._likePattern(value));
+                    return operator === 'like'
+                        ? `${textValue} COLLATE Latin1_General_100_BIN2 LIKE ${pattern} ESCAPE '\\'`
+                        : `LOWER(${textValue}) COLLATE Latin1_General_100_BIN2 LIKE LOWER(${pattern}) ESCAPE '\\'`;
+                }
 
-            await transaction.commit();
-            return results;
+                // REGEXP_LIKE needs SQL Server 2025 or Azure SQL at compatibility level 170, 'c' is case-sensitive
+                if (operator === 'regex') {
+                    return `REGEXP_LIKE(${textValue}, ${bind(value)}, 'c')`;
+                }
+
+                if (type === 'number') {
+                    return compareSQL(this._typedExpression(field, 'numeric', columns), operator, value, bind);
+                }
+
+                if (type === 'boolean') {
+                    return compareSQL(this._typedExpression(field, 'boolean', columns), operator, value ? 1 : 0, bind);
+                }
+
+                return this._compareText(field, operator, value, bind, columns);
+            }, combineSQL);
         } catch (err) {
-            try {
-                await transaction.rollback();
-            } catch (rollbackError) {
-                // Log rollback error but throw original error
-                console.error('Rollback error:', rollbackError);
-            }
-            throw err;
+            throw new Error(`Error processing filter conditions: ${err.message}`);
         }
     }
 
-    // Result parsing methods
-    parseCountResult(result) {
-        return result.recordset[0].count || 0;
+    __getSortingField(filterConditions) {
+        return getSortingField(filterConditions);
     }
 
-    parseCollectionsResult(result) {
-        return result.recordset.map(row => row.name);
+    _getSortExpressions(field, columns = null) {
+        // JSON_VALUE always returns text, so a JSON number cannot be told apart from a numeric string
+        const text = this._typedExpression(field, 'text', columns);
+        return {
+            text,
+            isNumber: `TRY_CAST(${text} AS FLOAT) IS NOT NULL`,
+            number: `TRY_CAST(${text} AS FLOAT)`,
+            castNumber: `TRY_CAST(${text} AS FLOAT)`
+        };
+    }
+
+    // The expression conditions of an index type compare, or among the generated columns of the table, the column
+    // holding it. Text keeps the NVARCHAR(4000) of JSON_VALUE, which the index only holds a prefix of.
+    _typedExpression(field, type, columns = null) {
+        const column = findGeneratedColumn(columns, field, type);
+        if (column) {
+            return `[${column}]`;
+        }
+
+        const text = `JSON_VALUE(data, '${toJSONPath(field)}')`;
+        if (type === 'numeric') {
+            // FLOAT, as sorts use, takes the numbers with an exponent that DECIMAL cannot hold
+            return `TRY_CAST(${text} AS FLOAT)`;
+        }
+        if (type === 'boolean') {
+            return `CASE ${text} WHEN 'true' THEN 1 WHEN 'false' THEN 0 END`;
+        }
+        return text;
     }
 
-    parseInsertResult(result, pk, record) {
-        return {...record, pk, __timestamp: result.recordset[0].__timestamp};
+    // The expression the computed column of an index holds
+    _indexedExpression(field, type) {
+        const value = this._typedExpression(field, type);
+        if (type === 'text') {
+            return `CAST(LEFT(${value}, ${INDEXED_TEXT_LENGTH}) AS NVARCHAR(${INDEXED_TEXT_LENGTH}))`;
+        }
+        return value;
     }
 
-    parseUpdateResult(result) {
-        return result.recordset[0];
+    // The second key of a unique index. SQL Server takes NULLs for equal in a unique index, and a filtered index
+    // cannot leave out the NULLs of a computed column, so records missing the field are told apart by their pk.
+    // Texts sharing their indexed prefix are told apart by a hash of the whole text.
+    _uniqueExpression(field, type) {
+        const value = this._typedExpression(field, type);
+        if (type === 'text') {
+            return `CAST(HASHBYTES('SHA2_256', COALESCE(N'v' + ${value}, N'k' + pk)) AS BINARY(32))`;
+        }
+        return `CASE WHEN ${value} IS NULL THEN pk END`;
     }
 
-    parseDeleteResult(result, pk) {
-        return result.recordset[0];
+    // Compares the whole text, and where a text index can narrow the rows down its indexed prefix as well:
+    // a < b implies that the prefix of a is at most the prefix of b, and so on
+    _compareText(field, operator, value, bind, columns = null) {
+        const text = this._typedExpression(field, 'text', columns);
+        if (operator === '!=' || operator === 'not in') {
+            return compareSQL(text, operator, value, bind);
+        }
+
+        const prefixOperator = {'<': '<=', '>': '>='}[operator] || operator;
+        const prefix = compareSQL(this._indexedExpression(field, 'text'), prefixOperator, value, text => {
+            return `LEFT(${bind(text)}, ${INDEXED_TEXT_LENGTH})`;
+        });
+        return `(${prefix} AND ${compareSQL(text, operator, value, bind)})`;
     }
 
-    parseGetResult(result) {
-        if (!result || !result.recordset || !result.recordset.length) return null;
-        const row = result.recordset[0];
-        try {
-            return row.data ? JSON.parse(row.data) : null;
-        } catch (e) {
-            console.error('Error parsing JSON:', e);
-            return null;
+    // SQL Server reads [ as the start of a character class, so it is escaped like the wildcards
+    _likePattern(pattern) {
+        return pattern.replace(/\\[\s\S]|\[/g, match => match === '[' ? '\\[' : match);
+    }
+
+    _parseData(data) {
+        if (typeof data === 'string') {
+            return JSON.parse(data);
         }
+        return data;
+    }
+
+    // JSON text of a field, NULL when it is missing. JSON_VALUE only reads scalars and JSON_QUERY only objects and
+    // arrays, OPENJSON returns any value with its type. Being a subquery, it cannot be used in GROUP BY directly.
+    _extractJSON(field) {
+        const path = parseFieldPath(field);
+        const key = path.pop();
+        const json = `CASE [type] WHEN 0 THEN 'null' `
+            + `WHEN 1 THEN CONCAT('"', STRING_ESCAPE([value], 'json'), '"') ELSE [value] END`;
+        return `(SELECT TOP 1 ${json} FROM OPENJSON(data, '$${toJSONPathSegments(path)}') WHERE [key] = N'${key}')`;
+    }
+
+    _selectData(projection) {
+        return selectData(projection, {
+            extract: field => this._extractJSON(field),
+            // Setting a key to NULL removes it in lax mode
+            remove: fields => fields.reduce((data, field) => {
+                return `JSON_MODIFY(${data}, '${toJSONPath(field)}', NULL)`;
+            }, 'data')
+        });
     }
 
-    parseFilterResults(result) {
-        return result.recordset.map(row => ({
-            ...JSON.parse(row.data),
+    _rowToRecord(row, projection = null) {
+        return {
+            ...this._parseData(toProjectedRow(row, projection).data),
             pk: row.pk,
-            __timestamp: row.__timestamp
-        }));
+            // BIGINT columns come back from tedious as strings
+            __timestamp: parseInt(row.__timestamp, 10)
+        };
     }
 
-    parseWriteKeyResult(result) {
-        if (!result || !result.recordset || !result.recordset.length) return null;
-        try {
-            return result.recordset[0].data ? JSON.parse(result.recordset[0].data) : null;
-        } catch (e) {
-            console.error('Error parsing JSON:', e);
-            return null;
+    _toSerializableError(error) {
+        const serializableError = new Error(error.message);
+        serializableError.code = SQLSERVER_ERROR_CODES[error.number] || error.code;
+        serializableError.type = 'DatabaseError';
+        return serializableError;
+    }
+
+    // Collection maintenance
+    insertCollection() {
+        return `
+            MERGE [${this.COLLECTIONS_TABLE}] WITH (HOLDLOCK) AS target
+            USING (SELECT @p1 AS name, @p2 AS indices, @p3 AS owned) AS source
+            ON target.name = source.name
+            WHEN MATCHED AND source.owned = 1 THEN UPDATE SET owned = 1
+            WHEN NOT MATCHED THEN INSERT (name, indices, owned) VALUES (source.name, source.indices, source.owned);
+        `;
+    }
+
+    deleteFromCollection() {
+        return `DELETE FROM [${this.COLLECTIONS_TABLE}] WHERE name = @p1`;
+    }
+
+    // Transaction handling
+    _bindParams(request, params = []) {
+        // Positional parameters are bound as @p1, @p2, ...; objects keep their own names
+        const entries = Array.isArray(params)
+            ? params.map((value, index) => [`p${index + 1}`, value])
+            : Object.entries(params);
+
+        for (const [key, value] of entries) {
+            if (value !== undefined) {
+                const paramName = key.startsWith('@') ? key.substring(1) : key;
+                request.input(paramName, value);
+            }
         }
+        return request;
     }
 
-    parseReadKeyResult(result) {
-        if (!result || !result.recordset || !result.recordset.length) return null;
+    async executeQuery(connection, query, params = []) {
+        if (process.env.DEBUG) {
+            console.log('=== Execute Query Debug ===');
+            console.log('Query:', query);
+            console.log('Params:', params);
+            console.log('========================');
+        }
+
+        let queryText = query;
+        let queryParams = params;
+        if (query && typeof query === 'object') {
+            queryText = query.query;
+            queryParams = query.params || params;
+        }
+
+        if (!queryText) {
+            throw new Error('Query string is required');
+        }
+
         try {
-            return result.recordset[0].data ? JSON.parse(result.recordset[0].data) : null;
-        } catch (e) {
-            console.error('Error parsing JSON:', e);
-            return null;
+            const request = this._bindParams(connection.request(), queryParams);
+            return await request.query(queryText);
+        } catch (error) {
+            throw this._toSerializableError(error);
         }
     }
 
-    isTableNotExistsError(error) {
-        return error.number === 208;  // SQL Server invalid object name error
+    async executeTransaction(connection, queries) {
+        if (process.env.DEBUG) {
+            console.log('=== Execute Transaction Debug ===');
+            console.log('Queries:', queries);
+            console.log('==============================');
+        }
+
+        const transaction = connection.transaction();
+        await transaction.begin();
+        try {
+            const results = [];
+
+            for (const queryData of queries) {
+                let queryText = '';
+                let params = [];
+
+                if (typeof queryData === 'string') {
+                    queryText = queryData;
+                } else if (queryData && typeof queryData === 'object') {
+                    queryText = queryData.query;
+                    params = queryData.params || [];
+                } else {
+                    throw new Error('Invalid query format');
+                }
+
+                if (!queryText) {
+                    throw new Error('Query string is required');
+                }
+
+                const request = this._bindParams(transaction.request(), params);
+                results.push(await request.query(queryText));
+            }
+
+            await transaction.commit();
+            return results;
+        } catch (err) {
+            try {
+                await transaction.rollback();
+            } catch (rollbackError) {
+                // Log rollback error but throw original error
+                console.error('Rollback error:', rollbackError);
+            }
+            throw this._toSerializableError(err);
+        }
     }
 }
 
-module.exports = SQLServerStrategy;
\ No newline at end of file
+module.exports = SQLServerStrategy;
@@ -0,0 +1,848 @@
+// strategies/SQLiteStrategy.js
+const BaseStrategy = require('./BaseStrategy');
+const crypto = require('crypto');
+const {
+    validateTableName, toJSONPath, fromJSONPath, isStructuredCondition, parseFilter, compileFilter, combineSQL,
+    compareSQL, likeToRegExp, getSortingField, getSortDirection, getSortKeys, getOrderByTerms, compileOrderBy,
+    getLimit, NUMERIC_PATTERN
+} = require('./filterConditions');
+const {
+    getPage, decodeCursor, compileKeyset, selectSortTerms, getSortTermValues, getFetchLimit, toPage
+} = require('./pagination');
+const {parseProjection, selectData, toProjectedRow} = require('./projection');
+const {parseAggregation, compileAggregate, groupExpression, toAggregateRow} = require('./aggregation');
+const {SEARCH_COLUMN, parseSearchFields, parseSearchQuery, notSearchable} = require('./search');
+const {INDEX_TYPES, parseIndex, getIndexName, findIndexes} = require('./indexes');
+const {parseSchema, compileValidator, checkDocument} = require('./schema');
+const {parseGeneratedColumns} = require('./generatedColumns');
+const {ERROR_CODES} = require('../constants');
+
+class SQLiteStrategy extends BaseStrategy {
+    constructor() {
+        super();
+        this._storageDB = null;
+        this.READ_WRITE_KEY_TABLE = "KeyValueTable";
+        this.COLLECTIONS_TABLE = "collections";
+    }
+
+    // Drops the collections createCollection made with their search tables, then the key-value table, leaving the
+    // other tables of the file alone. The catalog stays, so that the tables registered without being created by the
+    // adapter are not taken for its own later. {dropAllTables: true} drops every table of the file instead.
+    async cleanupDatabase(connection, options = {}) {
+        console.log('DEBUG: Starting database cleanup');
+
+        if (!options?.dropAllTables) {
+            await this.createCollectionsTable(connection);
+            const owned = await this.executeQuery(connection, `
+                SELECT name FROM "${this.COLLECTIONS_TABLE}" WHERE owned ORDER BY name
+            `);
+            for (const {name} of owned.rows) {
+                console.log('DEBUG: Dropping collection:', name);
+                await this.removeCollection(connection, name);
+            }
+            await this.executeQuery(connection, `DROP TABLE IF EXISTS "${this.READ_WRITE_KEY_TABLE}"`);
+            console.log('DEBUG: Database cleanup completed');
+            return;
+        }
+
+        // Shadow tables go away with the search tables they belong to
+        const query = `
+            SELECT name
+            FROM pragma_table_list
+            WHERE schema = 'main'
+            AND type IN ('table', 'virtual')
+            AND name NOT LIKE 'sqlite_%'
+        `;
+
+        const result = await this.executeQuery(connection, query);
+        for (const row of result.rows) {
+            console.log('DEBUG: Dropping table:', row.name);
+            await this.executeQuery(connection, `DROP TABLE IF EXISTS "${row.name}"`);
+        }
+
+        console.log('DEBUG: Database cleanup completed');
+    }
+
+    async createDatabase(connection) {
+        await this.ensureKeyValueTable(connection);
+        return {success: true, message: "Database ready"};
+    }
+
+    // Database schema operations
+    async ensureKeyValueTable(connection) {
+        const query = `
+            CREATE TABLE IF NOT EXISTS "${this.READ_WRITE_KEY_TABLE}" (
+                pk TEXT PRIMARY KEY,
+                data TEXT,
+                __timestamp INTEGER
+            );
+        `;
+        await this.executeQuery(connection, query);
+    }
+
+    async createCollection(connection, tableName, indicesList, options = {}) {
+        if (!/^[a-zA-Z0-9_]+$/.test(tableName)) {
+            throw new Error(`Invalid table name: ${tableName}`);
+        }
+
+        const schema = parseSchema(options);
+        const searchFields = parseSearchFields(options);
+        // Generated columns are only checked, see generatedColumns.js
+        parseGeneratedColumns(options);
+        const query = `
+            CREATE TABLE IF NOT EXISTS "${tableName}" (
+                pk TEXT PRIMARY KEY,
+                data TEXT,
+                __timestamp INTEGER
+            );
+        `;
+        // A table that was already there stays another's, unless createCollection made it before
+        const existing = await this.executeQuery(connection, `
+            SELECT 1 FROM pragma_table_list WHERE schema = 'main' AND name = ?
+        `, [tableName]);
+        const owned = existing.rows.length === 0 ? 1 : 0;
+        const result = await this.executeQuery(connection, query);
+        // Every collection is registered, getCollections and cleanupDatabase read the catalog
+        await this.createCollectionsTable(connection);
+        if (schema === undefined) {
+            await this.executeQuery(connection, `
+                INSERT INTO "${this.COLLECTIONS_TABLE}" (name, owned) VALUES (?, ?)
+                ON CONFLICT (name) DO UPDATE SET owned = owned OR excluded.owned
+            `, [tableName, owned]);
+        } else {
+            await this.executeQuery(connection, `
+                INSERT INTO "${this.COLLECTIONS_TABLE}" (name, json_schema, owned) VALUES (?, ?, ?)
+                ON CONFLICT (name) DO UPDATE SET json_schema = excluded.json_schema, owned = owned OR excluded.owned
+            `, [tableName, schema === null ? null : JSON.stringify(schema), owned]);
+        }
+
+        if (searchFields.length > 0 && !await this._isSearchable(connection, tableName)) {
+            await this._createSearchTable(connection, tableName, searchFields);
+        }
+
+        if (indicesList && Array.isArray(indicesList)) {
+            for (const index of indicesList) {
+                await this.addIndex(connection, tableName, index);
+            }
+        }
+
+        return result;
+    }
+
+    // The text of the searchable fields is kept in an FTS5 table whose rows share the rowids of the records
+    async _createSearchTable(connection, tableName, searchFields) {
+        const searchTable = `${tableName}${SEARCH_COLUMN}`;
+        const text = `concat_ws(' ', ${searchFields.map(field => this._getSortExpressions(field).text).join(', ')})`;
+        const copy = `INSERT INTO "${searchTable}" (rowid, text) SELECT rowid, ${text} FROM "${tableName}"`;
+        await this.executeTransaction(connection, [
+            `CREATE VIRTUAL TABLE "${searchTable}" USING fts5(text, tokenize = 'unicode61 remove_diacritics 0')`,
+            copy,
+            `CREATE TRIGGER "${searchTable}_insert" AFTER INSERT ON "${tableName}" BEGIN
+                ${copy} WHERE rowid = new.rowid;
+            END`,
+            `CREATE TRIGGER "${searchTable}_update" AFTER UPDATE ON "${tableName}" BEGIN
+                DELETE FROM "${searchTable}" WHERE rowid = old.rowid;
+                ${copy} WHERE rowid = new.rowid;
+            END`,
+            `CREATE TRIGGER "${searchTable}_delete" AFTER DELETE ON "${tableName}" BEGIN
+                DELETE FROM "${searchTable}" WHERE rowid = old.rowid;
+            END`
+        ]);
+    }
+
+    async _isSearchable(connection, tableName) {
+        const query = `SELECT 1 FROM pragma_table_list WHERE schema = 'main' AND type = 'virtual' AND name = ?`;
+        const result = await this.executeQuery(connection, query, [`${tableName}${SEARCH_COLUMN}`]);
+        return result.rows.length > 0;
+    }
+
+    // Catalog of the collections with their schemas. Tables with the columns of a collection that were created before
+    // it are registered when it is created, not owned, so that getCollections keeps listing them. owned marks the
+    // collections createCollection made, which cleanupDatabase drops.
+    async createCollectionsTable(connection) {
+        const existing = await this.executeQuery(connection, `
+            SELECT 1 FROM pragma_table_list WHERE schema = 'main' AND name = ?
+        `, [this.COLLECTIONS_TABLE]);
+        if (existing.rows.length > 0) {
+            return;
+        }
+
+        await this.executeTransaction(connection, [`
+            CREATE TABLE IF NOT EXISTS "${this.COLLECTIONS_TABLE}" (
+                name TEXT PRIMARY KEY,
+                json_schema TEXT,
+                owned INTEGER NOT NULL DEFAULT 0
+            );
+        `, {
+            query: `
+                INSERT INTO "${this.COLLECTIONS_TABLE}" (name)
+                SELECT tables.name
+                FROM pragma_table_list AS tables
+                WHERE tables.schema = 'main'
+                AND tables.type = 'table'
+                AND tables.name NOT IN (?, ?)
+                AND tables.name NOT LIKE 'sqlite_%'
+                AND (
+                    SELECT group_concat(name, ',')
+                    FROM (SELECT name FROM pragma_table_info(tables.name) ORDER BY name)
+                ) = '__timestamp,data,pk'
+                ON CONFLICT (name) DO NOTHING
+            `,
+            params: [this.READ_WRITE_KEY_TABLE, this.COLLECTIONS_TABLE]
+        }]);
+    }
+
+    // The JSON Schema of a collection, null when it has none or there is no catalog yet
+    async _readSchema(connection, tableName) {
+        try {
+            const result = await this.executeQuery(connection, `
+                SELECT json_schema FROM "${this.COLLECTIONS_TABLE}" WHERE name = ?
+            `, [tableName]);
+            const row = result.rows[0];
+            return row?.json_schema ? JSON.parse(row.json_schema) : null;
+        } catch (error) {
+            if (error.code === ERROR_CODES.UNDEFINED_TABLE) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    // Read for every write and compiled once per schema (see schema.js)
+    async _getValidator(connection, tableName) {
+        return compileValidator(await this._readSchema(connection, tableName));
+    }
+
+    async removeCollection(connection, tableName) {
+        await this.executeQuery(connection, `DROP TABLE IF EXISTS "${tableName}${SEARCH_COLUMN}"`);
+        const query = `DROP TABLE IF EXISTS "${tableName}"`;
+        const result = await this.executeQuery(connection, query);
+        await this.createCollectionsTable(connection);
+        await this.executeQuery(connection, `DELETE FROM "${this.COLLECTIONS_TABLE}" WHERE name = ?`, [tableName]);
+        return result;
+    }
+
+    async removeCollectionAsync(connection, tableName) {
+        return await this.removeCollection(connection, tableName);
+    }
+
+    async addIndex(connection, tableName, property, options = {}) {
+        validateTableName(tableName);
+        const index = parseIndex(property, options);
+        const query = `
+            CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS "${getIndexName(tableName, index)}"
+            ON "${tableName}" (${this._typedExpression(index.field, index.type)});
+        `;
+        return await this.executeQuery(connection, query);
+    }
+
+    // Removes the index of the given type, or every index of the field when type is null
+    async removeIndex(connection, tableName, property, type = null) {
+        validateTableName(tableName);
+        const index = parseIndex(property, {type});
+        for (const indexType of type ? [index.type] : INDEX_TYPES) {
+            const indexName = getIndexName(tableName, {field: index.field, type: indexType});
+            await this.executeQuery(connection, `DROP INDEX IF EXISTS "${indexName}"`);
+        }
+    }
+
+    // The field indices of the collection, as {name, field, type, unique}. The field is read back from the JSON path
+    // of the indexed expression.
+    async listIndexes(connection, tableName) {
+        validateTableName(tableName);
+        const result = await this.executeQuery(connection, `
+            SELECT name, sql
+            FROM sqlite_master
+            WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL
+            ORDER BY name
+        `, [tableName]);
+
+        return result.rows.flatMap(({name, sql}) => {
+            const jsonPath = sql.match(/'(\$[^']+)'/)?.[1];
+            const unique = new Map([[name, /^CREATE UNIQUE\b/i.test(sql)]]);
+            return jsonPath ? findIndexes(tableName, [fromJSONPath(jsonPath)], unique) : [];
+        });
+    }
+
+    async getIndexedFields(connection, tableName) {
+        return [...new Set((await this.listIndexes(connection, tableName)).map(index => index.field))];
+    }
+
+    // Collection information
+    async getCollections(connection) {
+        await this.createCollectionsTable(connection);
+        const result = await this.executeQuery(connection, `SELECT name FROM "${this.COLLECTIONS_TABLE}" ORDER BY name`);
+        return result.rows.map(row => row.name);
+    }
+
+    async listCollections(connection) {
+        return await this.getCollections(connection);
+    }
+
+    async count(connection, tableName, conditions = null) {
+        if (conditions && conditions.length !== 0) {
+            const [{count}] = await this.aggregate(connection, tableName, conditions, {count: 'count'});
+            return count;
+        }
+
+        const query = `SELECT COUNT(*) AS count FROM "${tableName}"`;
+        const result = await this.executeQuery(connection, query);
+        return parseInt(result.rows[0].count, 10) || 0;
+    }
+
+    // Aggregates over the records matching the conditions, one row per group (see aggregation.js)
+    async aggregate(connection, tableName, conditions = [], aggregates = {count: 'count'}, groupBy = []) {
+        if (typeof conditions === "string" || isStructuredCondition(conditions)) {
+            conditions = [conditions];
+        }
+
+        validateTableName(tableName);
+        const spec = parseAggregation(aggregates, groupBy);
+        const params = [];
+        const groups = spec.groupBy.map(field => groupExpression(this._extractJSON(field)));
+        const getExpressions = field => this._getSortExpressions(field);
+        const columns = [
+            ...groups.map((group, index) => `${group} AS __group_${index}`),
+            ...spec.aggregates.map((aggregate, index) => `${compileAggregate(aggregate, getExpressions)} AS __aggregate_${index}`)
+        ];
+
+        let query = `SELECT ${columns.join(', ')} FROM "${tableName}"`;
+        const whereClause = this._convertToSQLQuery(conditions, params);
+        if (whereClause) {
+            query += ` WHERE ${whereClause}`;
+        }
+        if (groups.length > 0) {
+            query += ` GROUP BY ${groups.join(', ')}`;
+        }
+
+        const result = await this.executeQuery(connection, query, params);
+        return result.rows.map(row => toAggregateRow(row, spec));
+    }
+
+    // Records holding every word of the query in their searchable fields (see search.js), the most relevant first
+    async search(connection, tableName, text, conditions = [], max = null) {
+        if (typeof conditions === "string" || isStructuredCondition(conditions)) {
+            conditions = [conditions];
+        }
+
+        validateTableName(tableName);
+        const words = parseSearchQuery(text);
+        if (!await this._isSearchable(connection, tableName)) {
+            throw notSearchable(tableName);
+        }
+
+        const searchTable = `${tableName}${SEARCH_COLUMN}`;
+        const params = [words.map(word => `"${word}"`).join(' ')];
+        let query = `
+            SELECT "${tableName}".pk, "${tableName}".data, "${tableName}".__timestamp
+            FROM "${searchTable}"
+            JOIN "${tableName}" ON "${tableName}".rowid = "${searchTable}".rowid
+            WHERE "${searchTable}" MATCH ?
+        `;
+        const whereClause = this._convertToSQLQuery(conditions, params);
+        if (whereClause) {
+            query += ` AND ${whereClause}`;
+        }
+        query += ` ORDER BY "${searchTable}".rank, "${tableName}".pk`;
+
+        const limit = getLimit(max);
+        if (limit) {
+            params.push(limit);
+            query += ' LIMIT ?';
+        }
+
+        const result = await this.executeQuery(connection, query, params);
+        return result.rows.map(row => this._rowToRecord(row));
+    }
+
+    // Database state management
+    async close(connection) {
+        if (connection && connection.open) {
+            connection.close();
+        }
+    }
+
+    async refreshInProgress(connection) {
+        return false;
+    }
+
+    async refresh(connection) {
+        return {message: "Refresh completed"};
+    }
+
+    async refreshAsync(connection) {
+        return {message: "Refresh completed"};
+    }
+
+    async saveDatabase(connection) {
+        // Every statement is committed to the database file as it runs
+        return {message: "Database saved"};
+    }
+
+    // Record operations
+    async insertRecord(connection, tableName, pk, record) {
+        checkDocument(tableName, await this._getValidator(connection, tableName), record);
+        const query = `
+            INSERT INTO "${tableName}" (pk, data, __timestamp)
+            VALUES (?, ?, ?)
+            RETURNING pk, data, __timestamp
+        `;
+        const timestamp = Date.now();
+        const result = await this.executeQuery(connection, query, [pk, JSON.stringify(record), timestamp]);
+
+        if (!result?.rows?.[0]) {
+            throw new Error('Insert operation failed to return result');
+        }
+
+        return this._rowToRecord(result.rows[0]);
+    }
+
+    async updateRecord(connection, tableName, pk, record) {
+        checkDocument(tableName, await this._getValidator(connection, tableName), record);
+        const query = `
+            UPDATE "${tableName}"
+            SET data = ?,
+                __timestamp = ?
+            WHERE pk = ?
+            RETURNING pk, data, __timestamp
+        `;
+        const timestamp = Date.now();
+        const result = await this.executeQuery(connection, query, [JSON.stringify(record), timestamp, pk]);
+
+        if (!result?.rows?.[0]) return null;
+        return this._rowToRecord(result.rows[0]);
+    }
+
+    async deleteRecord(connection, tableName, pk) {
+        const query = `
+            DELETE FROM "${tableName}"
+            WHERE pk = ?
+            RETURNING pk, data, __timestamp
+        `;
+        const result = await this.executeQuery(connection, query, [pk]);
+
+        if (!result?.rows?.[0]) return null;
+        return {
+            pk: result.rows[0].pk,
+            data: this._parseData(result.rows[0].data),
+            __timestamp: result.rows[0].__timestamp
+        };
+    }
+
+    async getRecord(connection, tableName, pk, projection = null) {
+        const fields = parseProjection(projection);
+        const query = `SELECT ${this._selectData(fields)}, __timestamp FROM "${tableName}" WHERE pk = ?`;
+        const result = await this.executeQuery(connection, query, [pk]);
+
+        if (!result?.rows?.[0]) return null;
+        return this._parseData(toProjectedRow(result.rows[0], fields).data);
+    }
+
+    async getOneRecord(connection, tableName) {
+        const query = `SELECT data, __timestamp FROM "${tableName}" LIMIT 1`;
+        const result = await this.executeQuery(connection, query);
+
+        if (!result?.rows?.[0]) return null;
+        return this._parseData(result.rows[0].data);
+    }
+
+    async getAllRecords(connection, tableName, page = null, projection = null) {
+        if (getPage(page)) {
+            return this.filter(connection, tableName, [], 'asc', page, projection);
+        }
+
+        const fields = parseProjection(projection);
+        const query = `SELECT pk, ${this._selectData(fields)}, __timestamp FROM "${tableName}"`;
+        const result = await this.executeQuery(connection, query);
+        return result.rows.map(row => this._rowToRecord(row, fields));
+    }
+
+    async filter(connection, tableName, conditions = [], sort = 'asc', max = null, projection = null) {
+        if (typeof conditions === "string" || isStructuredCondition(conditions)) {
+            conditions = [conditions];
+        }
+
+        if (typeof conditions === "function") {
+            max = Infinity;
+            sort = "asc";
+            conditions = [];
+        }
+
+        if (typeof sort === "function") {
+            max = Infinity;
+            sort = "asc";
+        }
+
+        if (typeof max === "function") {
+            max = Infinity;
+        }
+
+        if (!max) {
+            max = Infinity;
+        }
+
+        const {query, params, page, sortKeys, terms, fields} = this._compileFilterQuery(
+            tableName, conditions, sort, max, projection
+        );
+        const result = await this.executeQuery(connection, query, params);
+        if (!page) {
+            return result.rows.map(row => this._rowToRecord(row, fields));
+        }
+        return toPage(
+            result.rows, page, sortKeys, row => getSortTermValues(row, terms), row => this._rowToRecord(row, fields)
+        );
+    }
+
+    // The SQL and parameters of a filter without running it, with the query plan of SQLite if asked
+    async explain(connection, tableName, conditions = [], sort = 'asc', max = null, withPlan = false) {
+        if (typeof conditions === "string" || isStructuredCondition(conditions)) {
+            conditions = [conditions];
+        }
+
+        const {query, params} = this._compileFilterQuery(tableName, conditions, sort, max || Infinity, null);
+        let plan = null;
+        if (withPlan) {
+            const result = await this.executeQuery(connection, `EXPLAIN QUERY PLAN ${query}`, params);
+            plan = result.rows;
+        }
+        return {query: query.trim(), params, plan};
+    }
+
+    // Queue operations
+    async addInQueue(connection, queueName, object, ensureUniqueness = false) {
+        const hash = crypto.createHash('sha256').update(JSON.stringify(object)).digest('hex');
+        let pk = hash;
+
+        if (ensureUniqueness) {
+            const random = crypto.randomBytes(5).toString('base64');
+            pk = `${hash}_${Date.now()}_${random}`;
+        }
+
+        const query = `
+            INSERT INTO "${queueName}" (pk, data, __timestamp)
+            VALUES (?, ?, ?)
+        `;
+
+        await this.executeQuery(connection, query, [pk, JSON.stringify(object), Date.now()]);
+        return pk;
+    }
+
+    async queueSize(connection, queueName) {
+        return await this.count(connection, queueName);
+    }
+
+    async listQueue(connection, queueName, sortAfterInsertTime = 'asc', onlyFirstN = null) {
+        if (getPage(onlyFirstN)) {
+            const sort = [{field: '__timestamp', direction: getSortDirection(sortAfterInsertTime)}];
+            const {results, nextCursor} = await this.filter(connection, queueName, [], sort, onlyFirstN);
+            return {results: results.map(record => record.pk), nextCursor};
+        }
+
+        validateTableName(queueName);
+        const direction = getSortDirection(sortAfterInsertTime);
+        const params = [];
+        let query = `
+            SELECT pk
+            FROM "${queueName}"
+            ORDER BY __timestamp ${direction}
+        `;
+
+        const limit = getLimit(onlyFirstN);
+        if (limit) {
+            query += ` LIMIT ?`;
+            params.push(limit);
+        }
+
+        const result = await this.executeQuery(connection, query, params);
+        return result.rows.map(row => row.pk);
+    }
+
+    async getObjectFromQueue(connection, queueName, hash) {
+        return await this.getRecord(connection, queueName, hash);
+    }
+
+    async deleteObjectFromQueue(connection, queueName, hash) {
+        const deleted = await this.deleteRecord(connection, queueName, hash);
+        return deleted ? deleted.data : null;
+    }
+
+    // Key-value operations
+    async writeKey(connection, key, value) {
+        await this.ensureKeyValueTable(connection);
+        const query = `
+            INSERT INTO "${this.READ_WRITE_KEY_TABLE}" (pk, data, __timestamp)
+            VALUES (?, ?, ?)
+            ON CONFLICT (pk) DO UPDATE
+            SET data = excluded.data,
+                __timestamp = excluded.__timestamp
+            RETURNING data
+        `;
+
+        const result = await this.executeQuery(connection, query, [key, JSON.stringify(value), Date.now()]);
+        if (!result?.rows?.[0]?.data) return null;
+        return this._parseData(result.rows[0].data);
+    }
+
+    async readKey(connection, key) {
+        await this.ensureKeyValueTable(connection);
+        return await this.getRecord(connection, this.READ_WRITE_KEY_TABLE, key);
+    }
+
+    // Storage reference
+    get storageDB() {
+        return this._storageDB;
+    }
+
+    set storageDB(value) {
+        this._storageDB = value;
+    }
+
+    // Helper methods
+    // The query of a filter and its parameters, with what is needed to read its rows
+    _compileFilterQuery(tableName, conditions, sort, max, projection) {
+        validateTableName(tableName);
+        const page = getPage(max);
+        const fields = parseProjection(projection);
+        const params = [];
+        const bind = (value) => {
+            params.push(value);
+            return '?';
+        };
+        const where = [];
+
+        if (conditions && conditions.length > 0) {
+            const whereClause = this._convertToSQLQuery(conditions, params);
+            if (whereClause) {
+                where.push(whereClause);
+            }
+        }
+
+        const sortKeys = getSortKeys(sort, this.__getSortingField(conditions));
+        const terms = getOrderByTerms(sortKeys, field => this._getSortExpressions(field));
+        if (page?.cursor) {
+            where.push(compileKeyset(terms, decodeCursor(page.cursor, sortKeys), bind));
+        }
+
+        let query = `
+        SELECT pk, ${this._selectData(fields)}, __timestamp${page ? `, ${selectSortTerms(terms)}` : ''}
+        FROM "${tableName}"
+        `;
+        if (where.length > 0) {
+            query += ` WHERE ${where.join(' AND ')}`;
+        }
+        query += ` ORDER BY ${compileOrderBy(terms)}`;
+
+        const limit = page ? getFetchLimit(page) : getLimit(max);
+        if (limit) {
+            query += ` LIMIT ${bind(limit)}`;
+        }
+        if (page?.offset) {
+            // SQLite has no OFFSET without LIMIT, a negative limit stands for no limit
+            query += `${limit ? '' : ' LIMIT -1'} OFFSET ${bind(page.offset)}`;
+        }
+
+        return {query, params, page, sortKeys, terms, fields};
+    }
+
+    _convertToSQLQuery(conditions, params = []) {
+        if (!conditions || !Array.isArray(conditions) || conditions.length === 0) {
+            return '';
+        }
+
+        const bind = (value) => {
+            params.push(value);
+            return '?';
+        };
+
+        try {
+            return compileFilter(parseFilter(conditions), ({field, operator, value, type}) => {
+                // json_contains is registered by ConnectionRegistry, like regexp
+                if (operator === 'contains') {
+                    const target = field ? this._extractJSON(field) : 'data';
+                    return `json_contains(${target}, ${bind(JSON.stringify(value))})`;
+                }
+
+                // json_extract returns NULL for both a missing key and a JSON null
+                const jsonValue = `json_extract(data, '${toJSONPath(field)}')`;
+
+                if (type === 'null') {
+                    return `${jsonValue} IS ${operator === '!=' ? 'NOT ' : ''}NULL`;
+                }
+
+                // REGEXP is backed by the JavaScript function registered by ConnectionRegistry. Like patterns are
+                // translated for it too, since LIKE ignores case and has no escape character by default.
+                if (operator === 'regex') {
+                    return `${this._getSortExpressions(field).text} REGEXP ${bind(value)}`;
+                }
+                if (operator === 'like' || operator === 'ilike') {
+                    const flags = operator === 'ilike' ? 'iu' : 'u';
+                    return `regexp(${bind(likeToRegExp(value))}, ${this._getSortExpressions(field).text}, '${flags}')`;
+                }
+
+                // CAST would turn text that is not numeric, and booleans, into numbers
+                if (type === 'number') {
+                    return compareSQL(this._typedExpression(field, 'numeric'), operator, value, bind);
+                }
+
+                if (type === 'boolean') {
+                    return compareSQL(this._typedExpression(field, 'boolean'), operator, `${value}`, bind);
+                }
+
+                return compareSQL(this._typedExpression(field, 'text'), operator, value, bind);
+            }, combineSQL);
+        } catch (err) {
+            throw new Error(`Error processing filter conditions: ${err.message}`);
+        }
+    }
+
+    __getSortingField(filterConditions) {
+        return getSortingField(filterConditions);
+    }
+
+    _getSortExpressions(field) {
+        const type = `json_type(data, '${toJSONPath(field)}')`;
+        const value = `json_extract(data, '${toJSONPath(field)}')`;
+        // json_extract turns booleans into 1/0, which must sort as the text of the JSON value
+        const text = `CASE WHEN ${type} IN ('true', 'false') THEN ${type} ELSE CAST(${value} AS TEXT) END`;
+        return {
+            text,
+            isNumber: `${type} IN ('integer', 'real')`,
+            number: value,
+            // CAST turns any text into a number, the regexp function of the connection tells numbers apart
+            castNumber: `CASE WHEN ${text} REGEXP '${NUMERIC_PATTERN}' THEN CAST(${value} AS REAL) END`
+        };
+    }
+
+    // The expression conditions of an index type compare, which the index is built on
+    _typedExpression(field, type) {
+        if (type === 'numeric') {
+            return this._getSortExpressions(field).castNumber;
+        }
+        // json_extract turns JSON booleans into 1/0, so the JSON type is compared instead.
+        // A JSON null must still compare as NULL for NOT to exclude it.
+        if (type === 'boolean') {
+            return `NULLIF(json_type(data, '${toJSONPath(field)}'), 'null')`;
+        }
+        return `json_extract(data, '${toJSONPath(field)}')`;
+    }
+
+    _parseData(data) {
+        if (typeof data === 'string') {
+            return JSON.parse(data);
+        }
+        return data;
+    }
+
+    // JSON text of a field, NULL when it is missing. Unlike json_extract, the -> operator does not unwrap scalars.
+    _extractJSON(field) {
+        return `data -> '${toJSONPath(field)}'`;
+    }
+
+    _selectData(projection) {
+        return selectData(projection, {
+            extract: field => this._extractJSON(field),
+            remove: fields => `json_remove(data, ${fields.map(field => `'${toJSONPath(field)}'`).join(', ')})`
+        });
+    }
+
+    _rowToRecord(row, projection = null) {
+        return {
+            ...this._parseData(toProjectedRow(row, projection).data),
+            pk: row.pk,
+            __timestamp: row.__timestamp
+        };
+    }
+
+    _toSerializableError(error) {
+        const serializableError = new Error(error.message);
+        serializableError.code = error.code;
+        if (/^no such table/.test(error.message)) {
+            serializableError.code = ERROR_CODES.UNDEFINED_TABLE;
+        } else if (error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY' || error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+            serializableError.code = ERROR_CODES.UNIQUE_VIOLATION;
+        }
+        serializableError.type = 'DatabaseError';
+        return serializableError;
+    }
+
+    _runStatement(connection, queryText, params) {
+        const statement = connection.prepare(queryText);
+        if (statement.reader) {
+            return {rows: statement.all(params)};
+        }
+        const info = statement.run(params);
+        return {rows: [], changes: info.changes};
+    }
+
+    // Transaction handling
+    async executeQuery(connection, query, params = []) {
+        try {
+            if (process.env.DEBUG) {
+                console.log('=== Execute Query Debug ===');
+                console.log('Query:', query);
+                console.log('Params:', params);
+                console.log('========================');
+            }
+
+            let queryText = '';
+            let queryParams = params;
+
+            if (typeof query === 'string') {
+                queryText = query;
+            } else if (query && typeof query === 'object') {
+                queryText = query.query;
+                if (query.params && (!params || !params.length)) {
+                    queryParams = query.params;
+                }
+            }
+
+            if (!queryText) {
+                throw new Error('Query string is required');
+            }
+
+            return this._runStatement(connection, queryText, queryParams);
+        } catch (error) {
+            throw this._toSerializableError(error);
+        }
+    }
+
+    async executeTransaction(connection, queries) {
+        if (process.env.DEBUG) {
+            console.log('=== Execute Transaction Debug ===');
+            console.log('Queries:', queries);
+            console.log('==============================');
+        }
+
+        // better-sqlite3 is synchronous, so the whole transaction runs without yielding to other tasks
+        const runAll = connection.transaction(() => {
+            return queries.map(queryData => {
+                let queryText = '';
+                let params = [];
+
+                if (typeof queryData === 'string') {
+                    queryText = queryData;
+                } else if (queryData && typeof queryData === 'object') {
+                    queryText = queryData.query;
+                    params = queryData.params || [];
+                } else {
+                    throw new Error('Invalid query format');
+                }
+
+                if (!queryText) {
+                    throw new Error('Query string is required');
+                }
+
+                return this._runStatement(connection, queryText, params);
+            });
+        });
+
+        try {
+            return runAll();
+        } catch (err) {
+            console.error('Transaction error:', err);
+            throw this._toSerializableError(err);
+        }
+    }
+}
+
+module.exports = SQLiteStrategy;
@@ -0,0 +1,86 @@
+// strategies/aggregation.js
+// Aggregations shared by the strategies. Aggregates map result names to 'fn(field)' strings or {fn, field}
+// objects, e.g. {orders: 'count', total: 'sum(amount)', top: {fn: 'max', field: 'amount'}}. Groups are field
+// paths, returned under their path with the JSON value they hold. Result names and group fields never reach the
+// SQL text: columns are aliased __group_n and __aggregate_n and renamed once the rows are read.
+const {validateFieldName} = require('./filterConditions');
+
+const AGGREGATE_FUNCTIONS = ['count', 'sum', 'avg', 'min', 'max'];
+
+function parseAggregate(name, aggregate) {
+    let spec = aggregate;
+    if (typeof aggregate === 'string') {
+        const match = aggregate.trim().match(/^([a-zA-Z]+)\s*(?:\(\s*(\*|[^()\s]*)\s*\))?$/);
+        if (!match) {
+            throw new Error(`Invalid aggregate ${name}: ${aggregate}`);
+        }
+        spec = {fn: match[1], field: match[2] === '*' || match[2] === '' ? null : match[2]};
+    }
+    if (!spec || typeof spec !== 'object') {
+        throw new Error(`Invalid aggregate ${name}: ${JSON.stringify(aggregate)}`);
+    }
+
+    const fn = `${spec.fn}`.toLowerCase();
+    if (!AGGREGATE_FUNCTIONS.includes(fn)) {
+        throw new Error(`Invalid aggregate function: ${spec.fn}`);
+    }
+
+    const field = spec.field === undefined || spec.field === null ? null : validateFieldName(spec.field);
+    if (!field && fn !== 'count') {
+        throw new Error(`Aggregate function ${fn} requires a field`);
+    }
+    return {name, fn, field};
+}
+
+// Returns {groupBy: [fields], aggregates: [{name, fn, field}]}
+function parseAggregation(aggregates, groupBy) {
+    if (!aggregates || typeof aggregates !== 'object' || Array.isArray(aggregates) || !Object.keys(aggregates).length) {
+        throw new Error(`Invalid aggregates: ${JSON.stringify(aggregates)}`);
+    }
+
+    const groups = [].concat(groupBy || []).map(validateFieldName);
+    const parsed = Object.entries(aggregates).map(([name, aggregate]) => parseAggregate(name, aggregate));
+    for (const {name} of parsed) {
+        if (groups.includes(name)) {
+            throw new Error(`Aggregate ${name} has the same name as a group field`);
+        }
+    }
+    return {groupBy: [...new Set(groups)], aggregates: parsed};
+}
+
+/**
+ * Compiles an aggregate with the sort expressions of the dialect (see getOrderByTerms): count(field) counts the
+ * values that are not null, the other functions only take the numeric values into account.
+ */
+function compileAggregate({fn, field}, getExpressions) {
+    if (fn === 'count') {
+        return field ? `COUNT(${getExpressions(field).text})` : 'COUNT(*)';
+    }
+    return `${fn.toUpperCase()}(${getExpressions(field).castNumber})`;
+}
+
+// Group values are read as JSON text, so a missing field and a JSON null fall into the same group
+function groupExpression(json) {
+    return `COALESCE(${json}, 'null')`;
+}
+
+function toAggregateRow(row, {groupBy, aggregates}) {
+    const result = {};
+    groupBy.forEach((field, index) => {
+        const json = row[`__group_${index}`];
+        result[field] = typeof json === 'string' ? JSON.parse(json) : json;
+    });
+    aggregates.forEach(({name}, index) => {
+        const value = row[`__aggregate_${index}`];
+        result[name] = value === null || value === undefined ? null : Number(value);
+    });
+    return result;
+}
+
+module.exports = {
+    AGGREGATE_FUNCTIONS,
+    parseAggregation,
+    compileAggregate,
+    groupExpression,
+    toAggregateRow
+};
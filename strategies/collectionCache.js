@@ -0,0 +1,45 @@
+// strategies/collectionCache.js
+// Values a strategy would otherwise read from the database for every query on a collection, such as the generated
+// columns of its table. The strategy drops the entry of a collection whenever it changes the collection. Changes made through
+// another strategy, as by the other workers of the pool, are read once the entry is older than MAX_AGE milliseconds.
+const MAX_AGE = 1000;
+
+class CollectionCache {
+    constructor(maxAge = MAX_AGE) {
+        this._maxAge = maxAge;
+        this._entries = new Map();
+        // Bumped by every change, so that a value loaded meanwhile is not kept
+        this._version = 0;
+    }
+
+    // The value of the collection, loaded with load() when it is missing or too old
+    async get(tableName, load) {
+        const entry = this._entries.get(tableName);
+        if (entry && Date.now() - entry.loadedAt < this._maxAge) {
+            return entry.value;
+        }
+
+        const version = this._version;
+        const loadedAt = Date.now();
+        const value = await load();
+        if (version === this._version) {
+            this._entries.set(tableName, {value, loadedAt});
+        }
+        return value;
+    }
+
+    delete(tableName) {
+        this._version++;
+        this._entries.delete(tableName);
+    }
+
+    clear() {
+        this._version++;
+        this._entries.clear();
+    }
+}
+
+module.exports = {
+    MAX_AGE,
+    CollectionCache
+};
@@ -0,0 +1,769 @@
+// strategies/filterConditions.js
+// Parsing shared by the filter compilers of every strategy. Condition values are always bound as
+// query parameters; only the field names, operators and sort directions validated here reach the SQL text.
+const crypto = require('crypto');
+
+const OPERATORS = ['=', '!=', '<', '<=', '>', '>=', 'like', 'ilike', 'regex', 'in', 'not in', 'between', 'contains'];
+const OPERATOR_ALIASES = {'==': '=', '<>': '!=', 'is': '=', 'is not': '!='};
+const LIST_OPERATORS = ['in', 'not in', 'between'];
+// like and ilike take SQL patterns: % matches any text, _ any single character, and \ escapes %, _ and itself.
+// regex takes a regular expression in the syntax of the database; POSIX extended syntax works everywhere.
+const PATTERN_OPERATORS = ['like', 'ilike', 'regex'];
+// contains takes a JSON value, written as JSON in string conditions when it is an object or an array.
+// It follows PostgreSQL's @>: an object contains the keys of another with values that contain theirs, an array
+// contains every element of another, and at the top level an array also contains its scalar elements.
+// Without a field, the condition applies to the whole document, whose containment needs an object.
+const TABLE_NAME = /^[a-zA-Z0-9_]+$/;
+// A top-level key, or a path of keys separated by dots with [n] array indices, e.g. batch.items[0].gtin. Keys are
+// letters, digits, _ and -, not starting with a digit or -; other keys are quoted, as in batch["lot number"], and
+// may hold any character but quotes, backslashes and control characters, which the SQL text cannot take.
+// __proto__, constructor and prototype are not valid keys, quoted or not.
+const FIELD_KEY = '[a-zA-Z_][a-zA-Z0-9_-]*';
+const QUOTED_KEY = '\\["[^"\'\\\\\\x00-\\x1f]+"\\]';
+const FIELD_PATH = new RegExp(`^(${FIELD_KEY}|${QUOTED_KEY})(\\.${FIELD_KEY}|${QUOTED_KEY}|\\[\\d{1,9}\\])*$`);
+const FIELD_SEGMENT = new RegExp(`${FIELD_KEY}|\\["([^"]+)"\\]|\\[(\\d+)\\]`, 'g');
+const UNQUOTED_KEY = new RegExp(`^${FIELD_KEY}$`);
+// The segments of the JSON paths toJSONPath writes
+const JSON_PATH_SEGMENT = /\.([a-zA-Z_][a-zA-Z0-9_]*)|\."([^"]+)"|\[(\d+)\]/g;
+// Keys that would reach the prototypes of the objects the documents are rebuilt into
+const RESERVED_KEYS = ['__proto__', 'constructor', 'prototype'];
+// Keys JSON paths and identifiers take as they are
+const PLAIN_KEY = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+// Plain keys that cannot run into the __ between the segments of an identifier
+const SEPARABLE_KEY = /^[a-zA-Z0-9](_?[a-zA-Z0-9])*$/;
+const NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+// The same numbers as a regular expression PostgreSQL, MySQL and JavaScript all understand
+const NUMERIC_PATTERN = '^[-+]?([0-9]+[.]?[0-9]*|[.][0-9]+)([eE][-+]?[0-9]+)?$';
+
+function validateTableName(tableName) {
+    if (typeof tableName !== 'string' || !TABLE_NAME.test(tableName)) {
+        throw new Error(`Invalid table name: ${tableName}`);
+    }
+    return tableName;
+}
+
+function validateFieldName(field) {
+    if (typeof field !== 'string' || !FIELD_PATH.test(field)
+        || splitFieldPath(field).some(segment => RESERVED_KEYS.includes(segment))) {
+        throw new Error(`Invalid field name: ${field}`);
+    }
+    return field;
+}
+
+// Splits a field path into its keys (strings) and array indices (numbers)
+function parseFieldPath(field) {
+    return splitFieldPath(validateFieldName(field));
+}
+
+function splitFieldPath(field) {
+    return [...field.matchAll(FIELD_SEGMENT)].map(([segment, quoted, index]) => {
+        if (index !== undefined) {
+            return Number(index);
+        }
+        return quoted !== undefined ? quoted : segment;
+    });
+}
+
+// The path in the $.key[n] syntax shared by MySQL, SQLite and SQL Server, with $."key" for the other keys
+function toJSONPath(field) {
+    return `$${toJSONPathSegments(parseFieldPath(field))}`;
+}
+
+// The field of a JSON path toJSONPath wrote, with its keys unquoted where they can be
+function fromJSONPath(jsonPath) {
+    return formatFieldPath([...jsonPath.matchAll(JSON_PATH_SEGMENT)].map(([, key, quoted, index]) => {
+        if (index !== undefined) {
+            return Number(index);
+        }
+        return key !== undefined ? key : quoted;
+    }));
+}
+
+// Writes parsed segments back as a field, the same for every way of writing it
+function formatFieldPath(path) {
+    return path.map((segment, position) => {
+        if (typeof segment === 'number') {
+            return `[${segment}]`;
+        }
+        if (!UNQUOTED_KEY.test(segment)) {
+            return `["${segment}"]`;
+        }
+        return position === 0 ? segment : `.${segment}`;
+    }).join('');
+}
+
+function toJSONPathSegments(path) {
+    return path.map(segment => {
+        if (typeof segment === 'number') {
+            return `[${segment}]`;
+        }
+        return PLAIN_KEY.test(segment) ? `.${segment}` : `."${segment}"`;
+    }).join('');
+}
+
+/**
+ * Identifier fragment for the indices and columns named after a field. Top-level plain keys without __, and paths of
+ * plain keys without __ or an outer _, keep the fragment they always had, with __ between the segments. The other
+ * fields are written with letters, digits and _ and end with ___ and a hash of the field, which the kept fragments
+ * never hold, so that no two fields share a fragment (a.b and a__b, product-code and product_code).
+ */
+function toIdentifier(field) {
+    const path = parseFieldPath(field);
+    if (path.length === 1 && PLAIN_KEY.test(field) && !field.includes('__')) {
+        return field;
+    }
+    if (path.length > 1 && path.every(segment => typeof segment === 'number' || SEPARABLE_KEY.test(segment))) {
+        return path.join('__');
+    }
+    const readable = path.map(segment => `${segment}`.replace(/[^a-zA-Z0-9_]/g, '_')).join('__');
+    return `${readable}___${hashIdentifier(formatFieldPath(path))}`;
+}
+
+function hashIdentifier(text) {
+    return crypto.createHash('sha1').update(text).digest('hex').slice(0, 10);
+}
+
+/**
+ * Normalises a condition into {field, operator, value, type}, where type is 'null', 'number', 'boolean' or 'string'
+ * and value has the matching JavaScript type, or is an array of such values for in, not in and between. Conditions
+ * of contains have the type 'json', and a null field when they apply to the whole document.
+ * A condition is either a "field operator value" string, whose value may contain spaces and is always a string when
+ * quoted ("tags in [a, 'b c']", "age between 18 and 65"), or a {field, op, value, type} object whose optional type
+ * hint converts the value. The timestamp hint turns dates, ISO 8601 text and epoch milliseconds into ISO 8601 text.
+ * Operators are normalised: == and is become =, <> and is not become !=.
+ * @returns {{field: string, operator: string, value: *, type: string}}
+ */
+function parseCondition(condition) {
+    let field, rawOperator, operator, value;
+
+    if (typeof condition === 'string') {
+        const match = condition.trim().match(/^(\S+)\s+(not\s+in|is\s+not|\S+)\s+(.+)$/i);
+        if (!match) {
+            throw new Error(`Invalid condition structure: ${condition}`);
+        }
+        [, field, rawOperator] = match;
+        operator = normalizeOperator(rawOperator);
+        if (LIST_OPERATORS.includes(operator)) {
+            value = parseList(match[3], operator);
+        } else {
+            value = operator === 'contains' ? parseJSONValue(match[3]) : inferValue(match[3]);
+        }
+    } else if (isStructuredCondition(condition)) {
+        field = condition.field;
+        rawOperator = `${condition.op}`;
+        operator = normalizeOperator(rawOperator);
+        if (!('value' in condition)) {
+            throw new Error(`Missing value in condition: ${JSON.stringify(condition)}`);
+        }
+        value = condition.value;
+        if (LIST_OPERATORS.includes(operator) && !Array.isArray(value)) {
+            throw new Error(`Operator ${operator} needs an array of values`);
+        }
+        if (condition.type !== undefined && operator !== 'contains') {
+            value = Array.isArray(value) ? value.map(item => convertValue(item, condition.type)) : convertValue(value, condition.type);
+        }
+    } else {
+        throw new Error('Invalid condition format');
+    }
+
+    if (operator === 'contains') {
+        return parseContainment(field, value);
+    }
+
+    validateFieldName(field);
+
+    if (LIST_OPERATORS.includes(operator)) {
+        return {field, operator, value, type: getListType(value, operator)};
+    }
+
+    const type = getValueType(value);
+    if (type === 'null') {
+        if (operator !== '=' && operator !== '!=') {
+            throw new Error(`Operator ${operator} cannot be used with null`);
+        }
+        return {field, operator, value, type};
+    }
+    if (/^is\b/i.test(rawOperator)) {
+        throw new Error(`Operator ${rawOperator} can only be used with null`);
+    }
+
+    // Patterns are matched against the text of the field
+    if (PATTERN_OPERATORS.includes(operator)) {
+        value = `${value}`;
+        if (operator !== 'regex' && /(^|[^\\])(\\\\)*\\$/.test(value)) {
+            throw new Error(`Pattern ends with an escape character: ${value}`);
+        }
+        return {field, operator, value, type: 'string'};
+    }
+    if (type === 'boolean' && operator !== '=' && operator !== '!=') {
+        throw new Error(`Operator ${operator} cannot be used with booleans`);
+    }
+
+    return {field, operator, value, type};
+}
+
+function parseContainment(field, value) {
+    if (value === null || value === undefined) {
+        throw new Error('Operator contains cannot be used with null');
+    }
+    if (field !== undefined && field !== null) {
+        validateFieldName(field);
+    } else if (typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error(`Document containment needs an object: ${JSON.stringify(value)}`);
+    }
+
+    const json = JSON.stringify(value);
+    if (json === undefined || typeof value === 'number' && !Number.isFinite(value)) {
+        throw new Error(`Unsupported value in condition: ${value}`);
+    }
+    return {field: field ?? null, operator: 'contains', value: JSON.parse(json), type: 'json'};
+}
+
+function parseJSONValue(text) {
+    if (!/^[[{]/.test(text.trim())) {
+        return inferValue(text);
+    }
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Invalid JSON in condition: ${text}`);
+    }
+}
+
+// Whether the JSON value target contains candidate, see contains above
+function jsonContains(target, candidate, topLevel = true) {
+    if (Array.isArray(candidate)) {
+        return Array.isArray(target)
+            && candidate.every(item => target.some(element => jsonContains(element, item, false)));
+    }
+    if (candidate !== null && typeof candidate === 'object') {
+        return target !== null && typeof target === 'object' && !Array.isArray(target)
+            && Object.entries(candidate).every(([key, value]) => {
+                return Object.prototype.hasOwnProperty.call(target, key) && jsonContains(target[key], value, false);
+            });
+    }
+    if (topLevel && Array.isArray(target)) {
+        return target.some(element => element === candidate);
+    }
+    return target === candidate;
+}
+
+function normalizeOperator(operator) {
+    const normalized = `${operator}`.toLowerCase().replace(/\s+/g, ' ');
+    const result = OPERATOR_ALIASES[normalized] || normalized;
+    if (!OPERATORS.includes(result)) {
+        throw new Error(`Unsupported operator: ${operator}`);
+    }
+    return result;
+}
+
+function isStructuredCondition(condition) {
+    return condition !== null && typeof condition === 'object' && !Array.isArray(condition);
+}
+
+// Types the value of a string condition the way LightDB does
+function inferValue(text) {
+    if (/^(['"]).*\1$/.test(text)) {
+        return text.slice(1, -1);
+    }
+
+    const lowerCase = text.toLowerCase();
+    if (lowerCase === 'null') {
+        return null;
+    }
+    if (lowerCase === 'true' || lowerCase === 'false') {
+        return lowerCase === 'true';
+    }
+    if (NUMBER.test(text)) {
+        return Number(text);
+    }
+    return text;
+}
+
+// "[a, b, c]" for in and not in, "x and y" for between
+function parseList(text, operator) {
+    if (operator === 'between') {
+        const bounds = splitUnquoted(text, /\s+and\s+/iy);
+        if (bounds.length !== 2 || bounds.some(bound => bound === '')) {
+            throw new Error(`Operator between needs two values joined by and: ${text}`);
+        }
+        return bounds.map(inferValue);
+    }
+
+    const match = text.trim().match(/^\[(.*)\]$/);
+    if (!match) {
+        throw new Error(`Operator ${operator} needs a list of values in brackets: ${text}`);
+    }
+    const items = match[1].trim() === '' ? [] : splitUnquoted(match[1], /,/y);
+    if (items.some(item => item === '')) {
+        throw new Error(`Empty value in list: ${text}`);
+    }
+    return items.map(inferValue);
+}
+
+// Splits on separator (a sticky RegExp) except inside quoted items
+function splitUnquoted(text, separator) {
+    const parts = [];
+    let start = 0;
+    let quote = null;
+
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+        if (quote) {
+            if (char === quote) {
+                quote = null;
+            }
+            continue;
+        }
+        if ((char === '"' || char === "'") && text.slice(start, index).trim() === '') {
+            quote = char;
+            continue;
+        }
+
+        separator.lastIndex = index;
+        const match = separator.exec(text);
+        if (match) {
+            parts.push(text.slice(start, index).trim());
+            start = index + match[0].length;
+            index = start - 1;
+        }
+    }
+
+    parts.push(text.slice(start).trim());
+    return parts;
+}
+
+function convertValue(value, type) {
+    if (value === null) {
+        return null;
+    }
+
+    switch (type) {
+        case 'string':
+            return `${value}`;
+        case 'number': {
+            const number = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+            if (!Number.isFinite(number)) {
+                throw new Error(`Invalid number in condition: ${value}`);
+            }
+            return number;
+        }
+        case 'boolean':
+            if (value === true || value === 'true') {
+                return true;
+            }
+            if (value === false || value === 'false') {
+                return false;
+            }
+            throw new Error(`Invalid boolean in condition: ${value}`);
+        case 'timestamp': {
+            // Dates are stored as the ISO 8601 text JSON.stringify writes, which sorts chronologically
+            const date = typeof value === 'boolean' || value === '' ? new Date(NaN) : new Date(value);
+            if (Number.isNaN(date.getTime())) {
+                throw new Error(`Invalid timestamp in condition: ${value}`);
+            }
+            return date.toISOString();
+        }
+        default:
+            throw new Error(`Unsupported type hint: ${type}`);
+    }
+}
+
+function getValueType(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return 'number';
+    }
+    if (typeof value === 'boolean' || typeof value === 'string') {
+        return typeof value;
+    }
+    throw new Error(`Unsupported value in condition: ${JSON.stringify(value)}`);
+}
+
+// The values of in, not in and between must share a type, which is also the type the field is compared as
+function getListType(values, operator) {
+    if (operator === 'between' && values.length !== 2) {
+        throw new Error('Operator between needs exactly two values');
+    }
+    if (values.length === 0) {
+        throw new Error(`Operator ${operator} needs at least one value`);
+    }
+
+    const types = [...new Set(values.map(getValueType))];
+    if (types.length > 1) {
+        throw new Error(`The values of ${operator} must share a type, got ${types.join(' and ')}`);
+    }
+    if (types[0] === 'null') {
+        throw new Error(`Operator ${operator} cannot be used with null, use = null or != null instead`);
+    }
+    if (types[0] === 'boolean') {
+        throw new Error(`Operator ${operator} cannot be used with booleans`);
+    }
+    return types[0];
+}
+
+// Builds a comparison against bound values; bind(value) returns the placeholder of a value
+function compareSQL(expression, operator, value, bind) {
+    switch (operator) {
+        case 'in':
+            return `${expression} IN (${value.map(bind).join(', ')})`;
+        case 'not in':
+            return `${expression} NOT IN (${value.map(bind).join(', ')})`;
+        case 'between':
+            return `${expression} BETWEEN ${bind(value[0])} AND ${bind(value[1])}`;
+        default:
+            return `${expression} ${operator} ${bind(value)}`;
+    }
+}
+
+// A like pattern as the source of an equivalent JavaScript regular expression, for strategies without LIKE.
+// Compile it with the u flag so that _ matches a whole character, as it does in SQL.
+function likeToRegExp(pattern) {
+    let source = '';
+    for (let index = 0; index < pattern.length; index++) {
+        let char = pattern[index];
+        if (char === '%' || char === '_') {
+            source += char === '%' ? '[\\s\\S]*' : '[\\s\\S]';
+            continue;
+        }
+        if (char === '\\') {
+            char = pattern[++index];
+        }
+        source += char.replace(/[\\^$.*+?()[\]{}|]/, '\\$&');
+    }
+    return `^${source}$`;
+}
+
+const GROUPS = ['and', 'or', 'not'];
+const KEYWORD = /^(and|or|not)$/i;
+
+/**
+ * Parses a filter into a tree of {group: 'and' | 'or' | 'not', conditions} nodes whose leaves are parsed conditions.
+ * The conditions of a list are ANDed. Each one may be a condition, an {and: [...]}, {or: [...]} or {not: condition}
+ * object, or a string expression such as "(a > 1 AND b < 5) OR NOT c == x", in which values containing spaces next
+ * to AND/OR, or containing parentheses, must be quoted.
+ * @returns {object|null} null when there are no conditions
+ */
+function parseFilter(conditions) {
+    if (conditions === undefined || conditions === null) {
+        return null;
+    }
+
+    const list = Array.isArray(conditions) ? conditions : [conditions];
+    if (list.length === 0) {
+        return null;
+    }
+    return {group: 'and', conditions: list.map(parseNode)};
+}
+
+function parseNode(node) {
+    if (typeof node === 'string') {
+        return isExpression(node) ? parseExpression(node) : parseCondition(node);
+    }
+    if (Array.isArray(node)) {
+        return {group: 'and', conditions: node.map(parseNode)};
+    }
+    if (isStructuredCondition(node)) {
+        const groups = GROUPS.filter(group => group in node);
+        if (groups.length === 0) {
+            return parseCondition(node);
+        }
+        if (groups.length > 1 || Object.keys(node).length > 1) {
+            throw new Error(`A group must have a single and, or or not key: ${JSON.stringify(node)}`);
+        }
+
+        const [group] = groups;
+        if (group === 'not') {
+            return {group, conditions: [parseNode(node.not)]};
+        }
+        if (!Array.isArray(node[group]) || node[group].length === 0) {
+            throw new Error(`The ${group} group must be a non-empty array: ${JSON.stringify(node)}`);
+        }
+        return {group, conditions: node[group].map(parseNode)};
+    }
+    throw new Error('Invalid condition format');
+}
+
+// Strings without keywords or leading parentheses keep the single "field operator value" grammar
+function isExpression(text) {
+    return text.trim().startsWith('(') || tokenize(text).some(token => token.keyword);
+}
+
+// Splits an expression into parentheses, AND/OR/NOT keywords and words, keeping quoted text in one word
+function tokenize(text) {
+    const tokens = [];
+    let index = 0;
+
+    while (index < text.length) {
+        const char = text[index];
+        if (/\s/.test(char)) {
+            index++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({text: char, start: index, end: index + 1});
+            index++;
+        } else {
+            const start = index;
+            // Only a quote opening a word starts quoted text, so apostrophes inside words are plain characters
+            const closing = char === '"' || char === "'" ? text.indexOf(char, index + 1) : -1;
+            if (closing !== -1) {
+                index = closing + 1;
+            }
+            while (index < text.length && !/[\s()]/.test(text[index])) {
+                index++;
+            }
+            const word = text.slice(start, index);
+            tokens.push({text: word, start, end: index, keyword: KEYWORD.test(word) ? word.toLowerCase() : undefined});
+        }
+    }
+    return tokens;
+}
+
+function parseExpression(text) {
+    const tokens = tokenize(text);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const fail = () => {
+        const token = peek();
+        throw new Error(`Invalid condition structure: ${text}${token ? ` (near "${token.text}")` : ''}`);
+    };
+
+    const parseBinary = (group, parseOperand) => {
+        const conditions = [parseOperand()];
+        while (peek() && peek().keyword === group) {
+            position++;
+            conditions.push(parseOperand());
+        }
+        return conditions.length === 1 ? conditions[0] : {group, conditions};
+    };
+
+    const parseOr = () => parseBinary('or', parseAnd);
+    const parseAnd = () => parseBinary('and', parseUnary);
+
+    const parseUnary = () => {
+        const token = peek();
+        if (!token) {
+            fail();
+        }
+        if (token.keyword === 'not') {
+            position++;
+            return {group: 'not', conditions: [parseUnary()]};
+        }
+        if (token.text === '(') {
+            position++;
+            const node = parseOr();
+            if (!peek() || peek().text !== ')') {
+                fail();
+            }
+            position++;
+            return node;
+        }
+
+        // A condition runs until the next AND/OR or closing parenthesis, except for the AND of a between
+        const first = position;
+        let betweenAnd = tokens[first + 1] !== undefined && /^between$/i.test(tokens[first + 1].text);
+        while (peek() && peek().text !== ')' && peek().keyword !== 'or' && (peek().keyword !== 'and' || betweenAnd)) {
+            if (peek().text === '(') {
+                fail();
+            }
+            if (peek().keyword === 'and') {
+                betweenAnd = false;
+            }
+            position++;
+        }
+        if (position === first) {
+            fail();
+        }
+        return parseCondition(text.slice(tokens[first].start, tokens[position - 1].end));
+    };
+
+    const tree = parseOr();
+    if (position < tokens.length) {
+        fail();
+    }
+    return tree;
+}
+
+/**
+ * Compiles a parsed filter bottom-up: compileCondition(condition) for the leaves, then combine(group, parts).
+ */
+function compileFilter(tree, compileCondition, combine) {
+    if (!tree.group) {
+        return compileCondition(tree);
+    }
+    return combine(tree.group, tree.conditions.map(node => compileFilter(node, compileCondition, combine)));
+}
+
+function combineSQL(group, parts) {
+    if (group === 'not') {
+        return `NOT (${parts[0]})`;
+    }
+    return parts.length === 1 ? parts[0] : `(${parts.join(` ${group.toUpperCase()} `)})`;
+}
+
+function getConditionFields(tree) {
+    if (!tree) {
+        return [];
+    }
+    if (tree.group) {
+        return tree.conditions.flatMap(getConditionFields);
+    }
+    return tree.field ? [tree.field] : [];
+}
+
+// Filters are ordered by the field of their first condition, or by insertion time without conditions
+function getSortingField(conditions) {
+    const [field] = getConditionFields(parseFilter(conditions));
+    return field || '__timestamp';
+}
+
+function getSortDirection(sort) {
+    if (sort === undefined || sort === null) {
+        return 'ASC';
+    }
+
+    const direction = `${sort}`.toUpperCase();
+    if (direction !== 'ASC' && direction !== 'DESC') {
+        throw new Error(`Invalid sort direction: ${sort}`);
+    }
+    return direction;
+}
+
+// Columns every table has, which are sorted directly instead of through the JSON data
+const SORT_COLUMNS = ['__timestamp', 'pk'];
+const SORT_TYPES = ['auto', 'number', 'string'];
+
+/**
+ * Normalises the sort argument of filter() into a list of {field, direction, nulls, type} keys.
+ * sort is either 'asc'/'desc', applied to defaultField, or a key or array of keys, each one a
+ * {field, direction, nulls, type} object or a "field [asc|desc] [nulls first|last]" string.
+ * nulls defaults to last when ascending and first when descending, as in PostgreSQL. type 'auto' orders JSON
+ * numbers numerically before strings, 'number' and 'string' compare every value as that type.
+ */
+function getSortKeys(sort, defaultField) {
+    if (sort === undefined || sort === null || typeof sort === 'string') {
+        return [createSortKey({field: defaultField, direction: sort})];
+    }
+
+    const keys = Array.isArray(sort) ? sort : [sort];
+    if (keys.length === 0) {
+        return [createSortKey({field: defaultField})];
+    }
+    return keys.map(key => createSortKey(typeof key === 'string' ? parseSortKey(key) : key));
+}
+
+function parseSortKey(text) {
+    const match = text.trim().match(/^(\S+)(?:\s+(asc|desc))?(?:\s+nulls\s+(first|last))?$/i);
+    if (!match) {
+        throw new Error(`Invalid sort key: ${text}`);
+    }
+    return {field: match[1], direction: match[2], nulls: match[3]};
+}
+
+function createSortKey(key) {
+    if (!isStructuredCondition(key)) {
+        throw new Error(`Invalid sort key: ${JSON.stringify(key)}`);
+    }
+
+    const field = validateFieldName(key.field);
+    const direction = getSortDirection(key.direction);
+
+    const nulls = key.nulls === undefined || key.nulls === null
+        ? (direction === 'ASC' ? 'last' : 'first')
+        : `${key.nulls}`.toLowerCase();
+    if (nulls !== 'first' && nulls !== 'last') {
+        throw new Error(`Invalid nulls ordering: ${key.nulls}`);
+    }
+
+    const type = key.type === undefined ? 'auto' : key.type;
+    if (!SORT_TYPES.includes(type)) {
+        throw new Error(`Invalid sort type: ${key.type}`);
+    }
+
+    return {field, direction, nulls, type};
+}
+
+/**
+ * Expands sort keys into ORDER BY terms, with pk as the final tie-breaker. getExpressions(field) returns the
+ * dialect's SQL for a JSON field: text (NULL for a missing key or JSON null), isNumber (true for JSON numbers),
+ * number (its numeric value, used when isNumber holds) and castNumber (the text converted to a number, NULL when
+ * it is not numeric). NULLs are placed through a separate term since not every dialect supports NULLS FIRST/LAST,
+ * which also keeps every term non-null so keyset cursors can compare them.
+ * @returns {{expression: string, direction: string}[]}
+ */
+function getOrderByTerms(keys, getExpressions) {
+    const terms = [];
+    const term = (expression, direction) => terms.push({expression, direction});
+
+    for (const {field, direction, nulls, type} of keys) {
+        if (SORT_COLUMNS.includes(field)) {
+            term(field, direction);
+            continue;
+        }
+
+        const {text, isNumber, number, castNumber} = getExpressions(field);
+        term(`CASE WHEN ${text} IS NULL THEN 1 ELSE 0 END`, nulls === 'last' ? 'ASC' : 'DESC');
+
+        if (type === 'number') {
+            term(`CASE WHEN ${castNumber} IS NULL THEN 1 ELSE 0 END`, direction);
+            term(`COALESCE(${castNumber}, 0)`, direction);
+        } else if (type === 'string') {
+            term(`COALESCE(${text}, '')`, direction);
+        } else {
+            term(`CASE WHEN ${isNumber} THEN 0 ELSE 1 END`, direction);
+            term(`COALESCE(CASE WHEN ${isNumber} THEN ${number} END, 0)`, direction);
+            term(`COALESCE(${text}, '')`, direction);
+        }
+    }
+
+    if (!keys.some(key => key.field === 'pk')) {
+        term('pk', 'ASC');
+    }
+    return terms;
+}
+
+function compileOrderBy(terms) {
+    return terms.map(({expression, direction}) => `${expression} ${direction}`).join(', ');
+}
+
+// Returns null when the results are not limited
+function getLimit(max) {
+    if (!max || max === Infinity) {
+        return null;
+    }
+
+    const limit = Number(max);
+    if (!Number.isInteger(limit) || limit < 0) {
+        throw new Error(`Invalid limit: ${max}`);
+    }
+    return limit;
+}
+
+module.exports = {
+    OPERATORS,
+    NUMERIC_PATTERN,
+    validateTableName,
+    validateFieldName,
+    parseFieldPath,
+    fromJSONPath,
+    toJSONPath,
+    toJSONPathSegments,
+    toIdentifier,
+    hashIdentifier,
+    parseCondition,
+    isStructuredCondition,
+    parseFilter,
+    compileFilter,
+    combineSQL,
+    compareSQL,
+    likeToRegExp,
+    jsonContains,
+    getSortingField,
+    getSortDirection,
+    getSortKeys,
+    getOrderByTerms,
+    compileOrderBy,
+    getLimit
+};
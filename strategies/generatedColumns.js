@@ -0,0 +1,56 @@
+// strategies/generatedColumns.js
+// Fields of the busiest collections can be promoted to generated columns with
+// createCollection(tableName, indices, {generatedColumns: ['status', {field: 'price', type: 'numeric'}]}).
+// A column stores the expression the filter compiler emits for conditions of its type (see indexes.js), so filters
+// and sorts read the column instead of extracting the value from data, and the indices of the field and type are
+// built on it. Columns are named __col_<field>[__<type>] and found again by name. PostgreSQL, MySQL and SQL Server
+// store them; SQLite can only add virtual columns to a table, no better than its expression indices, so it and the
+// in-memory store accept the option and keep reading data.
+const {parseIndex, getIndexSuffix} = require('./indexes');
+
+const GENERATED_COLUMN_PREFIX = '__col_';
+const GENERATED_COLUMN_TYPES = ['text', 'numeric', 'boolean'];
+
+// Returns the unique {field, type} columns to generate, an empty list when none are declared
+function parseGeneratedColumns(options) {
+    const columns = options?.generatedColumns;
+    if (columns === undefined || columns === null) {
+        return [];
+    }
+    if (!Array.isArray(columns)) {
+        throw new Error(`Invalid generated columns: ${JSON.stringify(columns)}`);
+    }
+
+    const parsed = new Map();
+    for (const column of columns) {
+        const {field, type} = parseIndex(column);
+        if (!GENERATED_COLUMN_TYPES.includes(type)) {
+            throw new Error(`Invalid generated column type: ${type}`);
+        }
+        parsed.set(getColumnName({field, type}), {field, type});
+    }
+    return [...parsed.values()];
+}
+
+function getColumnName(column) {
+    return `${GENERATED_COLUMN_PREFIX}${getIndexSuffix(column)}`;
+}
+
+// The generated columns among the column names of a table
+function toGeneratedColumns(columnNames) {
+    return new Set(columnNames.filter(name => name.startsWith(GENERATED_COLUMN_PREFIX)));
+}
+
+// The column holding the field as the given type, null when the field is not promoted to one
+function findGeneratedColumn(columns, field, type) {
+    const name = getColumnName({field, type});
+    return columns && columns.has(name) ? name : null;
+}
+
+module.exports = {
+    GENERATED_COLUMN_PREFIX,
+    parseGeneratedColumns,
+    getColumnName,
+    toGeneratedColumns,
+    findGeneratedColumn
+};
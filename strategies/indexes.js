@@ -0,0 +1,66 @@
+// strategies/indexes.js
+// Indices on JSON fields, added with addIndex(tableName, field, {type, unique}) or listed in createCollection as
+// field names or {field, type, unique} objects. Each type is built on the expression the filter compiler emits for
+// conditions of that type, so that the database can use the index: text for strings, numeric for numbers and
+// boolean for booleans. Timestamps are the ISO 8601 text JSON.stringify writes for dates and are compared as text
+// (see the timestamp type hint of parseCondition). A field may have one index of each type.
+const {validateFieldName, toIdentifier, hashIdentifier} = require('./filterConditions');
+
+const INDEX_TYPES = ['text', 'numeric', 'boolean', 'timestamp'];
+// PostgreSQL cuts identifiers at 63 bytes and MySQL rejects longer ones, leaving room for the idx_, __idx_ and
+// __col_ prefixes the strategies add
+const MAX_NAME_LENGTH = 56;
+
+// Returns {field, type, unique}, options applying to indices given by their field name
+function parseIndex(index, options = {}) {
+    const spec = typeof index === 'string' ? {...options, field: index} : index;
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        throw new Error(`Invalid index: ${JSON.stringify(index)}`);
+    }
+
+    const type = spec.type === undefined || spec.type === null ? 'text' : `${spec.type}`.toLowerCase();
+    if (!INDEX_TYPES.includes(type)) {
+        throw new Error(`Invalid index type: ${spec.type}`);
+    }
+    if (spec.unique !== undefined && spec.unique !== null && typeof spec.unique !== 'boolean') {
+        throw new Error(`Invalid unique flag: ${JSON.stringify(spec.unique)}`);
+    }
+    return {field: validateFieldName(spec.field), type, unique: spec.unique === true};
+}
+
+// Text indices keep the name untyped indices always had
+function getIndexSuffix({field, type}) {
+    return shortenName(`${toIdentifier(field)}${type === 'text' ? '' : `__${type}`}`);
+}
+
+function getIndexName(tableName, index) {
+    return shortenName(`${tableName}_${getIndexSuffix(index)}`);
+}
+
+// Names too long for every database are cut short and end with ___ and a hash of the whole name
+function shortenName(name) {
+    if (name.length <= MAX_NAME_LENGTH) {
+        return name;
+    }
+    const hash = hashIdentifier(name);
+    return `${name.slice(0, MAX_NAME_LENGTH - hash.length - 3)}___${hash}`;
+}
+
+/**
+ * The indices of the given fields whose names are among the existing ones, as {name, field, type, unique}.
+ * existing maps index names to whether they are unique.
+ */
+function findIndexes(tableName, fields, existing, prefix = '') {
+    return fields.flatMap(field => INDEX_TYPES
+        .map(type => ({name: `${prefix}${getIndexName(tableName, {field, type})}`, field, type}))
+        .filter(index => existing.has(index.name))
+        .map(index => ({...index, unique: existing.get(index.name)})));
+}
+
+module.exports = {
+    INDEX_TYPES,
+    parseIndex,
+    getIndexSuffix,
+    getIndexName,
+    findIndexes
+};
@@ -0,0 +1,99 @@
+// strategies/pagination.js
+// Offset and keyset pagination shared by the strategies. A page request replaces the plain limit of filter,
+// getAllRecords and listQueue with {limit, offset, cursor} and makes them return {results, nextCursor}.
+// Cursors are opaque: base64url JSON holding the sort values of the last row of a page and a fingerprint of the
+// sort keys, so a cursor cannot be replayed against a different sort order.
+const crypto = require('crypto');
+const {isStructuredCondition, getLimit} = require('./filterConditions');
+
+// Returns {limit, offset, cursor} when max is a page request, null when it is a plain limit
+function getPage(max) {
+    if (!isStructuredCondition(max)) {
+        return null;
+    }
+
+    const offset = max.offset === undefined || max.offset === null ? 0 : Number(max.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+        throw new Error(`Invalid offset: ${max.offset}`);
+    }
+    if (max.cursor !== undefined && max.cursor !== null && typeof max.cursor !== 'string') {
+        throw new Error('Invalid cursor');
+    }
+    return {limit: getLimit(max.limit), offset, cursor: max.cursor || null};
+}
+
+function fingerprint(sortKeys) {
+    return crypto.createHash('sha256').update(JSON.stringify(sortKeys)).digest('base64url').slice(0, 16);
+}
+
+function encodeCursor(sortKeys, values) {
+    return Buffer.from(JSON.stringify({s: fingerprint(sortKeys), v: values})).toString('base64url');
+}
+
+function decodeCursor(cursor, sortKeys) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new Error('Invalid cursor');
+    }
+    if (!decoded || typeof decoded !== 'object' || !Array.isArray(decoded.v)) {
+        throw new Error('Invalid cursor');
+    }
+    if (decoded.s !== fingerprint(sortKeys)) {
+        throw new Error('Cursor does not match the sort order of the request');
+    }
+    return decoded.v;
+}
+
+/**
+ * Compiles the condition selecting the rows after a cursor: rows whose ORDER BY terms (see getOrderByTerms) come
+ * after the cursor values. The terms are never NULL, so plain comparisons are enough.
+ */
+function compileKeyset(terms, values, bind) {
+    if (values.length !== terms.length) {
+        throw new Error('Invalid cursor');
+    }
+
+    const alternatives = terms.map((term, index) => {
+        const comparisons = terms.slice(0, index).map((previous, i) => `${previous.expression} = ${bind(values[i])}`);
+        comparisons.push(`${term.expression} ${term.direction === 'DESC' ? '<' : '>'} ${bind(values[index])}`);
+        return `(${comparisons.join(' AND ')})`;
+    });
+    return `(${alternatives.join(' OR ')})`;
+}
+
+// Select list exposing the ORDER BY terms, so the cursor can be built from the last row
+function selectSortTerms(terms) {
+    return terms.map((term, index) => `${term.expression} AS __sort_${index}`).join(', ');
+}
+
+function getSortTermValues(row, terms) {
+    return terms.map((term, index) => row[`__sort_${index}`]);
+}
+
+// Rows are fetched with limit + 1, the extra row only tells whether there is a next page
+function getFetchLimit(page) {
+    return page.limit === null ? null : page.limit + 1;
+}
+
+function toPage(rows, page, sortKeys, getValues, toResult) {
+    const hasMore = page.limit !== null && rows.length > page.limit;
+    const pageRows = hasMore ? rows.slice(0, page.limit) : rows;
+
+    return {
+        results: pageRows.map(toResult),
+        nextCursor: hasMore ? encodeCursor(sortKeys, getValues(pageRows[pageRows.length - 1])) : null
+    };
+}
+
+module.exports = {
+    getPage,
+    encodeCursor,
+    decodeCursor,
+    compileKeyset,
+    selectSortTerms,
+    getSortTermValues,
+    getFetchLimit,
+    toPage
+};
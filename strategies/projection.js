@@ -0,0 +1,126 @@
+// strategies/projection.js
+// Field projections of getRecord, getAllRecords and filter. A projection is a list of field paths to include,
+// or {include: [...]} / {exclude: [...]}. Included paths are selected one column each and reassembled into a
+// document, excluded paths are removed from data by the database, so only the projected fields are read.
+const {validateFieldName, parseFieldPath} = require('./filterConditions');
+
+// Returns {include: [...]} or {exclude: [...]}, or null for the whole document
+function parseProjection(projection) {
+    if (projection === undefined || projection === null) {
+        return null;
+    }
+
+    const spec = Array.isArray(projection) ? {include: projection} : projection;
+    const keys = typeof spec === 'object' ? Object.keys(spec) : [];
+    if (keys.length !== 1 || !['include', 'exclude'].includes(keys[0])
+        || !Array.isArray(spec[keys[0]]) || spec[keys[0]].length === 0) {
+        throw new Error(`Invalid projection: ${JSON.stringify(projection)}`);
+    }
+
+    const fields = spec[keys[0]].map(validateFieldName);
+    if (keys[0] === 'exclude') {
+        for (const field of fields) {
+            if (typeof parseFieldPath(field).pop() === 'number') {
+                throw new Error(`Cannot exclude an array element: ${field}`);
+            }
+        }
+    }
+    return {[keys[0]]: [...new Set(fields)]};
+}
+
+/**
+ * SELECT list for the data column under a projection. extract(field) must return the JSON text of the value,
+ * or NULL when the path is missing; remove(fields) the document without the given paths.
+ */
+function selectData(projection, {extract, remove}) {
+    if (!projection) {
+        return 'data';
+    }
+    if (projection.include) {
+        return projection.include.map((field, index) => `${extract(field)} AS __field_${index}`).join(', ');
+    }
+    return `${remove(projection.exclude)} AS data`;
+}
+
+// Replaces the __field_n columns of an included projection with the document they make up
+function toProjectedRow(row, projection) {
+    if (!projection?.include) {
+        return row;
+    }
+
+    const {...projected} = row;
+    projected.data = {};
+    projection.include.forEach((field, index) => {
+        const json = row[`__field_${index}`];
+        delete projected[`__field_${index}`];
+        if (json !== null && json !== undefined) {
+            setFieldValue(projected.data, field, typeof json === 'string' ? JSON.parse(json) : json);
+        }
+    });
+    return projected;
+}
+
+// Applies a projection to a whole document, for strategies that have it in memory
+function projectData(data, projection) {
+    if (!projection || data === null || typeof data !== 'object') {
+        return data;
+    }
+
+    if (projection.include) {
+        const projected = {};
+        for (const field of projection.include) {
+            const value = getFieldValue(data, field);
+            if (value !== undefined) {
+                setFieldValue(projected, field, value);
+            }
+        }
+        return projected;
+    }
+
+    for (const field of projection.exclude) {
+        const path = parseFieldPath(field);
+        const parent = getFieldValue(data, path.slice(0, -1));
+        if (parent !== null && typeof parent === 'object' && !Array.isArray(parent)) {
+            delete parent[path[path.length - 1]];
+        }
+    }
+    return data;
+}
+
+// The value at a path (a field or its parsed segments), undefined when any part of it is missing
+function getFieldValue(data, path) {
+    let value = data;
+    for (const segment of typeof path === 'string' ? parseFieldPath(path) : path) {
+        if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, segment)) {
+            return undefined;
+        }
+        value = value[segment];
+    }
+    return value;
+}
+
+// Sets own properties only, so that no key of a path reaches an inherited object
+function setFieldValue(data, field, value) {
+    const path = parseFieldPath(field);
+    let target = data;
+    path.slice(0, -1).forEach((segment, index) => {
+        if (!Object.prototype.hasOwnProperty.call(target, segment)
+            || target[segment] === null || typeof target[segment] !== 'object') {
+            defineValue(target, segment, typeof path[index + 1] === 'number' ? [] : {});
+        }
+        target = target[segment];
+    });
+    defineValue(target, path[path.length - 1], value);
+}
+
+function defineValue(target, key, value) {
+    Object.defineProperty(target, key, {value, writable: true, enumerable: true, configurable: true});
+}
+
+module.exports = {
+    parseProjection,
+    selectData,
+    toProjectedRow,
+    projectData,
+    getFieldValue
+};
@@ -0,0 +1,375 @@
+// strategies/schema.js
+// JSON Schema validation of the documents written to a collection, whose schema is given to createCollection as
+// {schema: {...}} and kept with the collection; {schema: null} removes it. insertRecord and updateRecord check the
+// document before writing it and reject it with a ValidationError whose errors list {path, message}, the path
+// written the way filters name fields (batch.lots[0].qty, '' for the document itself).
+// Of the draft 2020-12 keywords, type, enum, const, minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf,
+// minLength, maxLength, pattern, items, minItems, maxItems, uniqueItems, properties, additionalProperties, required,
+// minProperties, maxProperties, allOf, anyOf, oneOf and not are supported, and annotations are ignored. Schemas using
+// any other keyword, such as $ref, patternProperties, prefixItems or if, are rejected rather than half applied.
+const {ERROR_CODES} = require('../constants');
+
+// Validators compiled by compileValidator, by schema text
+const VALIDATORS = new Map();
+const MAX_VALIDATORS = 100;
+const TYPES = ['null', 'boolean', 'object', 'array', 'number', 'integer', 'string'];
+const ANNOTATIONS = [
+    '$schema', '$id', '$comment', 'title', 'description', 'default', 'examples', 'format', 'readOnly', 'writeOnly',
+    'deprecated'
+];
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function hasType(value, type) {
+    if (type === 'integer') {
+        return Number.isInteger(value);
+    }
+    return typeOf(value) === type;
+}
+
+function isEqual(a, b) {
+    if (typeOf(a) !== typeOf(b)) {
+        return false;
+    }
+    if (Array.isArray(a)) {
+        return a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+    }
+    if (a !== null && typeof a === 'object') {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length
+            && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+    }
+    return a === b;
+}
+
+function childPath(path, key) {
+    if (typeof key === 'number') {
+        return `${path}[${key}]`;
+    }
+    return path ? `${path}.${key}` : key;
+}
+
+function invalidSchema(location, message) {
+    return new Error(`Invalid schema${location ? ` at ${location}` : ''}: ${message}`);
+}
+
+/**
+ * Compiles a schema into a check(value, path, errors) function that pushes {path, message} for each violation,
+ * throwing when the schema itself is invalid. location is the path of the schema within the root one.
+ */
+function compileSchema(schema, location = '') {
+    if (schema === true || schema === false) {
+        return (value, path, errors) => {
+            if (!schema) {
+                errors.push({path, message: 'is not allowed'});
+            }
+        };
+    }
+    if (typeOf(schema) !== 'object') {
+        throw invalidSchema(location, 'a schema must be an object or a boolean');
+    }
+
+    const checks = [];
+    const at = keyword => location ? `${location}.${keyword}` : keyword;
+    const number = keyword => {
+        if (typeof schema[keyword] !== 'number' || !Number.isFinite(schema[keyword])) {
+            throw invalidSchema(at(keyword), 'must be a number');
+        }
+        return schema[keyword];
+    };
+    const count = keyword => {
+        if (!Number.isInteger(schema[keyword]) || schema[keyword] < 0) {
+            throw invalidSchema(at(keyword), 'must be a non-negative integer');
+        }
+        return schema[keyword];
+    };
+    const schemaList = keyword => {
+        if (!Array.isArray(schema[keyword]) || schema[keyword].length === 0) {
+            throw invalidSchema(at(keyword), 'must be a non-empty array of schemas');
+        }
+        return schema[keyword].map((item, index) => compileSchema(item, `${at(keyword)}[${index}]`));
+    };
+    // Runs a schema on a copy of the errors, so that combinators decide what to report
+    const passes = (check, value, path) => {
+        const errors = [];
+        check(value, path, errors);
+        return errors.length === 0;
+    };
+    const add = (types, check) => checks.push((value, path, errors) => {
+        if (types.length === 0 || types.some(type => hasType(value, type))) {
+            check(value, path, errors);
+        }
+    });
+
+    for (const keyword of Object.keys(schema)) {
+        switch (keyword) {
+            case 'type': {
+                const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+                if (types.length === 0 || types.some(type => !TYPES.includes(type))) {
+                    throw invalidSchema(at(keyword), `must be one of ${TYPES.join(', ')} or a list of them`);
+                }
+                add([], (value, path, errors) => {
+                    if (!types.some(type => hasType(value, type))) {
+                        errors.push({path, message: `must be ${types.join(' or ')}`});
+                    }
+                });
+                break;
+            }
+            case 'enum':
+                if (!Array.isArray(schema.enum)) {
+                    throw invalidSchema(at(keyword), 'must be an array');
+                }
+                add([], (value, path, errors) => {
+                    if (!schema.enum.some(item => isEqual(item, value))) {
+                        errors.push({path, message: `must be one of ${JSON.stringify(schema.enum)}`});
+                    }
+                });
+                break;
+            case 'const':
+                add([], (value, path, errors) => {
+                    if (!isEqual(schema.const, value)) {
+                        errors.push({path, message: `must be ${JSON.stringify(schema.const)}`});
+                    }
+                });
+                break;
+            case 'minimum':
+            case 'maximum':
+            case 'exclusiveMinimum':
+            case 'exclusiveMaximum': {
+                const limit = number(keyword);
+                const [holds, operator] = {
+                    minimum: [value => value >= limit, '>='],
+                    maximum: [value => value <= limit, '<='],
+                    exclusiveMinimum: [value => value > limit, '>'],
+                    exclusiveMaximum: [value => value < limit, '<']
+                }[keyword];
+                add(['number'], (value, path, errors) => {
+                    if (!holds(value)) {
+                        errors.push({path, message: `must be ${operator} ${limit}`});
+                    }
+                });
+                break;
+            }
+            case 'multipleOf': {
+                const divisor = number(keyword);
+                if (divisor <= 0) {
+                    throw invalidSchema(at(keyword), 'must be greater than 0');
+                }
+                add(['number'], (value, path, errors) => {
+                    const quotient = value / divisor;
+                    if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+                        errors.push({path, message: `must be a multiple of ${divisor}`});
+                    }
+                });
+                break;
+            }
+            case 'minLength':
+            case 'maxLength': {
+                const limit = count(keyword);
+                const min = keyword === 'minLength';
+                add(['string'], (value, path, errors) => {
+                    const length = [...value].length;
+                    if (min ? length < limit : length > limit) {
+                        errors.push({path, message: `must have ${min ? 'at least' : 'at most'} ${limit} characters`});
+                    }
+                });
+                break;
+            }
+            case 'pattern': {
+                let pattern;
+                try {
+                    pattern = new RegExp(schema.pattern, 'u');
+                } catch (err) {
+                    throw invalidSchema(at(keyword), `invalid pattern ${JSON.stringify(schema.pattern)}`);
+                }
+                add(['string'], (value, path, errors) => {
+                    if (!pattern.test(value)) {
+                        errors.push({path, message: `must match the pattern ${schema.pattern}`});
+                    }
+                });
+                break;
+            }
+            case 'items': {
+                const check = compileSchema(schema.items, at(keyword));
+                add(['array'], (value, path, errors) => {
+                    value.forEach((item, index) => check(item, childPath(path, index), errors));
+                });
+                break;
+            }
+            case 'minItems':
+            case 'maxItems': {
+                const limit = count(keyword);
+                const min = keyword === 'minItems';
+                add(['array'], (value, path, errors) => {
+                    if (min ? value.length < limit : value.length > limit) {
+                        errors.push({path, message: `must have ${min ? 'at least' : 'at most'} ${limit} items`});
+                    }
+                });
+                break;
+            }
+            case 'uniqueItems':
+                if (typeof schema.uniqueItems !== 'boolean') {
+                    throw invalidSchema(at(keyword), 'must be a boolean');
+                }
+                add(['array'], (value, path, errors) => {
+                    const duplicated = value.some((item, index) => {
+                        return value.findIndex(other => isEqual(other, item)) !== index;
+                    });
+                    if (schema.uniqueItems && duplicated) {
+                        errors.push({path, message: 'must not contain duplicate items'});
+                    }
+                });
+                break;
+            case 'properties': {
+                if (typeOf(schema.properties) !== 'object') {
+                    throw invalidSchema(at(keyword), 'must be an object of schemas');
+                }
+                const properties = Object.entries(schema.properties)
+                    .map(([key, property]) => [key, compileSchema(property, `${at(keyword)}.${key}`)]);
+                add(['object'], (value, path, errors) => {
+                    for (const [key, check] of properties) {
+                        if (Object.prototype.hasOwnProperty.call(value, key)) {
+                            check(value[key], childPath(path, key), errors);
+                        }
+                    }
+                });
+                break;
+            }
+            case 'additionalProperties': {
+                const check = compileSchema(schema.additionalProperties, at(keyword));
+                const declared = Object.keys(typeOf(schema.properties) === 'object' ? schema.properties : {});
+                add(['object'], (value, path, errors) => {
+                    for (const key of Object.keys(value).filter(key => !declared.includes(key))) {
+                        check(value[key], childPath(path, key), errors);
+                    }
+                });
+                break;
+            }
+            case 'required':
+                if (!Array.isArray(schema.required) || schema.required.some(key => typeof key !== 'string')) {
+                    throw invalidSchema(at(keyword), 'must be an array of property names');
+                }
+                add(['object'], (value, path, errors) => {
+                    for (const key of schema.required) {
+                        if (!Object.prototype.hasOwnProperty.call(value, key)) {
+                            errors.push({path: childPath(path, key), message: 'is required'});
+                        }
+                    }
+                });
+                break;
+            case 'minProperties':
+            case 'maxProperties': {
+                const limit = count(keyword);
+                const min = keyword === 'minProperties';
+                add(['object'], (value, path, errors) => {
+                    const size = Object.keys(value).length;
+                    if (min ? size < limit : size > limit) {
+                        errors.push({path, message: `must have ${min ? 'at least' : 'at most'} ${limit} properties`});
+                    }
+                });
+                break;
+            }
+            case 'allOf': {
+                const all = schemaList(keyword);
+                add([], (value, path, errors) => all.forEach(check => check(value, path, errors)));
+                break;
+            }
+            case 'anyOf': {
+                const any = schemaList(keyword);
+                add([], (value, path, errors) => {
+                    if (!any.some(check => passes(check, value, path))) {
+                        errors.push({path, message: 'must match at least one schema of anyOf'});
+                    }
+                });
+                break;
+            }
+            case 'oneOf': {
+                const one = schemaList(keyword);
+                add([], (value, path, errors) => {
+                    if (one.filter(check => passes(check, value, path)).length !== 1) {
+                        errors.push({path, message: 'must match exactly one schema of oneOf'});
+                    }
+                });
+                break;
+            }
+            case 'not': {
+                const check = compileSchema(schema.not, at(keyword));
+                add([], (value, path, errors) => {
+                    if (passes(check, value, path)) {
+                        errors.push({path, message: 'must not match the schema of not'});
+                    }
+                });
+                break;
+            }
+            default:
+                if (!ANNOTATIONS.includes(keyword)) {
+                    throw invalidSchema(location, `unsupported keyword ${keyword}`);
+                }
+        }
+    }
+
+    return (value, path, errors) => checks.forEach(check => check(value, path, errors));
+}
+
+// The schema of createCollection options once it compiles, null to remove it and undefined when it is not given
+function parseSchema(options) {
+    const schema = options?.schema;
+    if (schema === undefined || schema === null) {
+        return schema;
+    }
+    compileSchema(schema);
+    return schema;
+}
+
+// The schema compiled into a function returning the violations of a document, null when there is no schema.
+// Strategies read the schema of a collection for every write, so that a schema another worker of the pool set
+// applies at once; the validators are kept by schema text so that each schema is compiled only once.
+function compileValidator(schema) {
+    if (schema === undefined || schema === null) {
+        return null;
+    }
+
+    const text = JSON.stringify(schema);
+    let validate = VALIDATORS.get(text);
+    if (!validate) {
+        const check = compileSchema(schema);
+        validate = document => {
+            const errors = [];
+            check(document, '', errors);
+            return errors;
+        };
+        if (VALIDATORS.size >= MAX_VALIDATORS) {
+            VALIDATORS.delete(VALIDATORS.keys().next().value);
+        }
+        VALIDATORS.set(text, validate);
+    }
+    return validate;
+}
+
+// Throws the ValidationError of a document that does not match the schema of its collection, whose validator
+// compileValidator returned
+function checkDocument(tableName, validate, document) {
+    const errors = validate ? validate(document) : [];
+    if (errors.length === 0) {
+        return;
+    }
+
+    const details = errors.map(({path, message}) => `${path || 'document'} ${message}`).join('; ');
+    const error = new Error(`Document does not match the schema of collection ${tableName}: ${details}`);
+    error.code = ERROR_CODES.CHECK_VIOLATION;
+    error.type = 'ValidationError';
+    error.errors = errors;
+    throw error;
+}
+
+module.exports = {
+    compileSchema,
+    compileValidator,
+    parseSchema,
+    checkDocument
+};
@@ -0,0 +1,49 @@
+// strategies/search.js
+// Full-text search over the fields a collection declares searchable when it is created, through
+// createCollection(tableName, indices, {searchFields: [...]}). The text of those fields is kept in the __search
+// column (a search table in SQLite) and indexed the way the dialect supports it. A search matches the records
+// holding every word of the query, words being runs of letters and digits compared without regard to case.
+const {validateFieldName} = require('./filterConditions');
+
+const SEARCH_COLUMN = '__search';
+// The letters and digits of every script words are made of, as a character class body of JavaScript and RE2
+const WORD_CHARACTERS = '\\p{L}\\p{N}';
+const WORD = new RegExp(`[${WORD_CHARACTERS}]+`, 'gu');
+
+// Returns the unique searchable fields, an empty list when none are declared
+function parseSearchFields(options) {
+    const fields = options?.searchFields;
+    if (fields === undefined || fields === null) {
+        return [];
+    }
+    if (!Array.isArray(fields)) {
+        throw new Error(`Invalid search fields: ${JSON.stringify(fields)}`);
+    }
+    return [...new Set(fields.map(validateFieldName))];
+}
+
+function tokenize(text) {
+    return `${text}`.toLowerCase().match(WORD) || [];
+}
+
+// The words of a search query, without duplicates
+function parseSearchQuery(text) {
+    const words = typeof text === 'string' || typeof text === 'number' ? [...new Set(tokenize(text))] : [];
+    if (words.length === 0) {
+        throw new Error(`Invalid search query: ${JSON.stringify(text)}`);
+    }
+    return words;
+}
+
+function notSearchable(tableName) {
+    return new Error(`Collection ${tableName} has no searchable fields`);
+}
+
+module.exports = {
+    SEARCH_COLUMN,
+    WORD_CHARACTERS,
+    parseSearchFields,
+    parseSearchQuery,
+    tokenize,
+    notSearchable
+};
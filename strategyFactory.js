@@ -1,20 +1,108 @@
 // strategyFactory.js
-const BaseStrategy = require('./strategies/baseStrategy');
-const PostgreSQLStrategy = require('./strategies/postgreSQLStrategy');
+const BaseStrategy = require('./strategies/BaseStrategy');
+const PostgreSQLStrategy = require('./strategies/PostgreSQLStrategy');
+const MySQLStrategy = require('./strategies/MySQLStrategy');
+const SQLServerStrategy = require('./strategies/SQLServerStrategy');
+const SQLiteStrategy = require('./strategies/SQLiteStrategy');
+const InMemoryStrategy = require('./strategies/InMemoryStrategy');
+const connectionFactories = require('./connectionFactories');
+
+// Database type (lower case) -> {strategyClass, createConnection, closeConnection, defaultConfig, requiresCredentials}
+const registrations = new Map();
+const loadedModules = new Set();
 
 class StrategyFactory {
-    static createStrategy(type) {
-        switch (type.toLowerCase()) {
-            case 'postgresql':
-                return new PostgreSQLStrategy();
-            default:
-                throw new Error(`Unsupported database type: ${type}`);
+    /**
+     * Makes a database type available to StrategyFactory, ConnectionRegistry and the worker (through config.type).
+     * @param {string} type - name used as config.type, case-insensitive
+     * @param {object} registration
+     * @param {Function} registration.strategyClass - BaseStrategy subclass, instantiated without arguments
+     * @param {Function} registration.createConnection - async (config) => connection passed to every strategy method
+     * @param {Function} [registration.closeConnection] - async (connection) => void
+     * @param {object} [registration.defaultConfig] - used when no config is given for this type
+     * @param {boolean} [registration.requiresCredentials=true] - whether config.user and config.password are mandatory
+     */
+    static registerStrategy(type, registration) {
+        if (!type || typeof type !== 'string') {
+            throw new Error('Strategy type must be a non-empty string');
+        }
+        if (!registration || typeof registration.strategyClass !== 'function') {
+            throw new Error(`A strategy class is required to register database type: ${type}`);
+        }
+        if (typeof registration.createConnection !== 'function') {
+            throw new Error(`A connection factory is required to register database type: ${type}`);
+        }
+
+        const dbType = type.toLowerCase();
+        if (registrations.has(dbType)) {
+            throw new Error(`Database type already registered: ${type}`);
         }
+
+        registrations.set(dbType, {
+            strategyClass: registration.strategyClass,
+            createConnection: registration.createConnection,
+            closeConnection: registration.closeConnection || (async () => {}),
+            defaultConfig: registration.defaultConfig || {},
+            requiresCredentials: registration.requiresCredentials !== false
+        });
+    }
+
+    static unregisterStrategy(type) {
+        return registrations.delete(type.toLowerCase());
+    }
+
+    static isRegistered(type) {
+        return typeof type === 'string' && registrations.has(type.toLowerCase());
+    }
+
+    static getRegisteredTypes() {
+        return [...registrations.keys()];
+    }
+
+    static getRegistration(type) {
+        const registration = typeof type === 'string' ? registrations.get(type.toLowerCase()) : undefined;
+        if (!registration) {
+            throw new Error(`Unsupported database type: ${type}`);
+        }
+        return registration;
+    }
+
+    /**
+     * Loads modules that register additional database types. Each module must export a function
+     * that receives StrategyFactory, so it registers against this copy of the adapter.
+     */
+    static loadStrategyModules(modules = []) {
+        for (const modulePath of [].concat(modules)) {
+            if (loadedModules.has(modulePath)) {
+                continue;
+            }
+            const register = require(modulePath);
+            if (typeof register !== 'function') {
+                throw new Error(`Strategy module ${modulePath} must export a function receiving StrategyFactory`);
+            }
+            register(StrategyFactory);
+            loadedModules.add(modulePath);
+        }
+    }
+
+    static createStrategy(type) {
+        const {strategyClass} = this.getRegistration(type);
+        return new strategyClass();
     }
 }
 
+StrategyFactory.registerStrategy('postgresql', {strategyClass: PostgreSQLStrategy, ...connectionFactories.postgresql});
+StrategyFactory.registerStrategy('mysql', {strategyClass: MySQLStrategy, ...connectionFactories.mysql});
+StrategyFactory.registerStrategy('sqlserver', {strategyClass: SQLServerStrategy, ...connectionFactories.sqlserver});
+StrategyFactory.registerStrategy('sqlite', {strategyClass: SQLiteStrategy, ...connectionFactories.sqlite});
+StrategyFactory.registerStrategy('inmemory', {strategyClass: InMemoryStrategy, ...connectionFactories.inmemory});
+
 module.exports = {
     BaseStrategy,
     PostgreSQLStrategy,
+    MySQLStrategy,
+    SQLServerStrategy,
+    SQLiteStrategy,
+    InMemoryStrategy,
     StrategyFactory
-};
\ No newline at end of file
+};
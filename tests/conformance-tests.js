@@ -0,0 +1,41 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const runConformanceSuite = require('./strategyConformanceSuite');
+
+// Server databases use ConnectionRegistry's default configuration (see docker-compose.yaml)
+// and are skipped when they are not running.
+runConformanceSuite('inmemory', {
+    insertQuery: (tableName, pk, data) => ({query: 'insertRecord', params: [tableName, pk, data]})
+});
+
+const sqliteFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'lightdb-sqlite-'));
+runConformanceSuite('sqlite', {
+    config: {filename: path.join(sqliteFolder, 'conformance.sqlite')},
+    cleanup: () => fs.rmSync(sqliteFolder, {recursive: true, force: true}),
+    insertQuery: (tableName, pk, data) => ({
+        query: `INSERT INTO "${tableName}" (pk, data, __timestamp) VALUES (?, ?, ?)`,
+        params: [pk, JSON.stringify(data), Date.now()]
+    })
+});
+
+runConformanceSuite('postgresql', {
+    insertQuery: (tableName, pk, data) => ({
+        query: `INSERT INTO "${tableName}" (pk, data, __timestamp) VALUES ($1, $2::jsonb, $3)`,
+        params: [pk, JSON.stringify(data), Date.now()]
+    })
+});
+
+runConformanceSuite('mysql', {
+    insertQuery: (tableName, pk, data) => ({
+        query: `INSERT INTO \`${tableName}\` (pk, data, __timestamp) VALUES (?, ?, ?)`,
+        params: [pk, JSON.stringify(data), Date.now()]
+    })
+});
+
+runConformanceSuite('sqlserver', {
+    insertQuery: (tableName, pk, data) => ({
+        query: `INSERT INTO [${tableName}] (pk, data, __timestamp) VALUES (@p1, @p2, @p3)`,
+        params: [pk, JSON.stringify(data), Date.now()]
+    })
+});
@@ -245,8 +245,8 @@ describe('PostgreSQL Adapter Tests', () => {
             });
         });
 
-        it('should handle LIKE operator case-insensitively', function (done) {
-            db.filter('test_filters', ["name LIKE '%LIC%'"], 'asc', null, (err, results) => {
+        it('should handle ILIKE operator case-insensitively', function (done) {
+            db.filter('test_filters', ["name ILIKE '%LIC%'"], 'asc', null, (err, results) => {
                 if (err) return done(err);
                 try {
                     assert.strictEqual(results.length, 1);
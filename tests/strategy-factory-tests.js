@@ -0,0 +1,72 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConnectionRegistry = require('../connectionRegistry');
+const {StrategyFactory, BaseStrategy, InMemoryStrategy} = require('../strategyFactory');
+
+describe('Strategy Registration Tests', () => {
+    class CustomStrategy extends InMemoryStrategy {
+    }
+
+    const registration = {
+        strategyClass: CustomStrategy,
+        createConnection: async (config) => ({tables: new Map(), config}),
+        defaultConfig: {name: 'default'},
+        requiresCredentials: false
+    };
+
+    afterEach(() => {
+        StrategyFactory.unregisterStrategy('custom');
+    });
+
+    it('should register the built-in database types', () => {
+        for (const type of ['postgresql', 'mysql', 'sqlserver', 'sqlite', 'inmemory']) {
+            assert(StrategyFactory.isRegistered(type), `${type} should be registered`);
+            assert(StrategyFactory.createStrategy(type) instanceof BaseStrategy);
+        }
+    });
+
+    it('should create strategies and connections for a registered type', async () => {
+        StrategyFactory.registerStrategy('Custom', registration);
+
+        assert(StrategyFactory.createStrategy('custom') instanceof CustomStrategy);
+        assert.deepStrictEqual(ConnectionRegistry.DEFAULT_CONFIGS.custom, {name: 'default'});
+
+        const connection = await ConnectionRegistry.createConnection('custom');
+        assert.deepStrictEqual(connection.config, {name: 'default'});
+        assert.strictEqual(await ConnectionRegistry.testConnection('custom', {name: 'other'}), true);
+    });
+
+    it('should reject duplicate and incomplete registrations', () => {
+        StrategyFactory.registerStrategy('custom', registration);
+        assert.throws(() => StrategyFactory.registerStrategy('custom', registration), /already registered/);
+        assert.throws(() => StrategyFactory.registerStrategy('other', {strategyClass: CustomStrategy}), /connection factory/);
+        assert.throws(() => StrategyFactory.registerStrategy('other', {createConnection: async () => ({})}), /strategy class/);
+    });
+
+    it('should reject unknown database types', async () => {
+        assert.throws(() => StrategyFactory.createStrategy('unknown'), /Unsupported database type/);
+        await assert.rejects(ConnectionRegistry.createConnection('unknown'), /Unsupported database type/);
+    });
+
+    it('should load strategy modules once', () => {
+        const modulePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'lightdb-strategy-')), 'customStrategy.js');
+        fs.writeFileSync(modulePath, `
+            module.exports = (StrategyFactory) => {
+                StrategyFactory.registerStrategy('custom', {
+                    strategyClass: require(${JSON.stringify(require.resolve('../strategies/InMemoryStrategy'))}),
+                    createConnection: async () => ({tables: new Map()})
+                });
+            };
+        `);
+
+        try {
+            StrategyFactory.loadStrategyModules([modulePath]);
+            StrategyFactory.loadStrategyModules(modulePath);
+            assert(StrategyFactory.isRegistered('custom'));
+        } finally {
+            fs.rmSync(path.dirname(modulePath), {recursive: true, force: true});
+        }
+    });
+});
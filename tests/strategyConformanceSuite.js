@@ -0,0 +1,1439 @@
+// Behaviour every strategy must share with PostgreSQLStrategy, runnable against any registered database type:
+//
+//     const runConformanceSuite = require('lightdb-sql-adapter/tests/strategyConformanceSuite');
+//     runConformanceSuite('mydialect', {config: {...}, insertQuery: (tableName, pk, data) => ({query, params})});
+//
+// insertQuery builds a query in the strategy's own executeTransaction format and enables the transaction tests.
+// The suite is skipped when no connection can be made with the given config, unless the type is listed in the
+// comma-separated CONFORMANCE_REQUIRED environment variable (as in CI), which makes the connection failure an error.
+const assert = require('assert');
+const crypto = require('crypto');
+const ConnectionRegistry = require('../connectionRegistry');
+const {StrategyFactory} = require('../strategyFactory');
+
+const UNDEFINED_TABLE = '42P01';
+const UNIQUE_VIOLATION = '23505';
+
+// Keeps __timestamp values distinct so insertion order is observable
+const tick = () => new Promise(resolve => setTimeout(resolve, 2));
+
+const REQUIRED_TYPES = (process.env.CONFORMANCE_REQUIRED || '').split(',').map(type => type.trim().toLowerCase());
+
+function runConformanceSuite(type, {config = null, cleanup = null, insertQuery = null} = {}) {
+    describe(`Strategy conformance: ${type}`, function () {
+        this.timeout(10000);
+        let strategy;
+        let connection;
+
+        const insertAll = async (tableName, records) => {
+            for (const [pk, record] of Object.entries(records)) {
+                await strategy.insertRecord(connection, tableName, pk, record);
+                await tick();
+            }
+        };
+
+        before(async function () {
+            const isAvailable = await ConnectionRegistry.testConnection(type, config);
+            if (!isAvailable && REQUIRED_TYPES.includes(type)) {
+                throw new Error(`Could not connect to ${type}, which CONFORMANCE_REQUIRED lists`);
+            }
+            if (!isAvailable) {
+                console.warn(`Warning: Could not connect to ${type}. Skipping conformance tests.`);
+                this.skip();
+                return;
+            }
+
+            connection = await ConnectionRegistry.createConnection(type, config);
+            strategy = StrategyFactory.createStrategy(type);
+            await strategy.createDatabase(connection);
+        });
+
+        after(async function () {
+            if (strategy) {
+                await strategy.close(connection);
+            }
+            if (cleanup) {
+                await cleanup();
+            }
+        });
+
+        beforeEach(async function () {
+            if (!strategy) return;
+            for (const collection of await strategy.getCollections(connection)) {
+                await strategy.removeCollection(connection, collection);
+            }
+        });
+
+        describe('Collections', () => {
+            it('should create, list and remove collections', async () => {
+                await strategy.createCollection(connection, 'conf_collection', []);
+                assert.deepStrictEqual(await strategy.getCollections(connection), ['conf_collection']);
+
+                await strategy.removeCollection(connection, 'conf_collection');
+                assert.deepStrictEqual(await strategy.getCollections(connection), []);
+            });
+
+            it('should keep the key-value table out of the collection list', async () => {
+                await strategy.writeKey(connection, 'conf_key', {type: 'string', value: 'value'});
+                assert.deepStrictEqual(await strategy.getCollections(connection), []);
+            });
+
+            it('should list the collections of the catalog, registering older tables shaped like collections', async function () {
+                if (type !== 'sqlite' && type !== 'postgresql') this.skip();
+
+                const data = type === 'postgresql' ? 'JSONB' : 'TEXT';
+                await strategy.executeQuery(connection, `DROP TABLE IF EXISTS ${strategy.COLLECTIONS_TABLE}`);
+                await strategy.executeQuery(connection, `CREATE TABLE conf_legacy (pk TEXT PRIMARY KEY, data ${data}, __timestamp BIGINT)`);
+                await strategy.executeQuery(connection, 'CREATE TABLE conf_foreign (id INTEGER)');
+                await strategy.executeQuery(connection, 'CREATE TABLE conf_wider (pk TEXT PRIMARY KEY, data TEXT, __timestamp BIGINT, kind TEXT)');
+                if (type === 'postgresql') {
+                    // The index addIndex built before the catalog, on a top-level field
+                    await strategy.executeQuery(connection, `CREATE INDEX "conf_legacy_name" ON "conf_legacy" ((data ->>'name'))`);
+                }
+                try {
+                    assert.deepStrictEqual(await strategy.getCollections(connection), ['conf_legacy']);
+                    if (type === 'postgresql') {
+                        assert.deepStrictEqual(await strategy.getIndexedFields(connection, 'conf_legacy'), ['name']);
+                    }
+                    await strategy.createCollection(connection, 'conf_collection', []);
+                    assert.deepStrictEqual(await strategy.getCollections(connection), ['conf_collection', 'conf_legacy']);
+                } finally {
+                    await strategy.executeQuery(connection, 'DROP TABLE conf_foreign');
+                    await strategy.executeQuery(connection, 'DROP TABLE conf_wider');
+                }
+            });
+
+            it('should record the indices, options and creation time of a collection', async function () {
+                if (type !== 'postgresql') this.skip();
+
+                const createdAfter = Date.now();
+                await strategy.createCollection(connection, 'conf_collection', ['name', {field: 'score', type: 'numeric'}], {
+                    searchFields: ['name']
+                });
+                await strategy.createCollection(connection, 'conf_collection', ['rank'], {containmentIndex: true, schema: {type: 'object'}});
+                await strategy.createCollection(connection, 'conf_collection', [], {schema: null});
+                assert.deepStrictEqual(
+                    (await strategy.listIndexes(connection, 'conf_collection')).map(({field, type}) => `${field}:${type}`).sort(),
+                    ['name:text', 'rank:text', 'score:numeric']
+                );
+
+                const {rows: [catalog]} = await strategy.executeQuery(connection, `
+                    SELECT indices, options, created_at, owned FROM ${strategy.COLLECTIONS_TABLE} WHERE name = $1
+                `, ['conf_collection']);
+                assert.deepStrictEqual(catalog.indices.sort(), ['name', 'rank', 'score']);
+                assert.deepStrictEqual(catalog.options, {searchFields: ['name'], containmentIndex: true, schema: null});
+                assert.ok(Number(catalog.created_at) >= createdAfter && Number(catalog.created_at) <= Date.now());
+                assert.strictEqual(catalog.owned, true);
+            });
+
+            it('should allow creating a collection twice', async () => {
+                await strategy.createCollection(connection, 'conf_collection', []);
+                await strategy.insertRecord(connection, 'conf_collection', 'key1', {name: 'kept'});
+                await strategy.createCollection(connection, 'conf_collection', []);
+                assert.deepStrictEqual(await strategy.getRecord(connection, 'conf_collection', 'key1'), {name: 'kept'});
+                assert.deepStrictEqual(await strategy.getCollections(connection), ['conf_collection']);
+            });
+
+            it('should ignore removing a missing collection', async () => {
+                await strategy.removeCollection(connection, 'conf_missing');
+                await strategy.removeCollectionAsync(connection, 'conf_missing');
+            });
+
+            it('should reject invalid table names', async () => {
+                await assert.rejects(strategy.createCollection(connection, 'invalid.table', []));
+                await assert.rejects(strategy.createCollection(connection, 'drop table; --', []));
+            });
+
+            it('should add indices to an existing collection', async () => {
+                await strategy.createCollection(connection, 'conf_collection', ['score']);
+                await strategy.addIndex(connection, 'conf_collection', 'rank');
+                await strategy.addIndex(connection, 'conf_collection', 'rank');
+                await strategy.insertRecord(connection, 'conf_collection', 'key1', {score: 1, rank: 2});
+                assert.strictEqual(await strategy.count(connection, 'conf_collection'), 1);
+            });
+
+            it('should list and remove indices', async () => {
+                await strategy.createCollection(connection, 'conf_collection', ['score']);
+                await strategy.addIndex(connection, 'conf_collection', 'batch.gtin');
+                await strategy.createCollection(connection, 'conf_collection', []);
+                assert.deepStrictEqual((await strategy.getIndexedFields(connection, 'conf_collection')).sort(), ['batch.gtin', 'score']);
+
+                const indexes = await strategy.listIndexes(connection, 'conf_collection');
+                assert.deepStrictEqual(indexes.map(index => index.field).sort(), ['batch.gtin', 'score']);
+                assert.strictEqual(new Set(indexes.map(index => index.name)).size, 2);
+
+                await strategy.removeIndex(connection, 'conf_collection', 'score');
+                await strategy.removeIndex(connection, 'conf_collection', 'score');
+                assert.deepStrictEqual(await strategy.getIndexedFields(connection, 'conf_collection'), ['batch.gtin']);
+
+                await strategy.addIndex(connection, 'conf_collection', 'score');
+                await strategy.insertRecord(connection, 'conf_collection', 'key1', {score: 1, batch: {gtin: 'a'}});
+                assert.deepStrictEqual((await strategy.getIndexedFields(connection, 'conf_collection')).sort(), ['batch.gtin', 'score']);
+                assert.strictEqual(await strategy.count(connection, 'conf_collection', ['score == 1']), 1);
+            });
+
+            it('should filter and sort numbers written with an exponent on numeric indices', async () => {
+                await strategy.createCollection(connection, 'conf_collection', [{field: 'score', type: 'numeric'}]);
+                await insertAll('conf_collection', {key1: {score: 1e21}, key2: {score: 7}, key3: {score: 2.5e-3}, key4: {score: -3E2}});
+
+                const pks = (conditions, sort = 'asc') => strategy.filter(connection, 'conf_collection', conditions, sort)
+                    .then(results => results.map(result => result.pk));
+                assert.deepStrictEqual(await pks(['score > 1e20']), ['key1']);
+                assert.deepStrictEqual(await pks(['score < 1']), ['key4', 'key3']);
+                assert.deepStrictEqual(await pks(['score >= -1e3'], ['score desc']), ['key1', 'key2', 'key3', 'key4']);
+            });
+
+            it('should add typed indices that filters keep working with', async () => {
+                await strategy.createCollection(connection, 'conf_collection', [{field: 'score', type: 'numeric'}, 'name']);
+                await strategy.addIndex(connection, 'conf_collection', 'active', {type: 'boolean'});
+                await strategy.addIndex(connection, 'conf_collection', 'created', {type: 'timestamp'});
+                await strategy.addIndex(connection, 'conf_collection', 'score');
+                await insertAll('conf_collection', {
+                    key1: {name: 'Alice', score: 9, active: true, created: '2024-01-01T00:00:00.000Z'},
+                    key2: {name: 'Bob', score: '10', active: false, created: '2024-06-01T00:00:00.000Z'},
+                    key3: {name: 'Carol', score: 'n/a', active: 'yes'}
+                });
+
+                const indexes = await strategy.listIndexes(connection, 'conf_collection');
+                assert.deepStrictEqual(
+                    indexes.map(({field, type, unique}) => `${field}:${type}:${unique}`).sort(),
+                    ['active:boolean:false', 'created:timestamp:false', 'name:text:false', 'score:numeric:false', 'score:text:false']
+                );
+                assert.strictEqual(new Set(indexes.map(index => index.name)).size, 5);
+
+                assert.strictEqual(await strategy.count(connection, 'conf_collection', ['score > 9.5']), 1);
+                assert.strictEqual(await strategy.count(connection, 'conf_collection', ['active == true']), 1);
+                assert.strictEqual(await strategy.count(connection, 'conf_collection', ['name >= Bob']), 2);
+                const since = {field: 'created', op: '>=', value: Date.parse('2024-03-01'), type: 'timestamp'};
+                assert.deepStrictEqual((await strategy.filter(connection, 'conf_collection', [since])).map(record => record.pk), ['key2']);
+
+                await strategy.removeIndex(connection, 'conf_collection', 'score', 'numeric');
+                assert.deepStrictEqual((await strategy.getIndexedFields(connection, 'conf_collection')).sort(), ['active', 'created', 'name', 'score']);
+                await strategy.removeIndex(connection, 'conf_collection', 'score');
+                assert.deepStrictEqual((await strategy.getIndexedFields(connection, 'conf_collection')).sort(), ['active', 'created', 'name']);
+            });
+
+            it('should reject duplicate values of a unique index', async () => {
+                await strategy.createCollection(connection, 'conf_collection', []);
+                await strategy.addIndex(connection, 'conf_collection', 'sku', {unique: true});
+                await strategy.insertRecord(connection, 'conf_collection', 'key1', {sku: 'A-1'});
+                await strategy.insertRecord(connection, 'conf_collection', 'key2', {sku: 'A-2'});
+
+                await assert.rejects(
+                    strategy.insertRecord(connection, 'conf_collection', 'key3', {sku: 'A-1'}),
+                    err => err.code === UNIQUE_VIOLATION && err.type === 'DatabaseError'
+                );
+                await assert.rejects(
+                    strategy.updateRecord(connection, 'conf_collection', 'key2', {sku: 'A-1'}),
+                    err => err.code === UNIQUE_VIOLATION
+                );
+                await strategy.updateRecord(connection, 'conf_collection', 'key1', {sku: 'A-1', name: 'kept'});
+                assert.strictEqual(await strategy.count(connection, 'conf_collection'), 2);
+
+                const [index] = await strategy.listIndexes(connection, 'conf_collection');
+                assert.deepStrictEqual({field: index.field, type: index.type, unique: index.unique}, {field: 'sku', type: 'text', unique: true});
+            });
+
+            it('should keep unique indices to the values records have, however long', async () => {
+                await strategy.createCollection(connection, 'conf_collection', ['note']);
+                await strategy.addIndex(connection, 'conf_collection', 'sku', {unique: true});
+                await strategy.addIndex(connection, 'conf_collection', 'rank', {type: 'numeric', unique: true});
+                // Longer than the key of any index, and sharing more than the prefix indices hold
+                const shared = 'é'.repeat(1000);
+                await insertAll('conf_collection', {
+                    key1: {sku: `${shared}1`, note: `${shared}1`, rank: 1},
+                    key2: {sku: `${shared}2`, note: `${shared}1`},
+                    key3: {name: 'no sku'},
+                    key4: {sku: null, rank: null}
+                });
+
+                await assert.rejects(
+                    strategy.insertRecord(connection, 'conf_collection', 'key5', {sku: `${shared}1`}),
+                    err => err.code === UNIQUE_VIOLATION
+                );
+                await assert.rejects(
+                    strategy.insertRecord(connection, 'conf_collection', 'key5', {rank: '1.0'}),
+                    err => err.code === UNIQUE_VIOLATION
+                );
+
+                const pks = async conditions => (await strategy.filter(connection, 'conf_collection', conditions)).map(record => record.pk);
+                assert.deepStrictEqual(await pks([{field: 'sku', op: '=', value: `${shared}2`}]), ['key2']);
+                assert.deepStrictEqual(await pks([{field: 'sku', op: '>', value: `${shared}1`}]), ['key2']);
+                assert.deepStrictEqual(await pks([{field: 'note', op: 'in', value: [`${shared}1`, 'other']}]), ['key1', 'key2']);
+                assert.deepStrictEqual(await pks(['sku is null']), ['key3', 'key4']);
+            });
+
+            it('should not build a unique index over duplicate values', async () => {
+                await strategy.createCollection(connection, 'conf_collection', []);
+                await strategy.insertRecord(connection, 'conf_collection', 'key1', {rank: 1});
+                await strategy.insertRecord(connection, 'conf_collection', 'key2', {rank: '1.0'});
+                await strategy.addIndex(connection, 'conf_collection', 'rank', {unique: true});
+                await assert.rejects(
+                    strategy.addIndex(connection, 'conf_collection', 'rank', {type: 'numeric', unique: true}),
+                    err => err.code === UNIQUE_VIOLATION
+                );
+            });
+
+            it('should reject invalid index types', async () => {
+                await strategy.createCollection(connection, 'conf_collection', []);
+                await assert.rejects(strategy.addIndex(connection, 'conf_collection', 'score', {type: 'float'}), /Invalid index type/);
+                await assert.rejects(strategy.createCollection(connection, 'conf_other', [{field: 'score', unique: 'yes'}]), /Invalid unique flag/);
+                await assert.rejects(strategy.removeIndex(connection, 'conf_collection', 'score', 'float'), /Invalid index type/);
+            });
+
+            it('should not list indices of a missing collection', async () => {
+                assert.deepStrictEqual(await strategy.listIndexes(connection, 'conf_missing'), []);
+                await strategy.removeIndex(connection, 'conf_missing', 'score');
+                await assert.rejects(strategy.removeIndex(connection, 'conf_collection', 'drop table; --'));
+            });
+        });
+
+        describe('Records', () => {
+            beforeEach(async () => {
+                await strategy.createCollection(connection, 'conf_records', []);
+            });
+
+            it('should return the stored record with pk and a numeric __timestamp on insert', async () => {
+                const record = {name: 'Test', nested: {key: 'value'}, array: [1, 2, 3], flag: false, empty: null};
+                const result = await strategy.insertRecord(connection, 'conf_records', 'key1', record);
+
+                const {pk, __timestamp, ...data} = result;
+                assert.strictEqual(pk, 'key1');
+                assert.strictEqual(typeof __timestamp, 'number');
+                assert.deepStrictEqual(data, record);
+            });
+
+            it('should return the data only from getRecord', async () => {
+                await strategy.insertRecord(connection, 'conf_records', 'key1', {name: 'Test', value: 123});
+                assert.deepStrictEqual(await strategy.getRecord(connection, 'conf_records', 'key1'), {name: 'Test', value: 123});
+            });
+
+            it('should return null for missing records', async () => {
+                assert.strictEqual(await strategy.getRecord(connection, 'conf_records', 'missing'), null);
+                assert.strictEqual(await strategy.getOneRecord(connection, 'conf_records'), null);
+                assert.strictEqual(await strategy.updateRecord(connection, 'conf_records', 'missing', {a: 1}), null);
+                assert.strictEqual(await strategy.deleteRecord(connection, 'conf_records', 'missing'), null);
+            });
+
+            it('should reject duplicate primary keys with a unique violation', async () => {
+                await strategy.insertRecord(connection, 'conf_records', 'key1', {name: 'Test'});
+                await assert.rejects(
+                    strategy.insertRecord(connection, 'conf_records', 'key1', {name: 'Other'}),
+                    err => err.code === UNIQUE_VIOLATION
+                );
+                assert.deepStrictEqual(await strategy.getRecord(connection, 'conf_records', 'key1'), {name: 'Test'});
+            });
+
+            it('should replace the whole document on update', async () => {
+                const inserted = await strategy.insertRecord(connection, 'conf_records', 'key1', {name: 'Test', value: 123});
+                await tick();
+                const updated = await strategy.updateRecord(connection, 'conf_records', 'key1', {name: 'Updated'});
+
+                assert.deepStrictEqual({...updated, __timestamp: 0}, {name: 'Updated', pk: 'key1', __timestamp: 0});
+                assert(updated.__timestamp > inserted.__timestamp);
+                assert.deepStrictEqual(await strategy.getRecord(connection, 'conf_records', 'key1'), {name: 'Updated'});
+            });
+
+            it('should return pk, data and __timestamp on delete', async () => {
+                await strategy.insertRecord(connection, 'conf_records', 'key1', {name: 'Test'});
+                const deleted = await strategy.deleteRecord(connection, 'conf_records', 'key1');
+
+                assert.strictEqual(deleted.pk, 'key1');
+                assert.deepStrictEqual(deleted.data, {name: 'Test'});
+                assert.strictEqual(typeof deleted.__timestamp, 'number');
+                assert.strictEqual(await strategy.getRecord(connection, 'conf_records', 'key1'), null);
+            });
+
+            it('should return every record with pk and __timestamp', async () => {
+                await insertAll('conf_records', {key1: {name: 'Test1'}, key2: {name: 'Test2'}});
+                const records = await strategy.getAllRecords(connection, 'conf_records');
+
+                assert.deepStrictEqual(
+                    records.map(({__timestamp, ...record}) => record).sort((a, b) => a.pk.localeCompare(b.pk)),
+                    [{name: 'Test1', pk: 'key1'}, {name: 'Test2', pk: 'key2'}]
+                );
+                assert(records.every(record => typeof record.__timestamp === 'number'));
+                assert.deepStrictEqual(await strategy.getOneRecord(connection, 'conf_records') !== null, true);
+                assert.strictEqual(await strategy.count(connection, 'conf_records'), 2);
+            });
+
+            it('should read back __timestamp as the number it was written with', async () => {
+                const {__timestamp} = await strategy.insertRecord(connection, 'conf_records', 'key1', {name: 'Test'});
+
+                assert.strictEqual((await strategy.getAllRecords(connection, 'conf_records'))[0].__timestamp, __timestamp);
+                assert.strictEqual((await strategy.filter(connection, 'conf_records', ['name = Test']))[0].__timestamp, __timestamp);
+                assert.strictEqual((await strategy.deleteRecord(connection, 'conf_records', 'key1')).__timestamp, __timestamp);
+            });
+
+            it('should report missing tables as an undefined table', async () => {
+                const isUndefinedTable = err => err.code === UNDEFINED_TABLE;
+                await assert.rejects(strategy.insertRecord(connection, 'conf_missing', 'key1', {}), isUndefinedTable);
+                await assert.rejects(strategy.getRecord(connection, 'conf_missing', 'key1'), isUndefinedTable);
+                await assert.rejects(strategy.getAllRecords(connection, 'conf_missing'), isUndefinedTable);
+                await assert.rejects(strategy.filter(connection, 'conf_missing', ['a == 1']), isUndefinedTable);
+                await assert.rejects(strategy.count(connection, 'conf_missing'), isUndefinedTable);
+            });
+        });
+
+        describe('Schemas', () => {
+            const CHECK_VIOLATION = '23514';
+            const schema = {
+                type: 'object',
+                required: ['gtin', 'batch'],
+                properties: {
+                    gtin: {type: 'string', pattern: '^[0-9]{14}$'},
+                    batch: {
+                        type: 'object',
+                        properties: {lots: {type: 'array', items: {type: 'object', properties: {qty: {type: 'integer', minimum: 0}}}}}
+                    },
+                    status: {enum: ['open', 'closed']}
+                },
+                additionalProperties: false
+            };
+            const valid = {gtin: '00000000000001', batch: {lots: [{qty: 5}]}, status: 'open'};
+
+            beforeEach(async () => {
+                await strategy.createCollection(connection, 'conf_schema', [], {schema});
+            });
+
+            const violations = paths => err => {
+                assert.strictEqual(err.code, CHECK_VIOLATION);
+                assert.strictEqual(err.type, 'ValidationError');
+                assert.deepStrictEqual(err.errors.map(error => error.path).sort(), paths);
+                return true;
+            };
+
+            it('should write documents that match the schema', async () => {
+                await strategy.insertRecord(connection, 'conf_schema', 'key1', valid);
+                await strategy.updateRecord(connection, 'conf_schema', 'key1', {...valid, status: 'closed'});
+                assert.deepStrictEqual(await strategy.getRecord(connection, 'conf_schema', 'key1'), {...valid, status: 'closed'});
+            });
+
+            it('should reject documents that do not match it with the failing paths', async () => {
+                await assert.rejects(
+                    strategy.insertRecord(connection, 'conf_schema', 'key1', {gtin: '1', batch: {lots: [{qty: 1}, {qty: -1.5}]}, extra: true}),
+                    violations(['batch.lots[1].qty', 'batch.lots[1].qty', 'extra', 'gtin'])
+                );
+                await assert.rejects(strategy.insertRecord(connection, 'conf_schema', 'key1', {gtin: '00000000000001'}), violations(['batch']));
+                assert.strictEqual(await strategy.getRecord(connection, 'conf_schema', 'key1'), null);
+
+                await strategy.insertRecord(connection, 'conf_schema', 'key1', valid);
+                await assert.rejects(strategy.updateRecord(connection, 'conf_schema', 'key1', {...valid, status: 'lost'}), violations(['status']));
+                await assert.rejects(strategy.updateRecord(connection, 'conf_schema', 'key1', []), violations(['']));
+                assert.deepStrictEqual(await strategy.getRecord(connection, 'conf_schema', 'key1'), valid);
+            });
+
+            it('should keep the schema until it is replaced, removed or the collection is removed', async () => {
+                const invalid = {name: 'no gtin'};
+                await strategy.createCollection(connection, 'conf_schema', []);
+                await assert.rejects(strategy.insertRecord(connection, 'conf_schema', 'key1', invalid), violations(['batch', 'gtin', 'name']));
+
+                await strategy.createCollection(connection, 'conf_schema', [], {schema: {type: 'object', required: ['name']}});
+                await strategy.insertRecord(connection, 'conf_schema', 'key1', invalid);
+                await assert.rejects(strategy.insertRecord(connection, 'conf_schema', 'key2', valid), violations(['name']));
+
+                await strategy.createCollection(connection, 'conf_schema', [], {schema: null});
+                await strategy.insertRecord(connection, 'conf_schema', 'key2', valid);
+
+                await strategy.createCollection(connection, 'conf_schema', [], {schema});
+                await strategy.removeCollection(connection, 'conf_schema');
+                await strategy.createCollection(connection, 'conf_schema', []);
+                await strategy.insertRecord(connection, 'conf_schema', 'key1', invalid);
+            });
+
+            it('should apply a schema set or removed through another strategy at once', async () => {
+                const invalid = {name: 'no gtin'};
+                await strategy.createCollection(connection, 'conf_schema', [], {schema: null});
+                await strategy.insertRecord(connection, 'conf_schema', 'key1', invalid);
+
+                // As another worker of the pool would
+                const other = StrategyFactory.createStrategy(type);
+                await other.createCollection(connection, 'conf_schema', [], {schema});
+                await assert.rejects(strategy.insertRecord(connection, 'conf_schema', 'key2', invalid), violations(['batch', 'gtin', 'name']));
+                await other.createCollection(connection, 'conf_schema', [], {schema: null});
+                await strategy.insertRecord(connection, 'conf_schema', 'key2', invalid);
+            });
+
+            it('should reject invalid schemas before creating the collection', async () => {
+                const invalidSchemas = [
+                    {type: 'text'}, {$ref: '#/$defs/lot'}, {properties: {qty: {minimum: 'zero'}}}, {pattern: '('}, 42, [], {required: 'gtin'}
+                ];
+                for (const invalidSchema of invalidSchemas) {
+                    await assert.rejects(
+                        strategy.createCollection(connection, 'conf_schema_invalid', [], {schema: invalidSchema}),
+                        /Invalid schema/,
+                        JSON.stringify(invalidSchema)
+                    );
+                }
+                assert(!(await strategy.getCollections(connection)).includes('conf_schema_invalid'));
+            });
+        });
+
+        describe('Filter', () => {
+            beforeEach(async () => {
+                await strategy.createCollection(connection, 'conf_filters', []);
+                await insertAll('conf_filters', {
+                    key0: {name: 'Alice', score: 10, active: true},
+                    key1: {name: 'Bob', score: 20, active: false},
+                    key2: {name: 'Charlie', score: 30, active: true},
+                    key3: {name: 'David', score: null, active: null, description: 'test user'}
+                });
+            });
+
+            const names = results => results.map(result => result.name);
+
+            it('should return every record in insertion order without conditions', async () => {
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters')), ['Alice', 'Bob', 'Charlie', 'David']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', [], 'desc')), ['David', 'Charlie', 'Bob', 'Alice']);
+            });
+
+            it('should return records with pk and __timestamp', async () => {
+                const [result] = await strategy.filter(connection, 'conf_filters', ["name == Bob"]);
+                assert.strictEqual(result.pk, 'key1');
+                assert.strictEqual(typeof result.__timestamp, 'number');
+            });
+
+            it('should compare numbers numerically', async () => {
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['score > 15'])), ['Bob', 'Charlie']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['score <= 9.5'])), []);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['score == 10'])), ['Alice']);
+            });
+
+            it('should compare quoted and unquoted strings', async () => {
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ["name = 'Alice'"])), ['Alice']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['name == Alice'])), ['Alice']);
+            });
+
+            it('should match like and ilike patterns with wildcards and escapes', async () => {
+                await insertAll('conf_filters', {key4: {name: '100% [A]_b'}, key5: {name: '100 percent'}});
+                const filter = async condition => names(await strategy.filter(connection, 'conf_filters', [condition]));
+
+                assert.deepStrictEqual(await filter('name like %li%'), ['Alice', 'Charlie']);
+                assert.deepStrictEqual(await filter('name like %LI%'), []);
+                assert.deepStrictEqual(await filter('name ilike %LI%'), ['Alice', 'Charlie']);
+                assert.deepStrictEqual(await filter('name like _ob'), ['Bob']);
+                assert.deepStrictEqual(await filter('name like B_'), []);
+                assert.deepStrictEqual(await filter('name like 100\\%%'), ['100% [A]_b']);
+                assert.deepStrictEqual(await filter('name like %[A]\\_b'), ['100% [A]_b']);
+                assert.deepStrictEqual(await filter('name like %.%'), []);
+                assert.deepStrictEqual(await filter({field: 'name', op: 'ILIKE', value: '100 P%'}), ['100 percent']);
+                await assert.rejects(filter('name like 100\\'), /escape character/);
+            });
+
+            it('should match regular expressions with regex', async () => {
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['name regex ^[AB]'])), ['Alice', 'Bob']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['name regex ^a'])), []);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['name regex (ice|lie)$'])), ['Alice', 'Charlie']);
+            });
+
+            it('should compare booleans', async () => {
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['active == true'])), ['Alice', 'Charlie']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['active == false'])), ['Bob']);
+            });
+
+            it('should treat JSON nulls and missing fields as NULL', async () => {
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['score IS NULL'])), ['David']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['score == null'])), ['David']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['description == null'])), ['Alice', 'Bob', 'Charlie']);
+            });
+
+            it('should AND multiple conditions', async () => {
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['score > 15', 'active == false'])), ['Bob']);
+            });
+
+            it('should accept a single condition string', async () => {
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', 'score > 25')), ['Charlie']);
+            });
+
+            it('should sort in both directions and limit', async () => {
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['score > 0'], 'desc')), ['Charlie', 'Bob', 'Alice']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['score > 0'], 'asc', 2)), ['Alice', 'Bob']);
+            });
+
+            it('should return an empty list when nothing matches', async () => {
+                assert.deepStrictEqual(await strategy.filter(connection, 'conf_filters', ['name == Nobody']), []);
+            });
+
+            it('should explain a filter without running it', async () => {
+                const explained = await strategy.explain(connection, 'conf_filters', ['score > 15', 'name like %li%'], 'desc', 2);
+                assert.strictEqual(typeof explained.query, 'string');
+                assert.ok(explained.query.length > 0);
+                assert.ok(Array.isArray(explained.params));
+                assert.strictEqual(explained.plan, null);
+
+                const withPlan = await strategy.explain(connection, 'conf_filters', 'score > 15', 'asc', {limit: 1}, true);
+                assert.ok(withPlan.plan);
+                if (type === 'sqlserver') {
+                    // An estimated plan, STATISTICS XML would have run the query and added its run-time counters
+                    assert.doesNotMatch(withPlan.plan, /RunTimeInformation/);
+                }
+                assert.strictEqual(await strategy.count(connection, 'conf_filters'), 4);
+
+                await assert.rejects(strategy.explain(connection, 'conf_filters', ['invalid condition']), /Invalid condition structure/);
+            });
+
+            it('should reject malformed conditions', async () => {
+                await assert.rejects(
+                    strategy.filter(connection, 'conf_filters', ['invalid condition']),
+                    err => err.message.includes('Invalid condition structure')
+                );
+            });
+
+            it('should match quotes and SQL in values literally', async () => {
+                await strategy.insertRecord(connection, 'conf_filters', 'key4', {name: "O'Brien"});
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ["name == O'Brien"])), ["O'Brien"]);
+                assert.deepStrictEqual(await strategy.filter(connection, 'conf_filters', ["name == x'OR'1'='1"]), []);
+                assert.strictEqual(await strategy.count(connection, 'conf_filters'), 5);
+            });
+
+            it('should reject unsafe field names and operators', async () => {
+                for (const condition of ["name'--; == Bob", 'data->>0 == Bob', 'name ;DROP Bob', 'name || Bob']) {
+                    await assert.rejects(
+                        strategy.filter(connection, 'conf_filters', [condition]),
+                        err => err.message.includes('Error processing filter conditions'),
+                        condition
+                    );
+                }
+            });
+
+            it('should reject unsafe sort directions and limits', async () => {
+                await assert.rejects(strategy.filter(connection, 'conf_filters', [], 'asc; DROP TABLE conf_filters'), /Invalid sort direction/);
+                await assert.rejects(strategy.filter(connection, 'conf_filters', [], 'asc', '1; DROP TABLE conf_filters'), /Invalid limit/);
+                await assert.rejects(strategy.listQueue(connection, 'conf_filters', 'sideways'), /Invalid sort direction/);
+                await assert.rejects(strategy.listQueue(connection, 'conf_filters', 'asc', -1), /Invalid limit/);
+                assert.strictEqual(await strategy.count(connection, 'conf_filters'), 4);
+            });
+
+            it('should accept string values containing spaces', async () => {
+                await strategy.insertRecord(connection, 'conf_filters', 'key4', {name: 'John Smith'});
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['name == John Smith'])), ['John Smith']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ["name == 'John Smith'"])), ['John Smith']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', [{field: 'name', op: '==', value: 'John Smith'}])), ['John Smith']);
+            });
+
+            it('should accept structured conditions with typed values', async () => {
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', [{field: 'score', op: '>', value: 15}])), ['Bob', 'Charlie']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', [{field: 'active', op: '==', value: true}])), ['Alice', 'Charlie']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', [{field: 'score', op: '==', value: null}])), ['David']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', {field: 'name', op: '!=', value: 'Bob'}, 'asc', 1)), ['Alice']);
+            });
+
+            it('should combine string and structured conditions', async () => {
+                const results = await strategy.filter(connection, 'conf_filters', ['score >= 10', {field: 'active', op: '=', value: true}]);
+                assert.deepStrictEqual(names(results), ['Alice', 'Charlie']);
+            });
+
+            it('should convert values with type hints', async () => {
+                await strategy.insertRecord(connection, 'conf_filters', 'key4', {name: 'Zip', zip: '02134'});
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', [{field: 'zip', op: '==', value: '02134', type: 'string'}])), ['Zip']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', [{field: 'zip', op: '==', value: 2134}])), ['Zip']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', [{field: 'score', op: '<', value: '25', type: 'number'}])), ['Alice', 'Bob']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', [{field: 'active', op: '==', value: 'false', type: 'boolean'}])), ['Bob']);
+            });
+
+            it('should reject invalid structured conditions', async () => {
+                const invalidConditions = [
+                    {field: 'name', op: '=='},
+                    {field: 'name', op: 'contains?', value: 'x'},
+                    {field: "name'", op: '==', value: 'x'},
+                    {field: 'score', op: '==', value: 'ten', type: 'number'},
+                    {field: 'score', op: '==', value: 10, type: 'date'},
+                    {field: 'score', op: '==', value: {nested: true}}
+                ];
+                for (const condition of invalidConditions) {
+                    await assert.rejects(
+                        strategy.filter(connection, 'conf_filters', [condition]),
+                        err => err.message.includes('Error processing filter conditions'),
+                        JSON.stringify(condition)
+                    );
+                }
+            });
+
+            it('should combine conditions with OR', async () => {
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['name == Alice OR name == Charlie'])), ['Alice', 'Charlie']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['name == Alice or name == Bob'])), ['Alice', 'Bob']);
+            });
+
+            it('should group conditions with parentheses', async () => {
+                const results = await strategy.filter(connection, 'conf_filters', ['(score > 15 AND active == true) OR name == Alice']);
+                assert.deepStrictEqual(names(results), ['Alice', 'Charlie']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['score > 15 AND (active == true OR name == Bob)'])), ['Bob', 'Charlie']);
+            });
+
+            it('should negate conditions with NOT, leaving NULL fields out as SQL does', async () => {
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['NOT name == Bob'])), ['Alice', 'Charlie', 'David']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['NOT active == true'])), ['Bob']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['NOT (score < 15 OR score > 25)'])), ['Bob']);
+            });
+
+            it('should accept structured groups', async () => {
+                const conditions = [{or: [
+                    {field: 'name', op: '==', value: 'Alice'},
+                    {and: ['score > 15', {not: 'active == true'}]}
+                ]}];
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', conditions)), ['Alice', 'Bob']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', {not: {or: ['score == 10', 'score == 30']}})), ['Bob']);
+            });
+
+            it('should keep quoted keywords and parentheses in values', async () => {
+                await strategy.insertRecord(connection, 'conf_filters', 'key4', {name: 'Rock and Roll (Live)'});
+                const results = await strategy.filter(connection, 'conf_filters', ["name == 'Rock and Roll (Live)' OR name == Bob"]);
+                assert.deepStrictEqual(names(results), ['Bob', 'Rock and Roll (Live)']);
+            });
+
+            it('should reject malformed expressions and groups', async () => {
+                const invalidConditions = [
+                    '(name == Alice', 'name == Alice OR', 'name == Alice) OR (name == Bob', 'NOT', '()',
+                    {or: []}, {and: ['name == Alice'], or: ['name == Bob']}, {not: 42}
+                ];
+                for (const condition of invalidConditions) {
+                    await assert.rejects(
+                        strategy.filter(connection, 'conf_filters', [condition]),
+                        err => err.message.includes('Error processing filter conditions'),
+                        JSON.stringify(condition)
+                    );
+                }
+            });
+
+            it('should match sets of values with in and not in', async () => {
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['name in [Alice, Charlie]'])), ['Alice', 'Charlie']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['score in [10, 30]'])), ['Alice', 'Charlie']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', [{field: 'score', op: 'in', value: [20]}])), ['Bob']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['name not in [Alice, Bob]'])), ['Charlie', 'David']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['score NOT IN [10]'])), ['Bob', 'Charlie']);
+            });
+
+            it('should match inclusive ranges with between', async () => {
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['score between 20 and 30'])), ['Bob', 'Charlie']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['name between B and D'])), ['Bob', 'Charlie']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', [{field: 'score', op: 'between', value: [0, 10]}])), ['Alice']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['score between 5 and 15 OR name == Charlie'])), ['Alice', 'Charlie']);
+            });
+
+            it('should turn != null into IS NOT NULL', async () => {
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['score != null'])), ['Alice', 'Bob', 'Charlie']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['score <> null'])), ['Alice', 'Bob', 'Charlie']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['description is not null'])), ['David']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', [{field: 'description', op: '!=', value: null}])), ['David']);
+            });
+
+            it('should apply != and <> to strings, numbers and booleans, leaving NULL fields out', async () => {
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['name != Bob'])), ['Alice', 'Charlie', 'David']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['score != 20'])), ['Alice', 'Charlie']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['score <> 20'])), ['Alice', 'Charlie']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['active != true'])), ['Bob']);
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', ['active <> false'])), ['Alice', 'Charlie']);
+            });
+
+            it('should reject operators that do not fit their values', async () => {
+                const invalidConditions = [
+                    'score > null', 'name in Alice', 'score in [10, ten]', 'score in []', 'score between 10',
+                    'active > true', 'name is Alice', {field: 'score', op: 'in', value: 10}
+                ];
+                for (const condition of invalidConditions) {
+                    await assert.rejects(
+                        strategy.filter(connection, 'conf_filters', [condition]),
+                        err => err.message.includes('Error processing filter conditions'),
+                        JSON.stringify(condition)
+                    );
+                }
+            });
+
+            it('should accept numeric strings as limits', async () => {
+                assert.deepStrictEqual(names(await strategy.filter(connection, 'conf_filters', [], 'asc', '2')), ['Alice', 'Bob']);
+            });
+        });
+
+        describe('Sorting', () => {
+            beforeEach(async () => {
+                await strategy.createCollection(connection, 'conf_sort', []);
+                await insertAll('conf_sort', {
+                    k1: {name: 'Carol', age: 30, city: 'Berlin', code: '10'},
+                    k2: {name: 'Alice', age: 9, city: null, code: '9'},
+                    k3: {name: 'Bob', age: 100, code: '100'},
+                    k4: {name: 'Dan', age: 'unknown', city: 'Cairo', code: '9.5'},
+                    k5: {name: 'Eve', age: 30, city: 'Athens'}
+                });
+            });
+
+            const names = results => results.map(result => result.name);
+            const sorted = (sort, conditions = []) => strategy.filter(connection, 'conf_sort', conditions, sort).then(names);
+
+            it('should sort by the first filtered field by default', async () => {
+                assert.deepStrictEqual(await sorted('asc', ['name != Zed']), ['Alice', 'Bob', 'Carol', 'Dan', 'Eve']);
+                assert.deepStrictEqual(await sorted('desc', ['name != Zed']), ['Eve', 'Dan', 'Carol', 'Bob', 'Alice']);
+            });
+
+            it('should order JSON numbers numerically before strings, breaking ties by pk', async () => {
+                assert.deepStrictEqual(await sorted('asc', ['age != null']), ['Alice', 'Carol', 'Eve', 'Bob', 'Dan']);
+                assert.deepStrictEqual(await sorted('desc', ['age != null']), ['Dan', 'Bob', 'Carol', 'Eve', 'Alice']);
+            });
+
+            it('should sort by several keys', async () => {
+                assert.deepStrictEqual(await sorted(['age desc', 'name desc']), ['Dan', 'Bob', 'Eve', 'Carol', 'Alice']);
+                assert.deepStrictEqual(await sorted([{field: 'age', direction: 'asc'}, {field: 'name', direction: 'desc'}]), ['Alice', 'Eve', 'Carol', 'Bob', 'Dan']);
+            });
+
+            it('should place NULLs last ascending and first descending unless told otherwise', async () => {
+                assert.deepStrictEqual(await sorted(['city asc']), ['Eve', 'Carol', 'Dan', 'Alice', 'Bob']);
+                assert.deepStrictEqual(await sorted(['city desc']), ['Alice', 'Bob', 'Dan', 'Carol', 'Eve']);
+                assert.deepStrictEqual(await sorted(['city asc nulls first']), ['Alice', 'Bob', 'Eve', 'Carol', 'Dan']);
+                assert.deepStrictEqual(await sorted({field: 'city', direction: 'desc', nulls: 'last'}), ['Dan', 'Carol', 'Eve', 'Alice', 'Bob']);
+            });
+
+            it('should compare values as numbers or text when a type is given', async () => {
+                assert.deepStrictEqual(await sorted({field: 'code', type: 'number'}), ['Alice', 'Dan', 'Carol', 'Bob', 'Eve']);
+                assert.deepStrictEqual(await sorted({field: 'code', type: 'string'}), ['Carol', 'Bob', 'Alice', 'Dan', 'Eve']);
+                assert.deepStrictEqual(await sorted({field: 'code'}), ['Carol', 'Bob', 'Alice', 'Dan', 'Eve']);
+            });
+
+            it('should sort by insertion time and pk explicitly', async () => {
+                assert.deepStrictEqual(await sorted(['__timestamp desc'], ['name != Zed']), ['Eve', 'Dan', 'Bob', 'Alice', 'Carol']);
+                assert.deepStrictEqual(await sorted([{field: 'pk', direction: 'desc'}]), ['Eve', 'Dan', 'Bob', 'Alice', 'Carol']);
+            });
+
+            it('should apply the limit after sorting', async () => {
+                const results = await strategy.filter(connection, 'conf_sort', [], [{field: 'age', direction: 'desc'}], 2);
+                assert.deepStrictEqual(names(results), ['Dan', 'Bob']);
+            });
+
+            it('should reject invalid sort keys', async () => {
+                const invalidSorts = [
+                    [{field: "age'", direction: 'asc'}], ['age sideways'], [{field: 'age', nulls: 'middle'}],
+                    [{field: 'age', type: 'date'}], [42], [{field: 'age', direction: 'asc; DROP TABLE conf_sort'}]
+                ];
+                for (const sort of invalidSorts) {
+                    await assert.rejects(sorted(sort), err => /Invalid (sort|nulls|field)/.test(err.message), JSON.stringify(sort));
+                }
+            });
+        });
+
+        describe('Nested fields', () => {
+            beforeEach(async () => {
+                await strategy.createCollection(connection, 'conf_nested', []);
+                await insertAll('conf_nested', {
+                    b1: {batch: {product: {gtin: '0001', name: 'Aspirin'}, lots: [{qty: 5}, {qty: 50}]}},
+                    b2: {batch: {product: {gtin: '0002', name: 'Ibuprofen'}, lots: [{qty: 20}]}},
+                    b3: {batch: {product: {gtin: '0003'}, lots: []}},
+                    b4: {batch: null}
+                });
+            });
+
+            const pks = results => results.map(result => result.pk);
+
+            it('should filter by dotted and array index paths', async () => {
+                assert.deepStrictEqual(pks(await strategy.filter(connection, 'conf_nested', ['batch.product.gtin = 0002'])), ['b2']);
+                assert.deepStrictEqual(pks(await strategy.filter(connection, 'conf_nested', ['batch.lots[0].qty >= 10'])), ['b2']);
+                assert.deepStrictEqual(pks(await strategy.filter(connection, 'conf_nested', [{field: 'batch.lots[1].qty', op: '=', value: 50}])), ['b1']);
+                assert.deepStrictEqual(pks(await strategy.filter(connection, 'conf_nested', ['batch.product.name is null'], 'asc')), ['b3', 'b4']);
+            });
+
+            it('should sort by nested paths', async () => {
+                const results = await strategy.filter(connection, 'conf_nested', [], [{field: 'batch.lots[0].qty', direction: 'desc', nulls: 'last'}]);
+                assert.deepStrictEqual(pks(results), ['b2', 'b1', 'b3', 'b4']);
+            });
+
+            it('should index nested paths', async () => {
+                await strategy.addIndex(connection, 'conf_nested', 'batch.lots[0].qty');
+                await strategy.addIndex(connection, 'conf_nested', 'batch.lots[0].qty');
+                assert.deepStrictEqual(pks(await strategy.filter(connection, 'conf_nested', ['batch.lots[0].qty < 10'])), ['b1']);
+            });
+
+            it('should read hyphenated and quoted keys', async () => {
+                await insertAll('conf_nested', {
+                    h1: {'product-code': 'P-1', batch: {'lot number': 7}},
+                    h2: {'product-code': 'P-2', batch: {'lot number': 3}}
+                });
+                await strategy.addIndex(connection, 'conf_nested', 'product-code', {unique: true});
+                await strategy.addIndex(connection, 'conf_nested', 'batch["lot number"]', {type: 'numeric'});
+
+                assert.deepStrictEqual(pks(await strategy.filter(connection, 'conf_nested', ['product-code = P-2'])), ['h2']);
+                const lot = {field: 'batch["lot number"]', op: '>', value: 5};
+                assert.deepStrictEqual(pks(await strategy.filter(connection, 'conf_nested', [lot])), ['h1']);
+                const sorted = await strategy.filter(connection, 'conf_nested', ['product-code is not null'], [{field: 'batch["lot number"]'}]);
+                assert.deepStrictEqual(pks(sorted), ['h2', 'h1']);
+                assert.deepStrictEqual(await strategy.getRecord(connection, 'conf_nested', 'h1', ['product-code']), {'product-code': 'P-1'});
+                assert.deepStrictEqual(await strategy.getRecord(connection, 'conf_nested', 'h1', {exclude: ['product-code', 'batch["lot number"]']}),
+                    {batch: {}});
+
+                const indexes = await strategy.listIndexes(connection, 'conf_nested');
+                assert.deepStrictEqual(indexes.map(({field, type, unique}) => ({field, type, unique})).sort((a, b) => a.field.localeCompare(b.field)), [
+                    {field: 'batch["lot number"]', type: 'numeric', unique: false},
+                    {field: 'product-code', type: 'text', unique: true}
+                ]);
+                assert.deepStrictEqual((await strategy.getIndexedFields(connection, 'conf_nested')).sort(), ['batch["lot number"]', 'product-code']);
+            });
+
+            it('should give distinct and short names to indices of similar and long paths', async () => {
+                const long = 'batch.product.manufacturer.registered_address.postal_code';
+                for (const field of ['a.b', 'a__b', long]) {
+                    await strategy.addIndex(connection, 'conf_nested', field, {type: 'numeric'});
+                }
+                const indexes = await strategy.listIndexes(connection, 'conf_nested');
+                assert.deepStrictEqual(indexes.map(index => index.field).sort(), ['a.b', 'a__b', long]);
+                assert.strictEqual(new Set(indexes.map(index => index.name)).size, 3);
+                assert.ok(indexes.every(index => index.name.length <= 63), indexes.map(index => index.name).join());
+                await strategy.removeIndex(connection, 'conf_nested', 'a.b');
+                assert.deepStrictEqual((await strategy.getIndexedFields(connection, 'conf_nested')).sort(), ['a__b', long]);
+            });
+
+            it('should reject malformed paths', async () => {
+                for (const field of ['batch..gtin', 'batch.lots[x]', 'batch.lots[0', "batch.product'.gtin", 'batch.[0]', '$.batch',
+                    '-batch', 'batch["lot\'s"]', 'batch[""]']) {
+                    await assert.rejects(strategy.filter(connection, 'conf_nested', [{field, op: '=', value: 1}]), /Invalid field name/, field);
+                    await assert.rejects(strategy.addIndex(connection, 'conf_nested', field), /Invalid field name/, field);
+                }
+            });
+        });
+
+        describe('Containment', () => {
+            beforeEach(async () => {
+                await strategy.createCollection(connection, 'conf_contains', [], {containmentIndex: true});
+                await insertAll('conf_contains', {
+                    key1: {tags: ['urgent', 'billing'], batch: {gtin: '01', lot: 'A'}, items: [{sku: 'x', qty: 1}, {sku: 'y', qty: 2}]},
+                    key2: {tags: ['billing'], batch: {gtin: '02', lot: 'A'}, items: [{sku: 'y', qty: 3}]},
+                    key3: {tags: 'urgent', status: 'open'}
+                });
+            });
+
+            const contains = async conditions => {
+                const results = await strategy.filter(connection, 'conf_contains', conditions, 'asc');
+                return results.map(result => result.pk);
+            };
+
+            it('should match elements, sub-documents and documents where the database supports it', async () => {
+                let results;
+                try {
+                    results = await contains(['tags contains urgent']);
+                } catch (err) {
+                    assert.match(err.message, /not supported/);
+                    return;
+                }
+                assert.deepStrictEqual(results, ['key1', 'key3']);
+                assert.deepStrictEqual(await contains(['tags contains ["billing", "urgent"]']), ['key1']);
+                assert.deepStrictEqual(await contains(['batch contains {"lot": "A"}']), ['key1', 'key2']);
+                assert.deepStrictEqual(await contains([{field: 'items', op: 'contains', value: [{sku: 'y'}]}]), ['key1', 'key2']);
+                assert.deepStrictEqual(await contains([{op: 'contains', value: {batch: {gtin: '02'}}}]), ['key2']);
+                assert.deepStrictEqual(await contains({not: 'tags contains urgent'}), ['key2']);
+                assert.deepStrictEqual(await contains(['items[0] contains {"sku": "x"}']), ['key1']);
+                assert.deepStrictEqual(await contains(['batch contains {"lot": 1}']), []);
+            });
+
+            it('should reject invalid containment conditions', async () => {
+                await assert.rejects(contains([{field: 'tags', op: 'contains', value: null}]), /cannot be used with null/);
+                await assert.rejects(contains([{op: 'contains', value: 'urgent'}]), /needs an object/);
+                await assert.rejects(contains(['batch contains {"lot": A}']), /Invalid JSON/);
+            });
+
+            it('should enable the containment index on an existing collection', async () => {
+                await strategy.createCollection(connection, 'conf_contains', [], {containmentIndex: true});
+                const records = await strategy.filter(connection, 'conf_contains', [], 'asc');
+                assert.deepStrictEqual(records.map(record => record.pk), ['key1', 'key2', 'key3']);
+            });
+        });
+
+        describe('Generated columns', () => {
+            const generatedColumns = ['status', {field: 'price', type: 'numeric'}, {field: 'active', type: 'boolean'}];
+
+            beforeEach(async () => {
+                await strategy.createCollection(connection, 'conf_generated', [{field: 'price', type: 'numeric'}], {generatedColumns});
+                await insertAll('conf_generated', {
+                    g1: {status: 'open', price: 12.5, active: true},
+                    g2: {status: 'closed', price: '7', active: false},
+                    g3: {status: 'open', price: 'n/a', active: 'yes'},
+                    g4: {status: 'open', price: 30}
+                });
+            });
+
+            const pks = (conditions, sort = 'asc') => strategy.filter(connection, 'conf_generated', conditions, sort)
+                .then(results => results.map(result => result.pk));
+
+            it('should filter and sort on the promoted fields', async () => {
+                assert.deepStrictEqual(await pks(['status = open']), ['g1', 'g3', 'g4']);
+                assert.deepStrictEqual(await pks(['status like op%']), ['g1', 'g3', 'g4']);
+                assert.deepStrictEqual(await pks(['price > 10']), ['g1', 'g4']);
+                assert.deepStrictEqual(await pks(['price <= 7.5']), ['g2']);
+                assert.deepStrictEqual(await pks(['active == true']), ['g1']);
+                assert.deepStrictEqual(await pks(['price != null'], ['price desc']), ['g3', 'g2', 'g4', 'g1']);
+                assert.deepStrictEqual(await pks([], [{field: 'price', direction: 'asc', type: 'number'}, 'pk']), ['g2', 'g1', 'g4', 'g3']);
+                assert.deepStrictEqual(await pks([], ['status desc', 'pk']), ['g1', 'g3', 'g4', 'g2']);
+                assert.strictEqual(await strategy.count(connection, 'conf_generated', ['status = open', 'price > 20']), 1);
+
+                const [totals] = await strategy.aggregate(connection, 'conf_generated', ['status = open'], {total: 'sum(price)'});
+                assert.strictEqual(Number(totals.total), 42.5);
+            });
+
+            it('should keep the columns up to date and the indices listed', async () => {
+                await strategy.updateRecord(connection, 'conf_generated', 'g2', {status: 'open', price: 50, active: true});
+                assert.deepStrictEqual(await pks(['status = open', 'price > 20']), ['g2', 'g4']);
+                assert.deepStrictEqual(await pks(['active == true']), ['g1', 'g2']);
+
+                await strategy.createCollection(connection, 'conf_generated', ['status'], {generatedColumns});
+                const indexes = await strategy.listIndexes(connection, 'conf_generated');
+                assert.deepStrictEqual(indexes.map(({field, type}) => `${field}:${type}`).sort(), ['price:numeric', 'status:text']);
+            });
+
+            it('should move the indices of fields promoted later to their columns', async () => {
+                await strategy.createCollection(connection, 'conf_generated_later', [{field: 'price', type: 'numeric', unique: true}]);
+                await insertAll('conf_generated_later', {l1: {price: 3}, l2: {price: 1}});
+                await strategy.createCollection(connection, 'conf_generated_later', [], {generatedColumns});
+
+                assert.deepStrictEqual(
+                    (await strategy.listIndexes(connection, 'conf_generated_later')).map(({field, type, unique}) => `${field}:${type}:${unique}`),
+                    ['price:numeric:true']
+                );
+                assert.deepStrictEqual((await strategy.filter(connection, 'conf_generated_later', ['price >= 1'])).map(record => record.pk), ['l2', 'l1']);
+                await assert.rejects(strategy.insertRecord(connection, 'conf_generated_later', 'l3', {price: 3}));
+            });
+
+            it('should read the promoted fields anew once another strategy recreates the collection without them', async () => {
+                assert.deepStrictEqual(await pks(['status = open', 'price > 20']), ['g4']);
+
+                // As another worker of the pool would
+                const other = StrategyFactory.createStrategy(type);
+                await other.removeCollection(connection, 'conf_generated');
+                await other.createCollection(connection, 'conf_generated', []);
+                await other.insertRecord(connection, 'conf_generated', 'g5', {status: 'open', price: 40, active: true});
+
+                assert.deepStrictEqual(await pks(['status = open', 'price > 20']), ['g5']);
+                assert.deepStrictEqual(await pks([], ['price desc']), ['g5']);
+                assert.strictEqual(await strategy.count(connection, 'conf_generated', ['active == true']), 1);
+                await strategy.explain(connection, 'conf_generated', ['price > 20'], 'asc', null, true);
+            });
+
+            it('should reject invalid generated columns', async () => {
+                await assert.rejects(strategy.createCollection(connection, 'conf_generated_invalid', [], {generatedColumns: 'status'}), /Invalid generated columns/);
+                await assert.rejects(strategy.createCollection(connection, 'conf_generated_invalid', [], {generatedColumns: [{field: 'created', type: 'timestamp'}]}), /Invalid generated column type/);
+                await assert.rejects(strategy.createCollection(connection, 'conf_generated_invalid', [], {generatedColumns: ['status; DROP']}), /Invalid field name/);
+            });
+        });
+
+        describe('Aggregation', () => {
+            beforeEach(async () => {
+                await strategy.createCollection(connection, 'conf_orders', []);
+                await insertAll('conf_orders', {
+                    o1: {city: 'Berlin', amount: 10, shop: {region: 'north'}},
+                    o2: {city: 'Berlin', amount: '30', shop: {region: 'north'}},
+                    o3: {city: 'Cairo', amount: 5, shop: {region: 'south'}},
+                    o4: {city: null, amount: 'n/a'},
+                    o5: {amount: 15, shop: {region: 'south'}}
+                });
+            });
+
+            const byKey = key => (a, b) => JSON.stringify(a[key]) < JSON.stringify(b[key]) ? -1 : 1;
+
+            it('should count the records matching the conditions', async () => {
+                assert.strictEqual(await strategy.count(connection, 'conf_orders'), 5);
+                assert.strictEqual(await strategy.count(connection, 'conf_orders', ['city = Berlin']), 2);
+                assert.strictEqual(await strategy.count(connection, 'conf_orders', {field: 'amount', op: '>', value: 100}), 0);
+            });
+
+            it('should compute numeric aggregates over numbers and numeric strings', async () => {
+                const [totals] = await strategy.aggregate(connection, 'conf_orders', [], {
+                    orders: 'count', amounts: 'count(amount)', cities: {fn: 'count', field: 'city'},
+                    total: 'sum(amount)', average: 'avg(amount)', smallest: 'min(amount)', largest: {fn: 'max', field: 'amount'}
+                });
+                assert.deepStrictEqual(totals, {orders: 5, amounts: 5, cities: 3, total: 60, average: 15, smallest: 5, largest: 30});
+
+                const [none] = await strategy.aggregate(connection, 'conf_orders', ['city = Tokyo'], {orders: 'count', total: 'sum(amount)'});
+                assert.deepStrictEqual(none, {orders: 0, total: null});
+            });
+
+            it('should group by fields and nested paths', async () => {
+                const byCity = await strategy.aggregate(connection, 'conf_orders', [], {orders: 'count', total: 'sum(amount)'}, ['city']);
+                assert.deepStrictEqual(byCity.sort(byKey('city')), [
+                    {city: 'Berlin', orders: 2, total: 40}, {city: 'Cairo', orders: 1, total: 5}, {city: null, orders: 2, total: 15}
+                ]);
+
+                const byRegion = await strategy.aggregate(connection, 'conf_orders', ['amount > 5'], {top: 'max(amount)'}, 'shop.region');
+                assert.deepStrictEqual(byRegion.sort(byKey('shop.region')), [{'shop.region': 'north', top: 30}, {'shop.region': 'south', top: 15}]);
+            });
+
+            it('should reject invalid aggregates', async () => {
+                const invalid = [{}, ['count'], {total: 'median(amount)'}, {total: 'sum'}, {total: 'sum(amount; DROP)'}, {city: 'count'}];
+                for (const aggregates of invalid) {
+                    await assert.rejects(strategy.aggregate(connection, 'conf_orders', [], aggregates, ['city']),
+                        /Invalid aggregate|requires a field|Invalid field name|same name/, JSON.stringify(aggregates));
+                }
+            });
+        });
+
+        describe('Projection', () => {
+            const document = {
+                name: 'Aspirin', empty: null, flag: true, tags: ['a', 'b'],
+                batch: {gtin: '0001', expiry: '2030-01-01', lots: [{qty: 5, site: 'x'}, {qty: 50}]}
+            };
+
+            beforeEach(async () => {
+                await strategy.createCollection(connection, 'conf_projection', []);
+                await strategy.insertRecord(connection, 'conf_projection', 'p1', document);
+            });
+
+            it('should return only the included paths', async () => {
+                const expected = {name: 'Aspirin', empty: null, flag: true, batch: {gtin: '0001', lots: [{qty: 5}]}};
+                const fields = ['name', 'empty', 'flag', 'batch.gtin', 'batch.lots[0].qty', 'missing', 'batch.missing.deeper'];
+
+                assert.deepStrictEqual(await strategy.getRecord(connection, 'conf_projection', 'p1', fields), expected);
+                assert.deepStrictEqual(await strategy.getRecord(connection, 'conf_projection', 'p1', {include: ['tags', 'batch.lots']}),
+                    {tags: ['a', 'b'], batch: {lots: document.batch.lots}});
+
+                const [record] = await strategy.filter(connection, 'conf_projection', ['name = Aspirin'], 'asc', null, fields);
+                assert.deepStrictEqual({...record, __timestamp: 0}, {...expected, pk: 'p1', __timestamp: 0});
+                const [all] = await strategy.getAllRecords(connection, 'conf_projection', null, ['name']);
+                assert.deepStrictEqual({...all, __timestamp: 0}, {name: 'Aspirin', pk: 'p1', __timestamp: 0});
+            });
+
+            it('should leave out the excluded paths', async () => {
+                const projection = {exclude: ['tags', 'batch.expiry', 'batch.lots[0].site', 'missing']};
+                const expected = {name: 'Aspirin', empty: null, flag: true, batch: {gtin: '0001', lots: [{qty: 5}, {qty: 50}]}};
+
+                assert.deepStrictEqual(await strategy.getRecord(connection, 'conf_projection', 'p1', projection), expected);
+                const {results} = await strategy.filter(connection, 'conf_projection', [], 'asc', {limit: 1}, projection);
+                assert.deepStrictEqual({...results[0], __timestamp: 0}, {...expected, pk: 'p1', __timestamp: 0});
+            });
+
+            it('should keep the stored document whole', async () => {
+                await strategy.getRecord(connection, 'conf_projection', 'p1', {exclude: ['batch']});
+                assert.deepStrictEqual(await strategy.getRecord(connection, 'conf_projection', 'p1'), document);
+            });
+
+            it('should reject invalid projections', async () => {
+                const invalid = [[], {include: ['name'], exclude: ['tags']}, {only: ['name']}, ['na me'], {exclude: ['tags[0]']}, 'name'];
+                for (const projection of invalid) {
+                    await assert.rejects(strategy.getRecord(connection, 'conf_projection', 'p1', projection),
+                        /Invalid projection|Invalid field name|Cannot exclude/, JSON.stringify(projection));
+                }
+            });
+
+            it('should not reach the prototypes of the projected documents', async () => {
+                await strategy.insertRecord(connection, 'conf_projection', 'p2', JSON.parse('{"__proto__": {"polluted": "yes"}}'));
+                for (const field of ['__proto__.polluted', '["__proto__"].polluted', 'constructor.prototype', 'batch.constructor']) {
+                    await assert.rejects(strategy.getRecord(connection, 'conf_projection', 'p2', [field]), /Invalid field name/, field);
+                    await assert.rejects(strategy.filter(connection, 'conf_projection', [], 'asc', null, [field]), /Invalid field name/, field);
+                }
+                assert.strictEqual({}.polluted, undefined);
+            });
+        });
+
+        describe('Pagination', () => {
+            beforeEach(async () => {
+                await strategy.createCollection(connection, 'conf_page', []);
+                await insertAll('conf_page', {
+                    k1: {name: 'Carol', age: 30, city: 'Berlin'},
+                    k2: {name: 'Alice', age: 9, city: null},
+                    k3: {name: 'Bob', age: 100},
+                    k4: {name: 'Dan', age: 'unknown', city: 'Cairo'},
+                    k5: {name: 'Eve', age: 30, city: 'Athens'}
+                });
+            });
+
+            const names = results => results.map(result => result.name);
+            const readAllPages = async (read, limit) => {
+                const pages = [];
+                let cursor = null;
+                do {
+                    const page = await read({limit, cursor});
+                    pages.push(page.results);
+                    cursor = page.nextCursor;
+                } while (cursor);
+                return pages;
+            };
+
+            it('should page through filter results with cursors in the order of the whole result', async () => {
+                const sorts = ['asc', 'desc', ['age desc', 'name desc'], ['city asc nulls first'], [{field: 'age', type: 'string'}]];
+                for (const sort of sorts) {
+                    const all = names(await strategy.filter(connection, 'conf_page', ['name != Zed'], sort));
+                    const pages = await readAllPages(page => strategy.filter(connection, 'conf_page', ['name != Zed'], sort, page), 2);
+
+                    assert.deepStrictEqual(pages.map(names), [all.slice(0, 2), all.slice(2, 4), all.slice(4)], JSON.stringify(sort));
+                }
+            });
+
+            it('should not return a cursor for the last page', async () => {
+                const page = await strategy.filter(connection, 'conf_page', ['age >= 30'], 'asc', {limit: 3});
+                assert.deepStrictEqual(names(page.results), ['Carol', 'Eve', 'Bob']);
+                assert.strictEqual(page.nextCursor, null);
+
+                const unlimited = await strategy.filter(connection, 'conf_page', [], 'asc', {});
+                assert.strictEqual(unlimited.results.length, 5);
+                assert.strictEqual(unlimited.nextCursor, null);
+            });
+
+            it('should keep pages stable when records are added before the cursor', async () => {
+                const first = await strategy.filter(connection, 'conf_page', [], ['name asc'], {limit: 2});
+                await strategy.insertRecord(connection, 'conf_page', 'k0', {name: 'Aaron'});
+
+                const second = await strategy.filter(connection, 'conf_page', [], ['name asc'], {limit: 2, cursor: first.nextCursor});
+                assert.deepStrictEqual(names(first.results), ['Alice', 'Bob']);
+                assert.deepStrictEqual(names(second.results), ['Carol', 'Dan']);
+            });
+
+            it('should skip records with an offset', async () => {
+                const page = await strategy.filter(connection, 'conf_page', [], ['name asc'], {limit: 2, offset: 1});
+                assert.deepStrictEqual(names(page.results), ['Bob', 'Carol']);
+
+                const rest = await strategy.filter(connection, 'conf_page', [], ['name asc'], {offset: 3});
+                assert.deepStrictEqual(names(rest.results), ['Dan', 'Eve']);
+            });
+
+            it('should page through all records and queues in insertion order', async () => {
+                const records = await readAllPages(page => strategy.getAllRecords(connection, 'conf_page', page), 3);
+                assert.deepStrictEqual(records.map(names), [['Carol', 'Alice', 'Bob'], ['Dan', 'Eve']]);
+
+                const pks = await readAllPages(page => strategy.listQueue(connection, 'conf_page', 'desc', page), 2);
+                assert.deepStrictEqual(pks, [['k5', 'k4'], ['k3', 'k2'], ['k1']]);
+            });
+
+            it('should reject invalid pages and cursors of another sort order', async () => {
+                const {nextCursor} = await strategy.filter(connection, 'conf_page', [], ['name asc'], {limit: 2});
+
+                await assert.rejects(strategy.filter(connection, 'conf_page', [], ['name desc'], {limit: 2, cursor: nextCursor}), /sort order/);
+                await assert.rejects(strategy.filter(connection, 'conf_page', [], ['name asc'], {limit: 2, cursor: 'garbage'}), /Invalid cursor/);
+                await assert.rejects(strategy.filter(connection, 'conf_page', [], ['name asc'], {limit: 2, offset: -1}), /Invalid offset/);
+                await assert.rejects(strategy.filter(connection, 'conf_page', [], ['name asc'], {limit: 'many'}), /Invalid limit/);
+            });
+        });
+
+        describe('Search', () => {
+            const searchFields = ['title', 'description', 'batch.site'];
+
+            beforeEach(async () => {
+                await strategy.createCollection(connection, 'conf_search', [], {searchFields});
+                await insertAll('conf_search', {
+                    s1: {title: 'Aspirin tablets', description: 'Pain relief tablets for adults', batch: {site: 'Berlin'}},
+                    s2: {title: 'Ibuprofen tablets', description: 'Pain relief', batch: {site: 'Cairo'}},
+                    s3: {title: 'Vitamin syrup', description: 'Children, ASPIRIN free', batch: {site: 'Berlin'}},
+                    s4: {title: 'Unrelated', description: 'Nothing here', category: 'tablets'}
+                });
+            });
+
+            const pks = results => results.map(result => result.pk);
+
+            it('should match every word of the query in the searchable fields, the most relevant first', async () => {
+                const results = await strategy.search(connection, 'conf_search', 'tablets');
+                assert.deepStrictEqual(pks(results), ['s1', 's2']);
+                assert.strictEqual(results[0].title, 'Aspirin tablets');
+                assert.strictEqual(typeof results[0].__timestamp, 'number');
+
+                assert.deepStrictEqual(pks(await strategy.search(connection, 'conf_search', 'aspirin')).sort(), ['s1', 's3']);
+                assert.deepStrictEqual(pks(await strategy.search(connection, 'conf_search', 'PAIN, tablets!')).sort(), ['s1', 's2']);
+                assert.deepStrictEqual(pks(await strategy.search(connection, 'conf_search', 'berlin')).sort(), ['s1', 's3']);
+                assert.deepStrictEqual(await strategy.search(connection, 'conf_search', 'aspirin cairo'), []);
+                assert.deepStrictEqual(await strategy.search(connection, 'conf_search', 'tablet'), []);
+            });
+
+            it('should tell words apart by the letters and digits of every script', async () => {
+                await insertAll('conf_search', {
+                    u1: {title: 'café crème'}, u2: {title: 'caf stand'}, u3: {title: 'аспирин, таблетки'}, u4: {title: 'naïve2go'}
+                });
+
+                assert.deepStrictEqual(pks(await strategy.search(connection, 'conf_search', 'café')), ['u1']);
+                assert.deepStrictEqual(pks(await strategy.search(connection, 'conf_search', 'caf')), ['u2']);
+                assert.deepStrictEqual(pks(await strategy.search(connection, 'conf_search', 'crème')), ['u1']);
+                assert.deepStrictEqual(pks(await strategy.search(connection, 'conf_search', 'таблетки')), ['u3']);
+                assert.deepStrictEqual(pks(await strategy.search(connection, 'conf_search', 'naïve2go')), ['u4']);
+                assert.deepStrictEqual(await strategy.search(connection, 'conf_search', 'na'), []);
+                assert.deepStrictEqual(await strategy.search(connection, 'conf_search', 've2go'), []);
+            });
+
+            it('should combine the search with conditions and a limit', async () => {
+                assert.deepStrictEqual(pks(await strategy.search(connection, 'conf_search', 'relief', ['batch.site = Cairo'])), ['s2']);
+                assert.deepStrictEqual(pks(await strategy.search(connection, 'conf_search', 'tablets', [], 1)), ['s1']);
+            });
+
+            it('should follow inserts, updates and deletes', async () => {
+                await strategy.updateRecord(connection, 'conf_search', 's4', {title: 'Aspirin drops'});
+                await strategy.deleteRecord(connection, 'conf_search', 's1');
+
+                assert.deepStrictEqual(pks(await strategy.search(connection, 'conf_search', 'aspirin')).sort(), ['s3', 's4']);
+                assert.deepStrictEqual(pks(await strategy.search(connection, 'conf_search', 'tablets')), ['s2']);
+            });
+
+            it('should index the existing records of a collection made searchable later', async () => {
+                await strategy.createCollection(connection, 'conf_search_later', []);
+                await insertAll('conf_search_later', {l1: {title: 'Aspirin'}, l2: {title: 'Syrup'}});
+                await assert.rejects(strategy.search(connection, 'conf_search_later', 'aspirin'), /no searchable fields/);
+
+                await strategy.createCollection(connection, 'conf_search_later', [], {searchFields: ['title']});
+                assert.deepStrictEqual(pks(await strategy.search(connection, 'conf_search_later', 'aspirin')), ['l1']);
+                assert.deepStrictEqual((await strategy.getCollections(connection)).sort(), ['conf_search', 'conf_search_later']);
+            });
+
+            it('should reject empty queries and invalid search fields', async () => {
+                for (const text of ['', '  ?! ', null, {}]) {
+                    await assert.rejects(strategy.search(connection, 'conf_search', text), /Invalid search query/, JSON.stringify(text));
+                }
+                await assert.rejects(strategy.createCollection(connection, 'conf_search_invalid', [], {searchFields: 'title'}), /Invalid search fields/);
+                await assert.rejects(strategy.createCollection(connection, 'conf_search_invalid', [], {searchFields: ['title; DROP']}), /Invalid field name/);
+            });
+        });
+
+        describe('Queues', () => {
+            beforeEach(async () => {
+                await strategy.createCollection(connection, 'conf_queue', []);
+            });
+
+            it('should use the content hash as pk unless uniqueness is requested', async () => {
+                const item = {data: 'item'};
+                const hash = crypto.createHash('sha256').update(JSON.stringify(item)).digest('hex');
+
+                assert.strictEqual(await strategy.addInQueue(connection, 'conf_queue', item, false), hash);
+                await assert.rejects(strategy.addInQueue(connection, 'conf_queue', item, false), err => err.code === UNIQUE_VIOLATION);
+
+                const uniquePk = await strategy.addInQueue(connection, 'conf_queue', item, true);
+                assert(uniquePk.startsWith(`${hash}_`));
+                assert.strictEqual(await strategy.queueSize(connection, 'conf_queue'), 2);
+            });
+
+            it('should list, read and delete items in insertion order', async () => {
+                const pks = [];
+                for (const data of ['item1', 'item2', 'item3']) {
+                    pks.push(await strategy.addInQueue(connection, 'conf_queue', {data}, true));
+                    await tick();
+                }
+
+                assert.deepStrictEqual(await strategy.listQueue(connection, 'conf_queue', 'asc'), pks);
+                assert.deepStrictEqual(await strategy.listQueue(connection, 'conf_queue', 'desc', 2), [pks[2], pks[1]]);
+                assert.deepStrictEqual(await strategy.getObjectFromQueue(connection, 'conf_queue', pks[1]), {data: 'item2'});
+                assert.deepStrictEqual(await strategy.deleteObjectFromQueue(connection, 'conf_queue', pks[1]), {data: 'item2'});
+                assert.strictEqual(await strategy.getObjectFromQueue(connection, 'conf_queue', pks[1]), null);
+                assert.strictEqual(await strategy.deleteObjectFromQueue(connection, 'conf_queue', pks[1]), null);
+                assert.strictEqual(await strategy.queueSize(connection, 'conf_queue'), 2);
+            });
+        });
+
+        describe('Key-value', () => {
+            it('should write, overwrite and read values', async () => {
+                const written = await strategy.writeKey(connection, 'conf_key', {type: 'string', value: 'initial'});
+                assert.deepStrictEqual(written, {type: 'string', value: 'initial'});
+
+                await strategy.writeKey(connection, 'conf_key', {type: 'object', value: '{"foo":"bar"}'});
+                assert.deepStrictEqual(await strategy.readKey(connection, 'conf_key'), {type: 'object', value: '{"foo":"bar"}'});
+            });
+
+            it('should return null for missing keys', async () => {
+                assert.strictEqual(await strategy.readKey(connection, 'conf_missing_key'), null);
+            });
+        });
+
+        describe('Transactions', () => {
+            beforeEach(function () {
+                if (!insertQuery) this.skip();
+            });
+
+            it('should commit every query', async () => {
+                await strategy.createCollection(connection, 'conf_tx', []);
+                const results = await strategy.executeTransaction(connection, [
+                    insertQuery('conf_tx', 'key1', {name: 'First'}),
+                    insertQuery('conf_tx', 'key2', {name: 'Second'})
+                ]);
+
+                assert.strictEqual(results.length, 2);
+                assert.strictEqual(await strategy.count(connection, 'conf_tx'), 2);
+            });
+
+            it('should roll back every query when one fails', async () => {
+                await strategy.createCollection(connection, 'conf_tx', []);
+                await assert.rejects(strategy.executeTransaction(connection, [
+                    insertQuery('conf_tx', 'key1', {name: 'First'}),
+                    insertQuery('conf_tx', 'key1', {name: 'Duplicate'})
+                ]), err => err.code === UNIQUE_VIOLATION);
+
+                assert.strictEqual(await strategy.count(connection, 'conf_tx'), 0);
+            });
+        });
+
+        describe('Database state', () => {
+            it('should report refresh and save', async () => {
+                assert.deepStrictEqual(await strategy.refresh(connection), {message: 'Refresh completed'});
+                assert.deepStrictEqual(await strategy.refreshAsync(connection), {message: 'Refresh completed'});
+                assert.deepStrictEqual(await strategy.saveDatabase(connection), {message: 'Database saved'});
+            });
+
+            it('should create the key-value table with the database', async () => {
+                await strategy.cleanupDatabase(connection);
+                await strategy.createDatabase(connection);
+                assert.strictEqual(await strategy.readKey(connection, 'conf_key'), null);
+            });
+        });
+
+        describe('Cleanup', () => {
+            afterEach(async () => {
+                await strategy.createDatabase(connection);
+            });
+
+            it('should drop the collections and tables of the adapter', async () => {
+                await strategy.createCollection(connection, 'conf_cleanup', ['name'], {searchFields: ['name']});
+                await strategy.insertRecord(connection, 'conf_cleanup', 'key1', {name: 'Alice'});
+                await strategy.writeKey(connection, 'conf_cleanup_key', {type: 'string', value: 'kept?'});
+
+                await strategy.cleanupDatabase(connection);
+                assert.deepStrictEqual(await strategy.getCollections(connection), []);
+                await strategy.createDatabase(connection);
+                assert.strictEqual(await strategy.readKey(connection, 'conf_cleanup_key'), null);
+            });
+
+            it('should leave the other tables of a shared database unless asked to drop every table', async function () {
+                if (type === 'inmemory') this.skip();
+
+                await strategy.executeQuery(connection, 'CREATE TABLE conf_foreign (id INTEGER)');
+                await strategy.createCollection(connection, 'conf_cleanup', []);
+                await strategy.cleanupDatabase(connection);
+                const [row] = await strategy.executeQuery(connection, 'SELECT COUNT(*) AS count FROM conf_foreign')
+                    .then(result => result.rows || result.recordset || result);
+                assert.strictEqual(Number(row.count), 0);
+
+                await strategy.cleanupDatabase(connection, {dropAllTables: true});
+                await assert.rejects(strategy.executeQuery(connection, 'SELECT COUNT(*) AS count FROM conf_foreign'));
+            });
+
+            it('should leave a table createCollection found already there', async function () {
+                if (type === 'inmemory') this.skip();
+
+                const columns = {
+                    postgresql: 'pk TEXT PRIMARY KEY, data JSONB',
+                    sqlite: 'pk TEXT PRIMARY KEY, data TEXT',
+                    mysql: 'pk VARCHAR(255) PRIMARY KEY, data JSON',
+                    sqlserver: 'pk NVARCHAR(450) PRIMARY KEY, data NVARCHAR(MAX)'
+                }[type];
+                await strategy.getCollections(connection);
+                await strategy.executeQuery(connection, `CREATE TABLE conf_found (${columns}, __timestamp BIGINT)`);
+                await strategy.createCollection(connection, 'conf_found', ['name']);
+                await strategy.insertRecord(connection, 'conf_found', 'key1', {name: 'Alice'});
+                await strategy.createCollection(connection, 'conf_cleanup', []);
+
+                // The catalog outlives the first cleanup, so the second one still knows whose the table is
+                await strategy.cleanupDatabase(connection);
+                await strategy.cleanupDatabase(connection);
+                assert.deepStrictEqual(await strategy.getCollections(connection), ['conf_found']);
+                assert.deepStrictEqual(await strategy.getRecord(connection, 'conf_found', 'key1'), {name: 'Alice'});
+
+                await strategy.cleanupDatabase(connection, {dropAllTables: true});
+            });
+
+            it('should leave the tables that were there before the catalog, even shaped like collections', async function () {
+                if (type !== 'sqlite' && type !== 'postgresql') this.skip();
+
+                const data = type === 'postgresql' ? 'JSONB' : 'TEXT';
+                await strategy.cleanupDatabase(connection, {dropAllTables: true});
+                await strategy.executeQuery(connection, 'CREATE TABLE conf_foreign (id INTEGER)');
+                await strategy.executeQuery(connection, `CREATE TABLE conf_legacy (pk TEXT PRIMARY KEY, data ${data}, __timestamp BIGINT)`);
+                await strategy.createCollection(connection, 'conf_cleanup', []);
+                assert.deepStrictEqual(await strategy.getCollections(connection), ['conf_cleanup', 'conf_legacy']);
+
+                // The catalog outlives the first cleanup, so the second one does not take the tables for collections
+                await strategy.cleanupDatabase(connection);
+                await strategy.cleanupDatabase(connection);
+                assert.deepStrictEqual(await strategy.getCollections(connection), ['conf_legacy']);
+                for (const table of ['conf_foreign', 'conf_legacy']) {
+                    await strategy.executeQuery(connection, `SELECT COUNT(*) AS count FROM ${table}`);
+                }
+                await assert.rejects(strategy.executeQuery(connection, 'SELECT COUNT(*) AS count FROM conf_cleanup'));
+
+                await strategy.cleanupDatabase(connection, {dropAllTables: true});
+            });
+        });
+    });
+}
+
+module.exports = runConformanceSuite;
@@ -17,6 +17,11 @@ if (!isMainThread) {
             type = config.type;
         }
 
+        // Strategies shipped as separate packages register themselves before the type is looked up
+        if (config && config.strategyModules) {
+            StrategyFactory.loadStrategyModules(config.strategyModules);
+        }
+
         if (!config){
             config = ConnectionRegistry.DEFAULT_CONFIGS[type.toLowerCase()]
         }
@@ -64,7 +69,8 @@ if (!isMainThread) {
             error = {
                 message: err.message,
                 code: err.code,
-                type: err.type || 'DatabaseError'
+                type: err.type || 'DatabaseError',
+                errors: err.errors
             };
             parentPort.postMessage({
                 success: false,